@@ -1,19 +1,116 @@
 import { NavigationContainer } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
-import { useContext, useEffect, useRef } from 'react';
+import { useContext, useEffect, useRef, useState } from 'react';
 import { View, ActivityIndicator } from 'react-native';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
 import * as Notifications from 'expo-notifications';
 
 import { AuthProvider, AuthContext } from './src/auth/authContext';
+import { onSessionExpired } from './src/auth/sessionEvents';
 import AppNavigator from './src/navigation/AppNavigator';
 import LoginScreen from './src/auth/LoginScreen';
+import UnlockScreen from './src/auth/UnlockScreen';
+import ForgotPinScreen from './src/auth/ForgotPinScreen';
+import AppLock from './src/auth/AppLock';
+import { getNotificationRoute } from './src/navigation/notificationRoutes';
+import linking, { setLinksEnabled } from './src/navigation/linking';
 import './src/utils/notificationConfig';
 
 const Stack = createNativeStackNavigator();
 
-function RootNavigator({ navigationRef }) {
-  const { token, loading } = useContext(AuthContext);
+/**
+ * Turns the focused branch of a navigation state into navigate() args,
+ * e.g. { name: 'App', params: { screen: 'Services', params: { screen: 'Payments', ... } } }
+ */
+const getFocusedRoutePath = (state) => {
+  const route = state?.routes?.[state.index ?? 0];
+  if (!route) return null;
+
+  const child = getFocusedRoutePath(route.state);
+  if (!child) return { name: route.name, params: route.params };
+
+  return {
+    name: route.name,
+    params: { screen: child.name, params: child.params },
+  };
+};
+
+function RootNavigator({ navigationRef, navigationReady }) {
+  const { token, loading, locked, activeAccountId } = useContext(AuthContext);
+  const routeBeforeExpiryRef = useRef(null);
+  const activeAccountIdRef = useRef(activeAccountId);
+  // Screen a tapped notification should open once there is a session to open it in
+  const [notificationRoute, setNotificationRoute] = useState(null);
+
+  useEffect(() => {
+    activeAccountIdRef.current = activeAccountId;
+  }, [activeAccountId]);
+
+  /**
+   * 🔒 SESSION EXPIRED
+   * Listeners run before the Login screen replaces the app,
+   * so the screen the user was on can still be read here.
+   */
+  useEffect(() => {
+    return onSessionExpired(() => {
+      const path = getFocusedRoutePath(navigationRef.current?.getRootState());
+      if (path?.name === 'App') {
+        routeBeforeExpiryRef.current = {
+          accountId: activeAccountIdRef.current,
+          path,
+        };
+      }
+    });
+  }, [navigationRef]);
+
+  // Put the user back where they were once they log in again,
+  // unless they came back as a different account
+  useEffect(() => {
+    const saved = routeBeforeExpiryRef.current;
+    if (!token || !saved || !navigationRef.current) return;
+
+    routeBeforeExpiryRef.current = null;
+    if (saved.accountId === activeAccountId) {
+      navigationRef.current.navigate(saved.path.name, saved.path.params);
+    }
+  }, [token, activeAccountId, navigationRef]);
+
+  /**
+   * 🔔 HANDLE NOTIFICATION TAP
+   * Includes the tap that launched the app, which can arrive
+   * before the session is loaded or the user has signed in.
+   */
+  useEffect(() => {
+    const openResponse = (response) => {
+      const data = response?.notification.request.content.data;
+      setNotificationRoute(getNotificationRoute(data));
+    };
+
+    Notifications.getLastNotificationResponseAsync().then((response) => {
+      if (!response) return;
+      openResponse(response);
+      // Otherwise the same tap is replayed on the next launch
+      Notifications.clearLastNotificationResponseAsync();
+    });
+
+    const subscription =
+      Notifications.addNotificationResponseReceivedListener(openResponse);
+
+    return () => subscription.remove();
+  }, []);
+
+  useEffect(() => {
+    if (!notificationRoute || !token || !navigationReady) return;
+
+    // Navigating under the unlock screen is fine; it only covers the app
+    setNotificationRoute(null);
+    navigationRef.current.navigate(notificationRoute.name, notificationRoute.params);
+  }, [notificationRoute, token, navigationReady, navigationRef]);
+
+  // URL links open only once signed in; until then they wait behind Login
+  useEffect(() => {
+    setLinksEnabled(Boolean(token) && navigationReady);
+  }, [token, navigationReady]);
 
   if (loading) {
     return (
@@ -31,51 +128,66 @@ function RootNavigator({ navigationRef }) {
   }
 
   return (
-    <Stack.Navigator screenOptions={{ headerShown: false }}>
-      {token ? (
-        <Stack.Screen name="App">
-          {() => <AppNavigator />}
-        </Stack.Screen>
-      ) : (
-        <Stack.Screen
-          name="Login"
-          component={LoginScreen}
-        />
-      )}
-    </Stack.Navigator>
+    <>
+      {/* Keyed by account so nothing from the previous account stays mounted */}
+      <Stack.Navigator
+        key={activeAccountId || 'signed-out'}
+        screenOptions={{ headerShown: false }}
+      >
+        {token ? (
+          <>
+            <Stack.Screen name="App">
+              {() => <AppNavigator />}
+            </Stack.Screen>
+            <Stack.Group screenOptions={{ presentation: 'modal' }}>
+              <Stack.Screen
+                name="AddAccount"
+                component={LoginScreen}
+              />
+              <Stack.Screen
+                name="ForgotPin"
+                component={ForgotPinScreen}
+              />
+            </Stack.Group>
+          </>
+        ) : (
+          <>
+            <Stack.Screen
+              name="Login"
+              component={LoginScreen}
+            />
+            <Stack.Screen
+              name="ForgotPin"
+              component={ForgotPinScreen}
+            />
+          </>
+        )}
+      </Stack.Navigator>
+
+      {/* Covers the app (keeping its navigation state) until unlocked */}
+      {token && locked && <UnlockScreen />}
+    </>
   );
 }
 
 export default function App() {
   const navigationRef = useRef();
-
-  useEffect(() => {
-    /**
-     * 🔔 HANDLE NOTIFICATION TAP
-     */
-    const subscription =
-      Notifications.addNotificationResponseReceivedListener(
-        (response) => {
-          const data =
-            response.notification.request.content.data;
-
-          // Optional: handle deep data later
-          // console.log('Notification data:', data);
-
-          if (navigationRef.current) {
-            navigationRef.current.navigate('Notifications');
-          }
-        }
-      );
-
-    return () => subscription.remove();
-  }, []);
+  const [navigationReady, setNavigationReady] = useState(false);
 
   return (
     <SafeAreaProvider>
       <AuthProvider>
-        <NavigationContainer ref={navigationRef}>
-          <RootNavigator navigationRef={navigationRef} />
+        <NavigationContainer
+          ref={navigationRef}
+          linking={linking}
+          onReady={() => setNavigationReady(true)}
+        >
+          <AppLock>
+            <RootNavigator
+              navigationRef={navigationRef}
+              navigationReady={navigationReady}
+            />
+          </AppLock>
         </NavigationContainer>
       </AuthProvider>
     </SafeAreaProvider>
@@ -1,10 +1,17 @@
 // https://docs.expo.dev/guides/using-eslint/
 const { defineConfig } = require('eslint/config');
 const expoConfig = require('eslint-config-expo/flat');
+const globals = require('globals');
 
 module.exports = defineConfig([
   expoConfig,
   {
     ignores: ['dist/*'],
   },
+  {
+    files: ['**/__tests__/**'],
+    languageOptions: {
+      globals: globals.jest,
+    },
+  },
 ]);
@@ -1,15 +1,116 @@
 import axios from 'axios';
-import { getToken } from '../utils/authStorage';
+import {
+  getToken,
+  saveToken,
+  getRefreshToken,
+  saveRefreshToken,
+} from '../utils/authStorage';
+import { emitSessionExpired } from '../auth/sessionEvents';
+
+const BASE_URL = 'https://api.imperiummmm.in/api';
 
 const api = axios.create({
-baseURL: 'https://api.imperiummmm.in/api',
+baseURL: BASE_URL,
+  timeout: 10000,
+});
+
+// Bare client for the refresh call, so it never runs through the interceptors below
+const authClient = axios.create({
+  baseURL: BASE_URL,
   timeout: 10000,
 });
 
+// Refresh this long before the access token actually expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+let refreshPromise = null;
+
+const REFRESH_TOKEN_MISSING = 'REFRESH_TOKEN_MISSING';
+
+// Only the refresh endpoint turning down the refresh token ends the session;
+// a timeout, a dropped connection or a server error just fails the request
+const isRefreshRejected = (err) =>
+  err.code === REFRESH_TOKEN_MISSING || [400, 401].includes(err.response?.status);
+
+const getTokenExpiry = (token) => {
+  try {
+    const base64 = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64.padEnd(Math.ceil(base64.length / 4) * 4, '=');
+    const payload = JSON.parse(atob(padded));
+    return payload.exp ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+};
+
+const isTokenExpiring = (token) => {
+  const expiry = getTokenExpiry(token);
+  return expiry !== null && expiry - Date.now() < REFRESH_MARGIN_MS;
+};
+
+/**
+ * Exchanges the stored refresh token for a new access token.
+ * Only one refresh runs at a time; concurrent callers share its promise.
+ */
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = await getRefreshToken();
+      if (!refreshToken) {
+        const err = new Error('Refresh token missing');
+        err.code = REFRESH_TOKEN_MISSING;
+        throw err;
+      }
+
+      const res = await authClient.post('/client-auth/refresh', {
+        refresh_token: refreshToken,
+      });
+
+      const token = res.data?.data?.token;
+      if (!token) {
+        throw new Error('Token missing');
+      }
+
+      await saveToken(token);
+
+      // The server may rotate the refresh token as well
+      const nextRefreshToken = res.data?.data?.refresh_token;
+      if (nextRefreshToken) {
+        await saveRefreshToken(nextRefreshToken);
+      }
+
+      return token;
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+
+  return refreshPromise;
+};
+
 // Attach JWT to every request
 api.interceptors.request.use(   
   async (config) => {
-    const token = await getToken();
+    // Credential checks (e.g. verifying the PIN on the unlock screen) go out without a token
+    if (config.skipAuth) {
+      return config;
+    }
+
+    // Requests made while a refresh is in flight wait for the new token
+    if (refreshPromise) {
+      await refreshPromise.catch(() => null);
+    }
+
+    let token = await getToken();
+
+    if (token && isTokenExpiring(token)) {
+      try {
+        token = await refreshAccessToken();
+      } catch (err) {
+        // Send the old token; the 401 handler below takes it from there
+        console.log('Token refresh failed:', err.response?.data || err.message);
+      }
+    }
 
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
@@ -23,10 +124,31 @@ api.interceptors.request.use(
 // Global response handler (optional but recommended)
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
+  async (error) => {
+    const originalRequest = error.config;
+
+    // Only authenticated requests can expire; a 401 from login means a bad PIN
+    if (
+      error.response?.status === 401 &&
+      originalRequest?.headers?.Authorization
+    ) {
+      // Retry once with a fresh access token before giving up on the session
+      if (!originalRequest._retried) {
+        originalRequest._retried = true;
+
+        try {
+          await refreshAccessToken();
+          return api(originalRequest);
+        } catch (err) {
+          console.log('Token refresh failed:', err.response?.data || err.message);
+          if (!isRefreshRejected(err)) {
+            return Promise.reject(error);
+          }
+        }
+      }
+
       console.log('Unauthorized — token invalid or expired');
-      // Future: force logout here
+      emitSessionExpired();
     }
     return Promise.reject(error);
   }
@@ -0,0 +1,149 @@
+import api from './api';
+import { useQuery } from './queryCache';
+
+/* ================= QUERY KEYS ================= */
+// Everything about one service lives under ['service', id], so a mutation
+// can invalidate a service's details, payments, notes and files at once.
+// Submitted requests likewise sit under ['requests'].
+
+export const queryKeys = {
+  services: ['services'],
+  profile: ['profile'],
+  service: (serviceId) => ['service', String(serviceId)],
+  serviceHistory: (serviceId) => ['service', String(serviceId), 'history'],
+  paymentSummary: (serviceId) => ['service', String(serviceId), 'payment-summary'],
+  installments: (serviceId) => ['service', String(serviceId), 'installments'],
+  notes: (serviceId) => ['service', String(serviceId), 'notes'],
+  files: (serviceId) => ['service', String(serviceId), 'files'],
+  requests: ['requests'],
+  request: (requestId) => ['requests', String(requestId)],
+  requestSchema: ['request-schema'],
+  notifications: ['notifications'],
+  notificationPreferences: ['notification-preferences'],
+};
+
+/* ================= FETCHERS ================= */
+
+export const fetchServices = async () => {
+  const res = await api.get('/client/services');
+  return res.data?.data || [];
+};
+
+export const fetchProfile = async () => {
+  const res = await api.get('/clients/profile/me');
+  return res.data?.data || null;
+};
+
+// { service, webDetails }
+export const fetchServiceDetails = async (serviceId) => {
+  const res = await api.get(`/client/services/${serviceId}`);
+  return res.data?.data || null;
+};
+
+export const fetchServiceHistory = async (serviceId) => {
+  const res = await api.get(`/service-history/${serviceId}`);
+  return {
+    timeline: res.data?.data?.timeline || [],
+    maintenance: res.data?.data?.maintenance || [],
+  };
+};
+
+export const fetchPaymentSummary = async (serviceId) => {
+  const res = await api.get(`/payments/summary/${serviceId}`);
+  return res.data?.data || null;
+};
+
+export const fetchInstallments = async (serviceId) => {
+  const res = await api.get(`/payments/installments/${serviceId}`);
+  return Array.isArray(res.data?.data) ? res.data.data : [];
+};
+
+export const fetchNotes = async (serviceId) => {
+  const res = await api.get(`/notes/client/${serviceId}`);
+  return res.data?.data || [];
+};
+
+export const fetchServiceFiles = async (serviceId) => {
+  const res = await api.get(`/files/client/${serviceId}`);
+  return res.data?.data || [];
+};
+
+export const fetchRequests = async () => {
+  const res = await api.get('/suggestions/client');
+  return res.data?.data || [];
+};
+
+// The request with its `responses` from the team
+export const fetchRequestDetails = async (requestId) => {
+  const res = await api.get(`/suggestions/client/${requestId}`);
+  return res.data?.data || null;
+};
+
+// Request types and their form fields; see utils/requestSchema.js
+export const fetchRequestSchema = async () => {
+  const res = await api.get('/suggestions/schema');
+  return res.data?.data?.types || [];
+};
+
+// { muted_categories }
+export const fetchPreferences = async () => {
+  const res = await api.get('/notifications/preferences');
+  return res.data?.data || {};
+};
+
+export const fetchNotifications = async () => {
+  const res = await api.get('/notifications/client');
+  return res.data?.data || [];
+};
+
+/* ================= HOOKS ================= */
+// These are kept on the device as well, so they still show offline
+
+const usePersistedQuery = (key, fetcher) => useQuery(key, fetcher, { persist: true });
+
+export const useServices = () => usePersistedQuery(queryKeys.services, fetchServices);
+
+export const useProfile = () => usePersistedQuery(queryKeys.profile, fetchProfile);
+
+export const useServiceDetails = (serviceId) =>
+  usePersistedQuery(queryKeys.service(serviceId), () => fetchServiceDetails(serviceId));
+
+// History changes rarely; don't reload every service on each tab switch.
+// Shared with the batch loads in utils/serviceHistory.js, so opening a
+// service doesn't refetch what the list has just loaded.
+export const HISTORY_STALE_TIME = 5 * 60 * 1000;
+
+export const useServiceHistory = (serviceId) =>
+  useQuery(queryKeys.serviceHistory(serviceId), () => fetchServiceHistory(serviceId), {
+    persist: true,
+    staleTime: HISTORY_STALE_TIME,
+  });
+
+export const usePaymentSummary = (serviceId) =>
+  usePersistedQuery(queryKeys.paymentSummary(serviceId), () => fetchPaymentSummary(serviceId));
+
+export const useInstallments = (serviceId) =>
+  usePersistedQuery(queryKeys.installments(serviceId), () => fetchInstallments(serviceId));
+
+export const useNotes = (serviceId) =>
+  usePersistedQuery(queryKeys.notes(serviceId), () => fetchNotes(serviceId));
+
+export const useServiceFiles = (serviceId) =>
+  usePersistedQuery(queryKeys.files(serviceId), () => fetchServiceFiles(serviceId));
+
+export const useNotifications = () =>
+  usePersistedQuery(queryKeys.notifications, fetchNotifications);
+
+export const useRequests = () => usePersistedQuery(queryKeys.requests, fetchRequests);
+
+export const useRequestDetails = (requestId) =>
+  usePersistedQuery(queryKeys.request(requestId), () => fetchRequestDetails(requestId));
+
+// Changes only when a new offering is added
+const REQUEST_SCHEMA_STALE_TIME = 60 * 60 * 1000;
+
+export const useRequestSchema = () =>
+  useQuery(queryKeys.requestSchema, fetchRequestSchema, {
+    persist: true,
+    staleTime: REQUEST_SCHEMA_STALE_TIME,
+  });
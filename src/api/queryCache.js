@@ -0,0 +1,267 @@
+import { useCallback, useEffect, useReducer, useRef, useState } from 'react';
+import { useFocusEffect } from '@react-navigation/native';
+import { onAccountChanged } from '../auth/sessionEvents';
+import { getActiveSessionId } from '../utils/authStorage';
+import { onReconnect } from '../utils/network';
+import { readPersistedQuery, writePersistedQuery } from '../utils/queryStorage';
+
+/* ================= QUERY CACHE ================= */
+// App-wide cache for GET requests over `api`. A query is identified by a key
+// array such as ['service', '42', 'history']; screens asking for the same key
+// share one request and one copy of the data.
+//
+// Cached data is shown immediately and refreshed in the background once it
+// is older than `staleTime` (stale-while-revalidate).
+//
+// Queries fetched with `persist` also keep their last good response on the
+// device, so they can be shown offline or right after a cold start.
+
+export const DEFAULT_STALE_TIME = 30 * 1000;
+
+const entries = new Map(); // hash -> { key, data, error, updatedAt, invalidated, promise, fetcher, persist, hydrated }
+const listeners = new Map(); // hash -> Set of re-render callbacks
+
+// Bumped on account change so a late response can't refill the cache
+let generation = 0;
+
+// Persisted data is stored per account
+let accountIdPromise = null;
+const getAccountId = () => {
+  if (!accountIdPromise) accountIdPromise = getActiveSessionId();
+  return accountIdPromise;
+};
+
+const hashKey = (key) => JSON.stringify(key);
+
+const getEntry = (key) => {
+  const hash = hashKey(key);
+  if (!entries.has(hash)) {
+    entries.set(hash, {
+      key,
+      data: undefined,
+      error: null,
+      updatedAt: 0,
+      invalidated: false,
+      promise: null,
+      fetcher: null,
+      persist: false,
+      hydrated: false,
+    });
+  }
+  return entries.get(hash);
+};
+
+const notify = (key) => {
+  listeners.get(hashKey(key))?.forEach((listener) => listener());
+};
+
+const subscribe = (key, listener) => {
+  const hash = hashKey(key);
+  if (!listeners.has(hash)) listeners.set(hash, new Set());
+  listeners.get(hash).add(listener);
+
+  return () => {
+    const set = listeners.get(hash);
+    set?.delete(listener);
+    if (set && !set.size) listeners.delete(hash);
+  };
+};
+
+const isStale = (entry, staleTime) =>
+  !entry.updatedAt || entry.invalidated || Date.now() - entry.updatedAt > staleTime;
+
+// `['service', '42']` matches `['service', '42', 'history']`
+const matchesKey = (key, prefix) =>
+  prefix.every((part, index) => hashKey(part) === hashKey(key[index]));
+
+/* ===== PERSISTENCE ===== */
+
+// Loads the stored response the first time a persisted query is used
+const hydrate = async (entry, requestGeneration) => {
+  if (!entry.persist || entry.hydrated) return;
+  entry.hydrated = true;
+
+  const accountId = await getAccountId();
+  if (!accountId) return;
+
+  const stored = await readPersistedQuery(accountId, hashKey(entry.key));
+  // Skip it if the account changed or fresher data arrived meanwhile
+  if (!stored || requestGeneration !== generation || entry.updatedAt) return;
+
+  entry.data = stored.data;
+  entry.updatedAt = stored.updatedAt;
+  notify(entry.key);
+};
+
+const persistEntry = async (entry, requestGeneration) => {
+  if (!entry.persist) return;
+
+  const accountId = await getAccountId();
+  if (!accountId || requestGeneration !== generation) return;
+
+  writePersistedQuery(accountId, hashKey(entry.key), entry.data, entry.updatedAt);
+};
+
+/* ===== READS ===== */
+
+export const getQueryData = (key) => entries.get(hashKey(key))?.data;
+
+/**
+ * Resolves with the query's data, fetching it only when missing or stale.
+ * Concurrent callers share the request in flight; `force` ignores the cache.
+ * When the request fails, any stored or cached data stays in place.
+ */
+export const fetchQuery = (
+  key,
+  fetcher,
+  { force = false, staleTime = DEFAULT_STALE_TIME, persist = false } = {}
+) => {
+  const entry = getEntry(key);
+  entry.fetcher = fetcher;
+  entry.persist = entry.persist || persist;
+
+  if (!force && !isStale(entry, staleTime)) return Promise.resolve(entry.data);
+  if (entry.promise) return entry.promise;
+
+  const requestGeneration = generation;
+  const request = hydrate(entry, requestGeneration)
+    .then(() => {
+      // Data stored moments ago (e.g. just before a restart) is still fresh
+      if (!force && !isStale(entry, staleTime)) return entry.data;
+      return fetcher().then((data) => {
+        if (requestGeneration === generation) {
+          entry.data = data;
+          entry.error = null;
+          entry.updatedAt = Date.now();
+          entry.invalidated = false;
+          persistEntry(entry, requestGeneration);
+        }
+        return data;
+      });
+    })
+    .catch((error) => {
+      if (requestGeneration === generation) entry.error = error;
+      throw error;
+    })
+    .finally(() => {
+      if (entry.promise === request) entry.promise = null;
+      notify(key);
+    });
+
+  entry.promise = request;
+  notify(key);
+  return request;
+};
+
+/* ===== WRITES ===== */
+
+// For optimistic updates and for responses that already carry the new data
+export const setQueryData = (key, updater) => {
+  const entry = getEntry(key);
+  entry.data = typeof updater === 'function' ? updater(entry.data) : updater;
+  entry.error = null;
+  entry.updatedAt = Date.now();
+  persistEntry(entry, generation);
+  notify(key);
+};
+
+/**
+ * Marks every query under `prefix` as stale after a mutation. Queries a
+ * mounted screen is showing refetch right away; the rest on next use.
+ */
+export const invalidateQueries = (prefix = []) => {
+  entries.forEach((entry, hash) => {
+    if (!matchesKey(entry.key, prefix)) return;
+
+    entry.invalidated = true;
+    if (listeners.has(hash) && entry.fetcher) {
+      fetchQuery(entry.key, entry.fetcher, { force: true }).catch(() => {
+        // Kept on the entry; the screen showing it reports the error
+      });
+    }
+  });
+};
+
+// Query data is per account; never show one account's data to another
+onAccountChanged((accountId) => {
+  generation += 1;
+  accountIdPromise = Promise.resolve(accountId);
+  entries.clear();
+  listeners.forEach((set) => set.forEach((listener) => listener()));
+});
+
+// Whatever is on screen was possibly served from storage; bring it up to date
+onReconnect(() => invalidateQueries());
+
+/* ===== HOOK ===== */
+
+/**
+ * Subscribes a screen to a query. Cached data renders straight away, and the
+ * query revalidates whenever the screen gains focus and the data is stale.
+ *
+ * @returns {{
+ *   data, error,
+ *   loading: boolean,     // nothing to show yet
+ *   isFetching: boolean,  // a request is in flight, possibly in the background
+ *   refreshing: boolean,  // a refresh() started by the user is running
+ *   updatedAt: number,    // when `data` was fetched; 0 without data
+ *   refresh: () => Promise<void>,
+ * }}
+ */
+export const useQuery = (
+  key,
+  fetcher,
+  { enabled = true, staleTime = DEFAULT_STALE_TIME, persist = false } = {}
+) => {
+  const hash = hashKey(key);
+  const [, rerender] = useReducer((count) => count + 1, 0);
+  const [refreshing, setRefreshing] = useState(false);
+
+  // Latest key and fetcher without resubscribing on every render
+  const keyRef = useRef(key);
+  const fetcherRef = useRef(fetcher);
+  keyRef.current = key;
+  fetcherRef.current = fetcher;
+
+  useEffect(() => subscribe(keyRef.current, rerender), [hash]);
+
+  const revalidate = useCallback(
+    (force = false) =>
+      fetchQuery(keyRef.current, () => fetcherRef.current(), {
+        force,
+        staleTime,
+        persist,
+      }).catch(
+        (err) => {
+          console.log(`Query ${hash} error:`, err.response?.data || err.message);
+        }
+      ),
+    [hash, staleTime, persist]
+  );
+
+  useFocusEffect(
+    useCallback(() => {
+      if (enabled) revalidate();
+    }, [enabled, revalidate])
+  );
+
+  const refresh = useCallback(async () => {
+    setRefreshing(true);
+    await revalidate(true);
+    setRefreshing(false);
+  }, [revalidate]);
+
+  const entry = entries.get(hash);
+  const data = entry?.data;
+  const error = entry?.error || null;
+
+  return {
+    data,
+    error,
+    loading: enabled && data === undefined && !error,
+    isFetching: Boolean(entry?.promise),
+    refreshing,
+    updatedAt: entry?.updatedAt || 0,
+    refresh,
+  };
+};
@@ -0,0 +1,122 @@
+import { useContext, useEffect, useRef, useState } from 'react';
+import { View, Text, StyleSheet, AppState, Platform } from 'react-native';
+import { AuthContext, APP_LOCK_NEVER } from './authContext';
+import { saveBackgroundedAt, removeBackgroundedAt } from '../utils/authStorage';
+
+export const APP_LOCK_TIMEOUT_OPTIONS = [
+  { label: 'Immediately', value: 0 },
+  { label: '1 min', value: 60 * 1000 },
+  { label: '5 min', value: 5 * 60 * 1000 },
+  { label: '15 min', value: 15 * 60 * 1000 },
+  { label: 'Never', value: APP_LOCK_NEVER },
+];
+
+/**
+ * Locks the session after it has spent longer than `appLockTimeout`
+ * in the background, and covers the screen while the app is not in the
+ * foreground so invoices and contracts don't show in the app switcher.
+ * The time it went to the background is also saved, for a relaunch after
+ * the app was killed (see loadToken in authContext).
+ */
+export default function AppLock({ children }) {
+  const { token, locked, lock, appLockTimeout } = useContext(AuthContext);
+  const [covered, setCovered] = useState(AppState.currentState !== 'active');
+  const backgroundedAtRef = useRef(null);
+
+  useEffect(() => {
+    const changeSubscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState === 'active') {
+        const backgroundedAt = backgroundedAtRef.current;
+        backgroundedAtRef.current = null;
+        removeBackgroundedAt();
+
+        if (
+          token &&
+          backgroundedAt !== null &&
+          appLockTimeout !== APP_LOCK_NEVER &&
+          Date.now() - backgroundedAt >= appLockTimeout
+        ) {
+          lock();
+        }
+        setCovered(false);
+        return;
+      }
+
+      // iOS takes the app switcher snapshot while 'inactive'
+      if (nextState === 'background' && backgroundedAtRef.current === null) {
+        backgroundedAtRef.current = Date.now();
+        // Killed while locked, it stays locked
+        if (token && !locked) saveBackgroundedAt(backgroundedAtRef.current);
+      }
+      setCovered(true);
+    });
+
+    // Android opens the recents screen without leaving 'active'; it only blurs
+    const blurSubscription =
+      Platform.OS === 'android'
+        ? AppState.addEventListener('blur', () => setCovered(true))
+        : null;
+    const focusSubscription =
+      Platform.OS === 'android'
+        ? AppState.addEventListener('focus', () => setCovered(false))
+        : null;
+
+    return () => {
+      changeSubscription.remove();
+      blurSubscription?.remove();
+      focusSubscription?.remove();
+    };
+  }, [token, locked, lock, appLockTimeout]);
+
+  return (
+    <View style={styles.container}>
+      {children}
+
+      {token && covered && (
+        <View style={styles.cover}>
+          <View style={styles.logoContainer}>
+            <Text style={styles.logoText}>IP</Text>
+          </View>
+          <Text style={styles.coverTitle}>Imperium Partners</Text>
+        </View>
+      )}
+    </View>
+  );
+}
+
+/* ================= STYLES ================= */
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  cover: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: '#060B16',
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: 3000,
+  },
+  logoContainer: {
+    width: 64,
+    height: 64,
+    borderRadius: 18,
+    backgroundColor: '#1E293B',
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#334155',
+    marginBottom: 16,
+  },
+  logoText: {
+    color: '#FFFFFF',
+    fontSize: 24,
+    fontWeight: '800',
+    letterSpacing: -0.5,
+  },
+  coverTitle: {
+    fontSize: 20,
+    fontWeight: '700',
+    color: '#F8FAFC',
+  },
+});
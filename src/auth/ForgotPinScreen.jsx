@@ -0,0 +1,530 @@
+import { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+  StatusBar,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import Icon from 'react-native-vector-icons/Ionicons';
+import * as Haptics from 'expo-haptics';
+import api from '../api/api';
+import { PIN_LENGTH, validateNewPin } from '../utils/pinRules';
+import PinStrengthRules from '../components/PinStrengthRules';
+
+const OTP_LENGTH = 6;
+const RESEND_COOLDOWN_SECONDS = 30;
+
+const STEPS = {
+  mobile: {
+    title: 'Forgot PIN?',
+    subtitle: 'Enter your registered mobile number and we will send you a one-time code',
+  },
+  otp: {
+    title: 'Verify Mobile',
+    subtitle: 'Enter the 6-digit code sent to',
+  },
+  pin: {
+    title: 'Set New PIN',
+    subtitle: 'Choose a 4-digit PIN you have not shared with anyone',
+  },
+};
+
+// 90 -> "1:30"
+const formatCountdown = (seconds) =>
+  `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+// Turns API failures into something a client can act on
+const getErrorMessage = (err) => {
+  const code = err.response?.data?.code;
+
+  if (err.message === 'Network Error') {
+    return 'Cannot connect to server. Please check your internet connection.';
+  }
+  if (err.code === 'ECONNABORTED') {
+    return 'Request timed out. Please try again.';
+  }
+  if (code === 'OTP_EXPIRED' || err.response?.status === 410) {
+    return 'This code has expired. Tap "Resend code" to get a new one.';
+  }
+  if (code === 'OTP_INVALID') {
+    return 'Incorrect code. Please check the SMS and try again.';
+  }
+  if (code === 'TOO_MANY_ATTEMPTS' || err.response?.status === 429) {
+    return 'Too many attempts. Please wait a few minutes and try again.';
+  }
+  if (err.response?.status === 404) {
+    return 'No account is registered with this mobile number.';
+  }
+  return err.response?.data?.message || 'Something went wrong. Please try again.';
+};
+
+export default function ForgotPinScreen({ navigation, route }) {
+  const [step, setStep] = useState('mobile');
+  const [mobile, setMobile] = useState(route.params?.mobile || '');
+  const [otp, setOtp] = useState('');
+  const [resetToken, setResetToken] = useState(null);
+  const [pin, setPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+  const [resendIn, setResendIn] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /* ================= RESEND COUNTDOWN ================= */
+
+  useEffect(() => {
+    if (resendIn <= 0) return;
+
+    const timer = setTimeout(() => setResendIn(resendIn - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [resendIn]);
+
+  const showError = (message) => {
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
+    setError(message);
+  };
+
+  /* ================= STEP 1: SEND OTP ================= */
+
+  const sendOtp = async () => {
+    if (mobile.length !== 10) {
+      showError('Please enter a valid 10-digit mobile number');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      // Also reachable from Add Account while signed in; these calls must
+      // never go out with (or expire) the current account's token
+      const res = await api.post(
+        '/client-auth/forgot-pin/send-otp',
+        { mobile: mobile.trim() },
+        { skipAuth: true }
+      );
+
+      setOtp('');
+      setStep('otp');
+      setResendIn(res.data?.data?.resend_after || RESEND_COOLDOWN_SECONDS);
+    } catch (err) {
+      console.log('Send OTP error:', err.response?.data || err.message);
+      showError(getErrorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /* ================= STEP 2: VERIFY OTP ================= */
+
+  const verifyOtp = async (code = otp) => {
+    if (code.length !== OTP_LENGTH) {
+      showError(`Please enter the ${OTP_LENGTH}-digit code`);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const res = await api.post(
+        '/client-auth/forgot-pin/verify-otp',
+        { mobile: mobile.trim(), otp: code },
+        { skipAuth: true }
+      );
+
+      const token = res.data?.data?.reset_token;
+      if (!token) {
+        throw new Error('Reset token missing');
+      }
+
+      setResetToken(token);
+      setStep('pin');
+    } catch (err) {
+      console.log('Verify OTP error:', err.response?.data || err.message);
+      setOtp('');
+      showError(getErrorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Verify as soon as the code is complete, typed or auto-filled from SMS
+  const handleOtpChange = (value) => {
+    const digits = value.replace(/\D/g, '');
+    setOtp(digits);
+    setError(null);
+
+    if (digits.length === OTP_LENGTH && !loading) {
+      verifyOtp(digits);
+    }
+  };
+
+  /* ================= STEP 3: RESET PIN ================= */
+
+  const resetPin = async () => {
+    const validationError = validateNewPin(pin, confirmPin);
+    if (validationError) {
+      showError(validationError);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      await api.post(
+        '/client-auth/forgot-pin/reset',
+        { mobile: mobile.trim(), reset_token: resetToken, pin },
+        { skipAuth: true }
+      );
+
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      Alert.alert(
+        'PIN Updated',
+        'Your PIN has been reset. Sign in with your new PIN.',
+        [
+          {
+            text: 'OK',
+            onPress: () => navigation.navigate(route.params?.returnTo || 'Login', { mobile }),
+          },
+        ]
+      );
+    } catch (err) {
+      console.log('Reset PIN error:', err.response?.data || err.message);
+
+      // The reset token is short-lived; start over from the OTP step
+      if (err.response?.data?.code === 'OTP_EXPIRED' || err.response?.status === 410) {
+        setStep('otp');
+        setOtp('');
+        setResetToken(null);
+      }
+      showError(getErrorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const goBack = () => {
+    setError(null);
+    if (step === 'otp') setStep('mobile');
+    else if (step === 'pin') setStep('otp');
+    else navigation.goBack();
+  };
+
+  /* ================= UI ================= */
+
+  const renderInput = (props) => (
+    <View style={[styles.inputWrapper, error && styles.inputWrapperError]}>
+      <TextInput
+        placeholderTextColor="#5A6475"
+        keyboardType="number-pad"
+        style={styles.input}
+        editable={!loading}
+        {...props}
+      />
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.safeArea}>
+      <StatusBar barStyle="light-content" backgroundColor="#060B16" />
+      <KeyboardAvoidingView
+        style={styles.container}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <ScrollView
+          contentContainerStyle={styles.scrollContainer}
+          keyboardShouldPersistTaps="handled"
+          showsVerticalScrollIndicator={false}
+        >
+          <TouchableOpacity style={styles.backButton} onPress={goBack}>
+            <Icon name="arrow-back" size={22} color="#E2E8F0" />
+          </TouchableOpacity>
+
+          <View style={styles.card}>
+            <View style={styles.cardHeader}>
+              <Text style={styles.cardTitle}>{STEPS[step].title}</Text>
+              <Text style={styles.cardSubtitle}>
+                {STEPS[step].subtitle}
+                {step === 'otp' && <Text style={styles.highlight}> +91 {mobile}</Text>}
+              </Text>
+            </View>
+
+            {/* Step indicator */}
+            <View style={styles.stepRow}>
+              {Object.keys(STEPS).map((key) => (
+                <View
+                  key={key}
+                  style={[styles.stepDot, key === step && styles.stepDotActive]}
+                />
+              ))}
+            </View>
+
+            {step === 'mobile' && (
+              <>
+                <Text style={styles.inputLabel}>MOBILE NUMBER</Text>
+                {renderInput({
+                  placeholder: 'Enter mobile number',
+                  value: mobile,
+                  onChangeText: (value) => {
+                    setMobile(value);
+                    setError(null);
+                  },
+                  maxLength: 10,
+                  autoFocus: !mobile,
+                })}
+              </>
+            )}
+
+            {step === 'otp' && (
+              <>
+                <Text style={styles.inputLabel}>ONE-TIME CODE</Text>
+                {renderInput({
+                  placeholder: '------',
+                  value: otp,
+                  onChangeText: handleOtpChange,
+                  maxLength: OTP_LENGTH,
+                  autoFocus: true,
+                  textContentType: 'oneTimeCode',
+                  autoComplete: Platform.OS === 'android' ? 'sms-otp' : 'one-time-code',
+                  style: [styles.input, styles.otpInput],
+                })}
+
+                <View style={styles.resendRow}>
+                  {resendIn > 0 ? (
+                    <Text style={styles.resendText}>
+                      Resend code in {formatCountdown(resendIn)}
+                    </Text>
+                  ) : (
+                    <TouchableOpacity onPress={sendOtp} disabled={loading}>
+                      <Text style={styles.linkText}>Resend code</Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+              </>
+            )}
+
+            {step === 'pin' && (
+              <>
+                <Text style={styles.inputLabel}>NEW PIN</Text>
+                {renderInput({
+                  placeholder: `Enter ${PIN_LENGTH}-digit PIN`,
+                  value: pin,
+                  onChangeText: (value) => {
+                    setPin(value);
+                    setError(null);
+                  },
+                  maxLength: PIN_LENGTH,
+                  secureTextEntry: true,
+                  autoFocus: true,
+                })}
+                <PinStrengthRules pin={pin} />
+
+                <Text style={[styles.inputLabel, styles.inputLabelSpaced]}>
+                  CONFIRM PIN
+                </Text>
+                {renderInput({
+                  placeholder: 'Re-enter PIN',
+                  value: confirmPin,
+                  onChangeText: (value) => {
+                    setConfirmPin(value);
+                    setError(null);
+                  },
+                  maxLength: PIN_LENGTH,
+                  secureTextEntry: true,
+                })}
+              </>
+            )}
+
+            {/* Inline error */}
+            {error && (
+              <View style={styles.errorBox}>
+                <Icon name="alert-circle" size={18} color="#EF4444" />
+                <Text style={styles.errorText}>{error}</Text>
+              </View>
+            )}
+
+            <TouchableOpacity
+              style={[styles.button, loading && styles.buttonDisabled]}
+              onPress={
+                step === 'mobile' ? sendOtp : step === 'otp' ? () => verifyOtp() : resetPin
+              }
+              disabled={loading}
+              activeOpacity={0.9}
+            >
+              <Text style={styles.buttonText}>
+                {loading
+                  ? 'Please wait...'
+                  : step === 'mobile'
+                  ? 'Send Code'
+                  : step === 'otp'
+                  ? 'Verify Code'
+                  : 'Update PIN'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+}
+
+/* ================= STYLES ================= */
+
+const styles = StyleSheet.create({
+  safeArea: {
+    flex: 1,
+    backgroundColor: '#060B16',
+  },
+  container: {
+    flex: 1,
+  },
+  scrollContainer: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    paddingHorizontal: 24,
+    paddingVertical: 40,
+  },
+  backButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: '#111827',
+    borderWidth: 1,
+    borderColor: '#1F2937',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 24,
+  },
+  card: {
+    backgroundColor: '#111827',
+    borderRadius: 24,
+    padding: 28,
+    borderWidth: 1,
+    borderColor: '#1F2937',
+    width: '100%',
+    maxWidth: 400,
+    alignSelf: 'center',
+  },
+  cardHeader: {
+    marginBottom: 20,
+  },
+  cardTitle: {
+    fontSize: 26,
+    fontWeight: '700',
+    color: '#F8FAFC',
+    marginBottom: 8,
+    letterSpacing: -0.5,
+  },
+  cardSubtitle: {
+    fontSize: 15,
+    color: '#94A3B8',
+    fontWeight: '500',
+    lineHeight: 22,
+  },
+  highlight: {
+    color: '#E2E8F0',
+    fontWeight: '700',
+  },
+  stepRow: {
+    flexDirection: 'row',
+    gap: 6,
+    marginBottom: 24,
+  },
+  stepDot: {
+    flex: 1,
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: '#1E293B',
+  },
+  stepDotActive: {
+    backgroundColor: '#3B82F6',
+  },
+  inputLabel: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#8A94A6',
+    letterSpacing: 1,
+    marginBottom: 10,
+  },
+  inputLabelSpaced: {
+    marginTop: 20,
+  },
+  inputWrapper: {
+    backgroundColor: '#0F172A',
+    borderRadius: 16,
+    borderWidth: 1.5,
+    borderColor: '#1E293B',
+    paddingHorizontal: 20,
+    height: 60,
+    justifyContent: 'center',
+  },
+  inputWrapperError: {
+    borderColor: '#EF4444',
+  },
+  input: {
+    color: '#FFFFFF',
+    fontSize: 17,
+    fontWeight: '500',
+    letterSpacing: 0.3,
+  },
+  otpInput: {
+    fontSize: 24,
+    letterSpacing: 12,
+    textAlign: 'center',
+  },
+  resendRow: {
+    alignItems: 'flex-end',
+    marginTop: 12,
+  },
+  resendText: {
+    fontSize: 14,
+    color: '#64748B',
+    fontWeight: '500',
+  },
+  linkText: {
+    fontSize: 14,
+    color: '#60A5FA',
+    fontWeight: '600',
+  },
+  errorBox: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    backgroundColor: 'rgba(239, 68, 68, 0.1)',
+    borderWidth: 1,
+    borderColor: 'rgba(239, 68, 68, 0.3)',
+    borderRadius: 12,
+    padding: 12,
+    marginTop: 16,
+  },
+  errorText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#FCA5A5',
+    fontWeight: '500',
+  },
+  button: {
+    backgroundColor: '#3B82F6',
+    borderRadius: 16,
+    height: 56,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: 24,
+  },
+  buttonDisabled: {
+    backgroundColor: '#374151',
+  },
+  buttonText: {
+    color: '#FFFFFF',
+    fontSize: 17,
+    fontWeight: '700',
+  },
+});
@@ -18,14 +18,36 @@ import {
 } from 'react-native';
 import api from '../api/api';
 import { AuthContext } from './authContext';
-import { registerForPushNotifications } from '../utils/pushNotifications';
+import {
+  isBiometricAvailable,
+  getBiometricLabel,
+  authenticateWithBiometrics,
+} from '../utils/biometrics';
 import Icon from 'react-native-vector-icons/Ionicons';
 import * as Haptics from 'expo-haptics';
 
 const { width, height } = Dimensions.get('window');
 
-export default function LoginScreen() {
-  const { login } = useContext(AuthContext);
+export default function LoginScreen({ navigation, route }) {
+  const {
+    login,
+    sessionExpired,
+    biometricEnabled,
+    setBiometricEnabled,
+    token,
+    accounts,
+    activeAccountId,
+    switchAccount,
+  } = useContext(AuthContext);
+
+  // Opened from the account switcher, or signed out of one of several accounts
+  const addingAccount = route.name === 'AddAccount';
+  const canGoBack = addingAccount || (!token && accounts.length > 0);
+
+  const handleBack = () => {
+    if (addingAccount) navigation.goBack();
+    else switchAccount(accounts[0].id);
+  };
 
   const [mobile, setMobile] = useState('');
   const [pin, setPin] = useState('');
@@ -62,6 +84,14 @@ export default function LoginScreen() {
     ]).start();
   }, []);
 
+  // Coming back from the forgot-PIN flow with the number already verified
+  useEffect(() => {
+    if (route.params?.mobile) {
+      setMobile(route.params.mobile);
+      setPin('');
+    }
+  }, [route.params?.mobile]);
+
   const handleFocus = (field) => {
     setIsFocused({ ...isFocused, [field]: true });
     Haptics.selectionAsync();
@@ -71,6 +101,35 @@ export default function LoginScreen() {
     setIsFocused({ ...isFocused, [field]: false });
   };
 
+  // Asked once, after the first PIN login on this device
+  const offerBiometricUnlock = async () => {
+    if (biometricEnabled !== null) return;
+    if (!(await isBiometricAvailable())) return;
+
+    const label = await getBiometricLabel();
+
+    Alert.alert(
+      `Enable ${label}?`,
+      `Unlock the app with ${label} next time instead of typing your PIN.`,
+      [
+        {
+          text: 'Not Now',
+          style: 'cancel',
+          onPress: () => setBiometricEnabled(false),
+        },
+        {
+          text: 'Enable',
+          onPress: async () => {
+            const confirmed = await authenticateWithBiometrics(
+              `Confirm ${label} to enable quick unlock`
+            );
+            await setBiometricEnabled(confirmed);
+          },
+        },
+      ]
+    );
+  };
+
   const handleLogin = async () => {
     if (mobile.length !== 10 || pin.length !== 4) {
       Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
@@ -105,20 +164,25 @@ export default function LoginScreen() {
         pin: pin,
       };
 
-      const res = await api.post('/client-auth/login', payload);
+      // Sent without the current account's token, even when adding another
+      // account, so a wrong PIN can't be taken for an expired session
+      const res = await api.post('/client-auth/login', payload, { skipAuth: true });
 
       const token = res.data?.data?.token;
       if (!token) {
         throw new Error('Token missing');
       }
 
-      await login(token);
+      await login(token, res.data?.data?.refresh_token, payload.mobile);
+
+      // A different account remounts the app; signing in to the current one again doesn't
+      if (addingAccount && payload.mobile === activeAccountId) {
+        navigation.goBack();
+      }
       
       Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
-      
-      registerForPushNotifications().catch(() => {
-        console.log('Push registration skipped');
-      });
+
+      offerBiometricUnlock();
    } catch (err) {
   console.log('========== LOGIN ERROR START ==========');
   console.log('Message:', err.message);
@@ -189,6 +253,19 @@ export default function LoginScreen() {
                 },
               ]}
             >
+              {canGoBack && (
+                <TouchableOpacity
+                  style={styles.backButton}
+                  onPress={handleBack}
+                  disabled={loading}
+                >
+                  <Icon name="chevron-back" size={20} color="#94A3B8" />
+                  <Text style={styles.backButtonText}>
+                    {addingAccount ? 'Cancel' : 'Back to my accounts'}
+                  </Text>
+                </TouchableOpacity>
+              )}
+
               {/* Logo Header - Now positioned with proper top spacing */}
               <View style={styles.header}>
                 <View style={styles.logoWrapper}>
@@ -203,11 +280,30 @@ export default function LoginScreen() {
                 <Text style={styles.headerSubtitle}>Client Portal</Text>
               </View>
 
+              {/* Session Expired Banner */}
+              {sessionExpired && (
+                <View style={styles.expiredBanner}>
+                  <Icon name="time-outline" size={20} color="#F59E0B" />
+                  <View style={styles.expiredBannerContent}>
+                    <Text style={styles.expiredBannerTitle}>Your session expired</Text>
+                    <Text style={styles.expiredBannerText}>
+                      Please sign in again to continue where you left off
+                    </Text>
+                  </View>
+                </View>
+              )}
+
               {/* Login Card */}
               <View style={styles.card}>
                 <View style={styles.cardHeader}>
-                  <Text style={styles.cardTitle}>Welcome Back</Text>
-                  <Text style={styles.cardSubtitle}>Sign in to your account</Text>
+                  <Text style={styles.cardTitle}>
+                    {addingAccount ? 'Add Account' : 'Welcome Back'}
+                  </Text>
+                  <Text style={styles.cardSubtitle}>
+                    {addingAccount
+                      ? 'Sign in to another client account'
+                      : 'Sign in to your account'}
+                  </Text>
                 </View>
 
                 {/* Mobile Input */}
@@ -274,7 +370,17 @@ export default function LoginScreen() {
                       <Icon name="checkmark-circle" size={20} color="#10B981" style={styles.validationIcon} />
                     )}
                   </View>
-                  <Text style={styles.inputHint}>Enter the 4-digit PIN you created</Text>
+                  <View style={styles.pinHintRow}>
+                    <Text style={styles.inputHint}>Enter the 4-digit PIN you created</Text>
+                    <TouchableOpacity
+                      onPress={() =>
+                        navigation.navigate('ForgotPin', { mobile, returnTo: route.name })
+                      }
+                      disabled={loading}
+                    >
+                      <Text style={styles.forgotPinText}>Forgot PIN?</Text>
+                    </TouchableOpacity>
+                  </View>
                 </View>
 
                 {/* Login Button */}
@@ -365,6 +471,19 @@ const styles = StyleSheet.create({
     // Add margin top for additional spacing if needed
     marginTop: Platform.OS === 'ios' ? 20 : 10,
   },
+  backButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    gap: 4,
+    paddingVertical: 8,
+    marginBottom: 8,
+  },
+  backButtonText: {
+    color: '#94A3B8',
+    fontSize: 14,
+    fontWeight: '600',
+  },
   header: {
     alignItems: 'center',
     marginBottom: 48,
@@ -432,6 +551,31 @@ const styles = StyleSheet.create({
     letterSpacing: 1,
     fontWeight: '500',
   },
+  expiredBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    backgroundColor: 'rgba(245, 158, 11, 0.1)',
+    borderWidth: 1,
+    borderColor: 'rgba(245, 158, 11, 0.3)',
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 20,
+  },
+  expiredBannerContent: {
+    flex: 1,
+  },
+  expiredBannerTitle: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#F59E0B',
+    marginBottom: 2,
+  },
+  expiredBannerText: {
+    fontSize: 13,
+    color: '#CBD5E1',
+    fontWeight: '500',
+  },
   card: {
     backgroundColor: '#111827',
     borderRadius: 24,
@@ -531,6 +675,17 @@ const styles = StyleSheet.create({
     marginLeft: 4,
     fontWeight: '400',
   },
+  pinHintRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  forgotPinText: {
+    fontSize: 13,
+    color: '#60A5FA',
+    fontWeight: '600',
+    marginTop: 8,
+  },
   button: {
     backgroundColor: '#3B82F6',
     borderRadius: 16,
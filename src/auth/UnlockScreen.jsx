@@ -0,0 +1,351 @@
+import { useContext, useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+  StatusBar,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import Icon from 'react-native-vector-icons/Ionicons';
+import * as Haptics from 'expo-haptics';
+import api from '../api/api';
+import { AuthContext } from './authContext';
+import { getMobile } from '../utils/authStorage';
+import {
+  getBiometricLabel,
+  authenticateWithBiometrics,
+} from '../utils/biometrics';
+
+/**
+ * Shown over the app while the session is locked.
+ * The token stays in SecureStore; biometrics or the 4-digit PIN unlock it.
+ */
+export default function UnlockScreen() {
+  const { unlock, login, logout, biometricEnabled } = useContext(AuthContext);
+
+  const [mobile, setMobile] = useState(null);
+  const [biometricLabel, setBiometricLabel] = useState('Biometrics');
+  const [pin, setPin] = useState('');
+  const [showPin, setShowPin] = useState(!biometricEnabled);
+  const [verifying, setVerifying] = useState(false);
+
+  const promptBiometrics = async () => {
+    const success = await authenticateWithBiometrics('Unlock Imperium Partners');
+
+    if (success) {
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      unlock();
+    } else {
+      setShowPin(true);
+    }
+  };
+
+  // Prompt once when the lock appears
+  useEffect(() => {
+    getMobile().then(setMobile);
+
+    if (biometricEnabled) {
+      getBiometricLabel().then(setBiometricLabel);
+      promptBiometrics();
+    }
+  }, []);
+
+  const handleUnlockWithPin = async () => {
+    if (pin.length !== 4) {
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
+      Alert.alert('Validation Error', 'Please enter your 4-digit PIN');
+      return;
+    }
+
+    try {
+      setVerifying(true);
+
+      const res = await api.post(
+        '/client-auth/login',
+        { mobile, pin },
+        { skipAuth: true }
+      );
+
+      const token = res.data?.data?.token;
+      if (!token) {
+        throw new Error('Token missing');
+      }
+
+      await login(token, res.data?.data?.refresh_token, mobile);
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+    } catch (err) {
+      console.log('Unlock error:', err.response?.data || err.message);
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
+      setPin('');
+
+      let errorMessage = 'Something went wrong. Please try again.';
+
+      if (err.message === 'Network Error') {
+        errorMessage = 'Cannot connect to server. Please check internet or server.';
+      } else if (err.response?.status === 401) {
+        errorMessage = 'Incorrect PIN. Please try again.';
+      } else if (err.response?.data?.message) {
+        errorMessage = err.response.data.message;
+      }
+
+      Alert.alert('Unlock Failed', errorMessage);
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  const confirmSignOut = () => {
+    Alert.alert(
+      'Sign Out',
+      'You will need your mobile number and PIN to sign in again.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Sign Out', style: 'destructive', onPress: () => logout() },
+      ]
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.safeArea}>
+      <StatusBar barStyle="light-content" backgroundColor="#060B16" />
+      <KeyboardAvoidingView
+        style={styles.container}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <View style={styles.content}>
+          {/* Lock Header */}
+          <View style={styles.header}>
+            <View style={styles.lockIcon}>
+              <Icon name="lock-closed" size={32} color="#3B82F6" />
+            </View>
+            <Text style={styles.headerTitle}>App Locked</Text>
+            <Text style={styles.headerSubtitle}>
+              {mobile ? `Signed in as +91 ${mobile}` : 'Verify it is you to continue'}
+            </Text>
+          </View>
+
+          <View style={styles.card}>
+            {/* Biometric Unlock */}
+            {biometricEnabled && (
+              <TouchableOpacity
+                style={styles.button}
+                onPress={promptBiometrics}
+                activeOpacity={0.9}
+              >
+                <View style={styles.buttonContent}>
+                  <Icon
+                    name={biometricLabel.includes('Face') ? 'scan-outline' : 'finger-print'}
+                    size={22}
+                    color="#FFFFFF"
+                  />
+                  <Text style={styles.buttonText}>Unlock with {biometricLabel}</Text>
+                </View>
+              </TouchableOpacity>
+            )}
+
+            {/* PIN Fallback */}
+            {showPin && mobile && (
+              <View style={biometricEnabled && styles.pinSection}>
+                <View style={styles.labelRow}>
+                  <Icon name="keypad-outline" size={16} color="#8A94A6" />
+                  <Text style={styles.inputLabel}>SECURITY PIN</Text>
+                </View>
+                <View style={styles.inputWrapper}>
+                  <TextInput
+                    placeholder="Enter 4-digit PIN"
+                    placeholderTextColor="#5A6475"
+                    value={pin}
+                    onChangeText={setPin}
+                    keyboardType="number-pad"
+                    secureTextEntry
+                    maxLength={4}
+                    style={styles.input}
+                    editable={!verifying}
+                    autoFocus={!biometricEnabled}
+                  />
+                </View>
+                <TouchableOpacity
+                  style={[
+                    styles.button,
+                    styles.pinButton,
+                    verifying && styles.buttonDisabled,
+                  ]}
+                  onPress={handleUnlockWithPin}
+                  disabled={verifying}
+                  activeOpacity={0.9}
+                >
+                  <Text style={styles.buttonText}>
+                    {verifying ? 'Verifying...' : 'Unlock with PIN'}
+                  </Text>
+                </TouchableOpacity>
+              </View>
+            )}
+
+            {/* Sessions from before the unlock screen have no saved mobile */}
+            {showPin && !mobile && (
+              <View style={biometricEnabled && styles.pinSection}>
+                <Text style={styles.hintText}>
+                  Sign in again with your mobile number and PIN to continue.
+                </Text>
+                <TouchableOpacity
+                  style={[styles.button, styles.pinButton]}
+                  onPress={() => logout()}
+                  activeOpacity={0.9}
+                >
+                  <Text style={styles.buttonText}>Sign In with PIN</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+
+            {!showPin && (
+              <TouchableOpacity
+                style={styles.linkButton}
+                onPress={() => setShowPin(true)}
+              >
+                <Text style={styles.linkText}>Use PIN instead</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+
+          <TouchableOpacity style={styles.linkButton} onPress={confirmSignOut}>
+            <Text style={styles.signOutText}>Not you? Sign out</Text>
+          </TouchableOpacity>
+        </View>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+}
+
+/* ================= STYLES ================= */
+
+const styles = StyleSheet.create({
+  safeArea: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: '#060B16',
+    zIndex: 2000,
+  },
+  container: {
+    flex: 1,
+    justifyContent: 'center',
+    paddingHorizontal: 24,
+  },
+  content: {
+    width: '100%',
+    maxWidth: 400,
+    alignSelf: 'center',
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: 32,
+  },
+  lockIcon: {
+    width: 72,
+    height: 72,
+    borderRadius: 36,
+    backgroundColor: '#1E293B',
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#334155',
+    marginBottom: 20,
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontWeight: '700',
+    color: '#FFFFFF',
+    marginBottom: 6,
+    letterSpacing: -0.5,
+  },
+  headerSubtitle: {
+    fontSize: 15,
+    color: '#94A3B8',
+    fontWeight: '500',
+  },
+  card: {
+    backgroundColor: '#111827',
+    borderRadius: 24,
+    padding: 24,
+    borderWidth: 1,
+    borderColor: '#1F2937',
+  },
+  pinSection: {
+    marginTop: 24,
+    paddingTop: 24,
+    borderTopWidth: 1,
+    borderTopColor: '#1F2937',
+  },
+  labelRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 10,
+  },
+  inputLabel: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#8A94A6',
+    letterSpacing: 1,
+  },
+  inputWrapper: {
+    backgroundColor: '#0F172A',
+    borderRadius: 16,
+    borderWidth: 1.5,
+    borderColor: '#1E293B',
+    paddingHorizontal: 20,
+    height: 60,
+    justifyContent: 'center',
+  },
+  input: {
+    color: '#FFFFFF',
+    fontSize: 17,
+    fontWeight: '500',
+    letterSpacing: 0.3,
+  },
+  hintText: {
+    fontSize: 14,
+    color: '#94A3B8',
+    lineHeight: 20,
+  },
+  button: {
+    backgroundColor: '#3B82F6',
+    borderRadius: 16,
+    height: 56,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  pinButton: {
+    marginTop: 16,
+  },
+  buttonDisabled: {
+    backgroundColor: '#374151',
+  },
+  buttonContent: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+  },
+  buttonText: {
+    color: '#FFFFFF',
+    fontSize: 17,
+    fontWeight: '700',
+  },
+  linkButton: {
+    alignItems: 'center',
+    paddingVertical: 16,
+  },
+  linkText: {
+    color: '#60A5FA',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  signOutText: {
+    color: '#9CA3AF',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+});
@@ -0,0 +1,238 @@
+import { Alert } from 'react-native';
+import { act, fireEvent, render, screen } from '@testing-library/react-native';
+import api from '../../api/api';
+import ForgotPinScreen from '../ForgotPinScreen';
+
+jest.mock('../../api/api', () => ({
+  __esModule: true,
+  default: { post: jest.fn() },
+}));
+
+jest.mock('react-native-safe-area-context', () =>
+  require('react-native-safe-area-context/jest/mock').default
+);
+
+const MOBILE = '9876543210';
+
+// Shaped like an axios error response
+const apiError = (status, code) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, data: { code } },
+  });
+
+const renderScreen = (params = {}) => {
+  const navigation = { navigate: jest.fn(), goBack: jest.fn() };
+  render(<ForgotPinScreen navigation={navigation} route={{ params }} />);
+  return navigation;
+};
+
+const sendCode = async (resendAfter) => {
+  api.post.mockResolvedValueOnce({ data: { data: { resend_after: resendAfter } } });
+  fireEvent.press(screen.getByText('Send Code'));
+  await screen.findByText('Verify Mobile');
+};
+
+const enterCode = async (code, result) => {
+  if (result instanceof Error) api.post.mockRejectedValueOnce(result);
+  else api.post.mockResolvedValueOnce(result);
+
+  fireEvent.changeText(screen.getByPlaceholderText('------'), code);
+  await act(async () => {});
+};
+
+// The resend countdown runs on these
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.clearAllMocks();
+  jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('send code', () => {
+  it('sends the code without the current session and starts the countdown', async () => {
+    renderScreen({ mobile: MOBILE });
+    await sendCode();
+
+    expect(api.post).toHaveBeenCalledWith(
+      '/client-auth/forgot-pin/send-otp',
+      { mobile: MOBILE },
+      { skipAuth: true }
+    );
+    expect(screen.getByText('Resend code in 0:30')).toBeTruthy();
+  });
+
+  it('rejects a short mobile number without calling the API', () => {
+    renderScreen({ mobile: '98765' });
+    fireEvent.press(screen.getByText('Send Code'));
+
+    expect(api.post).not.toHaveBeenCalled();
+    expect(screen.getByText('Please enter a valid 10-digit mobile number')).toBeTruthy();
+  });
+
+  it('explains a 429 from the server', async () => {
+    renderScreen({ mobile: MOBILE });
+    api.post.mockRejectedValueOnce(apiError(429));
+
+    fireEvent.press(screen.getByText('Send Code'));
+
+    expect(
+      await screen.findByText('Too many attempts. Please wait a few minutes and try again.')
+    ).toBeTruthy();
+    expect(screen.getByText('Forgot PIN?')).toBeTruthy();
+  });
+});
+
+describe('resend countdown', () => {
+  it('counts down from the server cooldown, then offers a resend', async () => {
+    renderScreen({ mobile: MOBILE });
+    await sendCode(3);
+
+    expect(screen.getByText('Resend code in 0:03')).toBeTruthy();
+
+    for (let second = 0; second < 3; second += 1) {
+      act(() => jest.advanceTimersByTime(1000));
+    }
+    expect(screen.queryByText(/Resend code in/)).toBeNull();
+
+    api.post.mockResolvedValueOnce({ data: { data: {} } });
+    fireEvent.press(screen.getByText('Resend code'));
+    await act(async () => {});
+
+    expect(api.post).toHaveBeenCalledTimes(2);
+    expect(screen.getByText('Resend code in 0:30')).toBeTruthy();
+  });
+
+  it('shows minutes for a cooldown of a minute or more', async () => {
+    renderScreen({ mobile: MOBILE });
+    await sendCode(90);
+
+    expect(screen.getByText('Resend code in 1:30')).toBeTruthy();
+
+    for (let second = 0; second < 31; second += 1) {
+      act(() => jest.advanceTimersByTime(1000));
+    }
+    expect(screen.getByText('Resend code in 0:59')).toBeTruthy();
+  });
+});
+
+describe('verify code', () => {
+  it('verifies as soon as six digits are entered', async () => {
+    renderScreen({ mobile: MOBILE });
+    await sendCode();
+    await enterCode('123456', { data: { data: { reset_token: 'reset-1' } } });
+
+    expect(api.post).toHaveBeenLastCalledWith(
+      '/client-auth/forgot-pin/verify-otp',
+      { mobile: MOBILE, otp: '123456' },
+      { skipAuth: true }
+    );
+    expect(screen.getByText('Set New PIN')).toBeTruthy();
+  });
+
+  it('clears an invalid code and says so', async () => {
+    renderScreen({ mobile: MOBILE });
+    await sendCode();
+    await enterCode('111111', apiError(400, 'OTP_INVALID'));
+
+    expect(screen.getByText('Incorrect code. Please check the SMS and try again.')).toBeTruthy();
+    expect(screen.getByPlaceholderText('------').props.value).toBe('');
+  });
+
+  it.each([
+    ['a 410', apiError(410)],
+    ['OTP_EXPIRED', apiError(400, 'OTP_EXPIRED')],
+  ])('points to a resend when the code has expired (%s)', async (_, error) => {
+    renderScreen({ mobile: MOBILE });
+    await sendCode();
+    await enterCode('123456', error);
+
+    expect(
+      screen.getByText('This code has expired. Tap "Resend code" to get a new one.')
+    ).toBeTruthy();
+    expect(screen.getByText('Verify Mobile')).toBeTruthy();
+  });
+
+  it('explains a 429 from the server', async () => {
+    renderScreen({ mobile: MOBILE });
+    await sendCode();
+    await enterCode('123456', apiError(429));
+
+    expect(
+      screen.getByText('Too many attempts. Please wait a few minutes and try again.')
+    ).toBeTruthy();
+  });
+});
+
+describe('reset PIN', () => {
+  const reachPinStep = async () => {
+    await sendCode();
+    await enterCode('123456', { data: { data: { reset_token: 'reset-1' } } });
+  };
+
+  const enterPins = (pin, confirmPin) => {
+    fireEvent.changeText(screen.getByPlaceholderText('Enter 4-digit PIN'), pin);
+    fireEvent.changeText(screen.getByPlaceholderText('Re-enter PIN'), confirmPin);
+  };
+
+  it('resets with the reset token and returns to sign in', async () => {
+    const navigation = renderScreen({ mobile: MOBILE });
+    await reachPinStep();
+
+    api.post.mockResolvedValueOnce({ data: { data: {} } });
+    enterPins('4826', '4826');
+    fireEvent.press(screen.getByText('Update PIN'));
+    await act(async () => {});
+
+    expect(api.post).toHaveBeenLastCalledWith(
+      '/client-auth/forgot-pin/reset',
+      { mobile: MOBILE, reset_token: 'reset-1', pin: '4826' },
+      { skipAuth: true }
+    );
+    expect(Alert.alert).toHaveBeenCalledWith('PIN Updated', expect.any(String), expect.any(Array));
+
+    const [, , buttons] = Alert.alert.mock.calls[0];
+    buttons[0].onPress();
+    expect(navigation.navigate).toHaveBeenCalledWith('Login', { mobile: MOBILE });
+  });
+
+  it('does not send a weak PIN', async () => {
+    renderScreen({ mobile: MOBILE });
+    await reachPinStep();
+
+    enterPins('1234', '1234');
+    fireEvent.press(screen.getByText('Update PIN'));
+
+    expect(api.post).toHaveBeenCalledTimes(2);
+    expect(screen.getByText('PIN cannot be a sequence like 1234 or 4321')).toBeTruthy();
+  });
+
+  it('goes back to the code step when the reset token has expired', async () => {
+    renderScreen({ mobile: MOBILE });
+    await reachPinStep();
+
+    api.post.mockRejectedValueOnce(apiError(410));
+    enterPins('4826', '4826');
+    fireEvent.press(screen.getByText('Update PIN'));
+    await act(async () => {});
+
+    expect(screen.getByText('Verify Mobile')).toBeTruthy();
+    expect(
+      screen.getByText('This code has expired. Tap "Resend code" to get a new one.')
+    ).toBeTruthy();
+  });
+
+  it('explains a 429 from the server', async () => {
+    renderScreen({ mobile: MOBILE });
+    await reachPinStep();
+
+    api.post.mockRejectedValueOnce(apiError(429));
+    enterPins('4826', '4826');
+    fireEvent.press(screen.getByText('Update PIN'));
+    await act(async () => {});
+
+    expect(
+      screen.getByText('Too many attempts. Please wait a few minutes and try again.')
+    ).toBeTruthy();
+    expect(screen.getByText('Set New PIN')).toBeTruthy();
+  });
+});
@@ -1,33 +1,268 @@
-import { createContext, useEffect, useState } from 'react';
-import { getToken, saveToken, removeToken } from '../utils/authStorage';
+import { createContext, useEffect, useRef, useState } from 'react';
+import * as Notifications from 'expo-notifications';
+import api from '../api/api';
+import {
+  getSessions,
+  saveSession,
+  removeSession,
+  getActiveSessionId,
+  setActiveSessionId,
+  migrateLegacySession,
+  getToken,
+  saveToken,
+  saveRefreshToken,
+  removeRefreshToken,
+  getBiometricEnabled,
+  saveBiometricEnabled,
+  removeBiometricEnabled,
+  getAppLockTimeout,
+  saveAppLockTimeout,
+  getBackgroundedAt,
+  removeBackgroundedAt,
+} from '../utils/authStorage';
+import { onSessionExpired, emitAccountChanged } from './sessionEvents';
+import {
+  registerForPushNotifications,
+  unregisterPushNotifications,
+} from '../utils/pushNotifications';
+
+// The device's push token is only ever registered for the active account
+const syncPushRegistration = () => {
+  registerForPushNotifications().catch(() => {
+    console.log('Push registration skipped');
+  });
+};
+
+export const APP_LOCK_NEVER = -1;
+export const DEFAULT_APP_LOCK_TIMEOUT = 5 * 60 * 1000;
 
 export const AuthContext = createContext();
 
 export const AuthProvider = ({ children }) => {
   const [token, setToken] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [sessionExpired, setSessionExpired] = useState(false);
+  // Logged in, but the app is waiting for biometrics / PIN before showing data
+  const [locked, setLocked] = useState(false);
+  const [biometricEnabled, setBiometricEnabledState] = useState(null);
+  const [appLockTimeout, setAppLockTimeoutState] = useState(DEFAULT_APP_LOCK_TIMEOUT);
+  // Every signed-in client account on this device: { id, mobile, name }
+  const [accounts, setAccounts] = useState([]);
+  const [activeAccountId, setActiveAccountId] = useState(null);
+  const tokenRef = useRef(null);
+  const activeAccountIdRef = useRef(null);
+
+  useEffect(() => {
+    tokenRef.current = token;
+  }, [token]);
+
+  useEffect(() => {
+    activeAccountIdRef.current = activeAccountId;
+  }, [activeAccountId]);
 
   useEffect(() => {
     const loadToken = async () => {
+      await migrateLegacySession();
+
+      const sessions = await getSessions();
+      let sessionId = await getActiveSessionId();
+      if (!sessions.some((s) => s.id === sessionId)) {
+        sessionId = sessions[0]?.id || null;
+        await setActiveSessionId(sessionId);
+      }
+
       const storedToken = await getToken();
-      if (storedToken) setToken(storedToken);
+      const storedBiometric = await getBiometricEnabled();
+      const storedLockTimeout = await getAppLockTimeout();
+      const backgroundedAt = await getBackgroundedAt();
+      // The app is in front now
+      await removeBackgroundedAt();
+
+      setAccounts(sessions);
+      setActiveAccountId(sessionId);
+      setBiometricEnabledState(storedBiometric);
+      if (storedLockTimeout !== null) setAppLockTimeoutState(storedLockTimeout);
+      if (storedToken) {
+        // A relaunch is treated like coming back from the background. Without a
+        // time to go by (it crashed, or was killed while locked) it locks.
+        const lockTimeout = storedLockTimeout ?? DEFAULT_APP_LOCK_TIMEOUT;
+        const elapsed = backgroundedAt === null ? null : Date.now() - backgroundedAt;
+        setLocked(
+          lockTimeout !== APP_LOCK_NEVER &&
+          (elapsed === null || elapsed < 0 || elapsed >= lockTimeout)
+        );
+        setToken(storedToken);
+        // Picks up a token that rotated while the app was closed
+        syncPushRegistration();
+        // Sessions migrated from before multi-account support have no name yet
+        if (!sessions.find((s) => s.id === sessionId)?.name) {
+          loadAccountName(sessionId);
+        }
+      }
       setLoading(false);
     };
     loadToken();
   }, []);
 
-  const login = async (jwtToken) => {
+  // Expo can issue a new push token at any time while the app is running
+  useEffect(() => {
+    if (!token) return;
+
+    const subscription = Notifications.addPushTokenListener(syncPushRegistration);
+    return () => subscription.remove();
+  }, [token]);
+
+  // Forced logout when the API rejects our token
+  useEffect(() => {
+    return onSessionExpired(async () => {
+      // Several requests can fail with 401 at once; only react to the first
+      if (!tokenRef.current) return;
+      tokenRef.current = null;
+
+      // Only the account whose token was rejected is signed out. Its push
+      // registration goes first, or the device keeps getting its notifications.
+      // A half-written request is kept for when they sign back in.
+      await unregisterPushNotifications({ skipAuth: true });
+      const sessions = await removeSession(activeAccountIdRef.current, { keepDraft: true });
+      await setActiveSessionId(null);
+      emitAccountChanged(null);
+      setAccounts(sessions);
+      setActiveAccountId(null);
+      setSessionExpired(true);
+      setLocked(false);
+      setToken(null);
+    });
+  }, []);
+
+  // Display name for the account switcher; the mobile number is shown until it loads
+  const loadAccountName = async (sessionId) => {
+    try {
+      const res = await api.get('/clients/profile/me');
+      const profile = res.data?.data;
+      const name = profile?.business_name || profile?.name;
+      if (!name) return;
+
+      setAccounts(await saveSession({ id: sessionId, name }));
+    } catch (err) {
+      console.log('Account name error:', err.response?.data || err.message);
+    }
+  };
+
+  const activateSession = async (sessionId) => {
+    await setActiveSessionId(sessionId);
+    const sessionToken = sessionId ? await getToken() : null;
+
+    emitAccountChanged(sessionId);
+    setActiveAccountId(sessionId);
+    setSessionExpired(false);
+    setLocked(false);
+    setToken(sessionToken);
+
+    return sessionToken;
+  };
+
+  /**
+   * Without a mobile number the tokens belong to the active account
+   * (e.g. fresh tokens after a PIN change), and its refresh token is only
+   * replaced when a new one is given; with one, that account is added or
+   * signed back in and becomes the active one.
+   */
+  const login = async (jwtToken, refreshToken, mobile) => {
+    const sessionId = mobile || activeAccountIdRef.current;
+    const switching = sessionId !== activeAccountIdRef.current;
+
+    // Signing in to another account on top of the current one
+    if (switching && tokenRef.current) {
+      await unregisterPushNotifications();
+    }
+
+    if (mobile) {
+      setAccounts(await saveSession({ id: sessionId, mobile }));
+    }
+    await setActiveSessionId(sessionId);
     await saveToken(jwtToken);
+    if (refreshToken) {
+      await saveRefreshToken(refreshToken);
+    } else if (mobile) {
+      // A sign-in without one must not leave an older one behind
+      await removeRefreshToken();
+    }
+    // Otherwise the active account keeps the refresh token it has
+
+    if (switching) emitAccountChanged(sessionId);
+    setActiveAccountId(sessionId);
+    setSessionExpired(false);
+    setLocked(false);
     setToken(jwtToken);
+
+    if (mobile) {
+      loadAccountName(sessionId);
+      syncPushRegistration();
+    }
   };
 
+  const switchAccount = async (sessionId) => {
+    if (sessionId === activeAccountIdRef.current) return;
+
+    // Push notifications follow the account the device is showing
+    await unregisterPushNotifications();
+    const sessionToken = await activateSession(sessionId);
+    if (sessionToken) syncPushRegistration();
+  };
+
+  // Signs out of the active account; the next one (if any) takes over
   const logout = async () => {
-    await removeToken();
-    setToken(null);
+    // Stop this phone receiving the account's notifications
+    await unregisterPushNotifications();
+    const sessions = await removeSession(activeAccountIdRef.current);
+    setAccounts(sessions);
+
+    if (sessions.length > 0) {
+      await activateSession(sessions[0].id);
+      syncPushRegistration();
+      return;
+    }
+
+    // The next person to sign in on this phone gets asked again
+    await removeBiometricEnabled();
+    setBiometricEnabledState(null);
+    await activateSession(null);
+  };
+
+  const lock = () => setLocked(true);
+
+  const unlock = () => setLocked(false);
+
+  const setBiometricEnabled = async (enabled) => {
+    await saveBiometricEnabled(enabled);
+    setBiometricEnabledState(enabled);
+  };
+
+  const setAppLockTimeout = async (timeout) => {
+    await saveAppLockTimeout(timeout);
+    setAppLockTimeoutState(timeout);
   };
 
   return (
-    <AuthContext.Provider value={{ token, login, logout, loading }}>
+    <AuthContext.Provider
+      value={{
+        token,
+        login,
+        logout,
+        loading,
+        sessionExpired,
+        locked,
+        lock,
+        unlock,
+        biometricEnabled,
+        setBiometricEnabled,
+        appLockTimeout,
+        setAppLockTimeout,
+        accounts,
+        activeAccountId,
+        switchAccount,
+      }}
+    >
       {children}
     </AuthContext.Provider>
   );
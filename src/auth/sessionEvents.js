@@ -0,0 +1,26 @@
+// Lets non-React code (the axios interceptors, module-level caches)
+// and AuthProvider tell each other about session changes.
+const createEvent = () => {
+  const listeners = new Set();
+
+  return {
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    emit: (payload) => {
+      listeners.forEach((listener) => listener(payload));
+    },
+  };
+};
+
+// The API rejected the current token and it could not be refreshed
+const sessionExpired = createEvent();
+export const onSessionExpired = sessionExpired.subscribe;
+export const emitSessionExpired = sessionExpired.emit;
+
+// A different client account became active (switch, sign-in, sign-out);
+// anything cached for the previous account must be dropped
+const accountChanged = createEvent();
+export const onAccountChanged = accountChanged.subscribe;
+export const emitAccountChanged = accountChanged.emit;
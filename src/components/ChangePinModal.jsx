@@ -0,0 +1,301 @@
+import { useContext, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import api from '../api/api';
+import { AuthContext } from '../auth/authContext';
+import { PIN_LENGTH, validateNewPin } from '../utils/pinRules';
+import PinStrengthRules from './PinStrengthRules';
+
+export default function ChangePinModal({ visible, onClose }) {
+  const { login } = useContext(AuthContext);
+
+  const [currentPin, setCurrentPin] = useState('');
+  const [newPin, setNewPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const reset = () => {
+    setCurrentPin('');
+    setNewPin('');
+    setConfirmPin('');
+    setError(null);
+  };
+
+  const close = () => {
+    if (saving) return;
+    reset();
+    onClose();
+  };
+
+  const changePin = async () => {
+    if (currentPin.length !== PIN_LENGTH) {
+      setError('Please enter your current PIN');
+      return;
+    }
+
+    const validationError = validateNewPin(newPin, confirmPin);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    if (newPin === currentPin) {
+      setError('New PIN must be different from your current PIN');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError(null);
+
+      // The server signs out every other session and sends a confirmation push
+      const res = await api.post('/client-auth/change-pin', {
+        current_pin: currentPin,
+        new_pin: newPin,
+      });
+
+      // This device gets fresh tokens so it stays signed in
+      const token = res.data?.data?.token;
+      if (token) {
+        await login(token, res.data?.data?.refresh_token);
+      }
+
+      reset();
+      onClose();
+      Alert.alert(
+        'PIN Changed',
+        'Your PIN has been updated and you have been signed out on all other devices.'
+      );
+    } catch (err) {
+      console.log('Change PIN error:', err.response?.data || err.message);
+
+      // A wrong current PIN comes back as 403; 401 is reserved for expired sessions
+      if (err.response?.status === 403 || err.response?.data?.code === 'INVALID_PIN') {
+        setError('Your current PIN is incorrect');
+        setCurrentPin('');
+      } else if (err.message === 'Network Error') {
+        setError('Cannot connect to server. Please check your internet connection.');
+      } else {
+        setError(err.response?.data?.message || 'Unable to change your PIN. Please try again.');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderPinInput = (label, value, onChange, autoFocus) => (
+    <View style={styles.field}>
+      <Text style={styles.fieldLabel}>{label}</Text>
+      <View style={styles.inputWrapper}>
+        <Ionicons name="keypad-outline" size={18} color="#64748b" />
+        <TextInput
+          value={value}
+          onChangeText={(text) => {
+            onChange(text);
+            setError(null);
+          }}
+          placeholder={`${PIN_LENGTH}-digit PIN`}
+          placeholderTextColor="#64748b"
+          keyboardType="number-pad"
+          secureTextEntry
+          maxLength={PIN_LENGTH}
+          style={styles.input}
+          editable={!saving}
+          autoFocus={autoFocus}
+        />
+      </View>
+    </View>
+  );
+
+  return (
+    <Modal
+      animationType="fade"
+      transparent={true}
+      visible={visible}
+      onRequestClose={close}
+    >
+      <KeyboardAvoidingView
+        style={styles.modalOverlay}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <View style={styles.modalContent}>
+          <View style={styles.modalHeader}>
+            <View style={styles.modalIcon}>
+              <Ionicons name="key-outline" size={24} color="#3b82f6" />
+            </View>
+            <View style={styles.modalTitleContainer}>
+              <Text style={styles.modalTitle}>Change PIN</Text>
+              <Text style={styles.modalSubtitle}>
+                Other devices will be signed out
+              </Text>
+            </View>
+            <TouchableOpacity onPress={close} style={styles.closeButton}>
+              <Ionicons name="close" size={24} color="#94a3b8" />
+            </TouchableOpacity>
+          </View>
+
+          <View style={styles.modalBody}>
+            {renderPinInput('Current PIN', currentPin, setCurrentPin, true)}
+            {renderPinInput('New PIN', newPin, setNewPin)}
+            <PinStrengthRules pin={newPin} />
+            {renderPinInput('Confirm New PIN', confirmPin, setConfirmPin)}
+
+            {error && (
+              <View style={styles.errorBox}>
+                <Ionicons name="alert-circle" size={18} color="#ef4444" />
+                <Text style={styles.errorText}>{error}</Text>
+              </View>
+            )}
+
+            <TouchableOpacity
+              style={[styles.saveButton, saving && styles.saveButtonDisabled]}
+              onPress={changePin}
+              disabled={saving}
+              activeOpacity={0.9}
+            >
+              <Text style={styles.saveButtonText}>
+                {saving ? 'Updating...' : 'Update PIN'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+}
+
+/* ===== STYLES ===== */
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    backgroundColor: '#1e293b',
+    borderRadius: 24,
+    width: '90%',
+    maxWidth: 500,
+    borderWidth: 1,
+    borderColor: '#2d3748',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 10 },
+    shadowOpacity: 0.3,
+    shadowRadius: 20,
+    elevation: 10,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 24,
+    paddingBottom: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#334155',
+  },
+  modalIcon: {
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    backgroundColor: 'rgba(59, 130, 246, 0.1)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 16,
+  },
+  modalTitleContainer: {
+    flex: 1,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#f8fafc',
+    marginBottom: 4,
+  },
+  modalSubtitle: {
+    fontSize: 13,
+    color: '#94a3b8',
+    fontWeight: '500',
+  },
+  closeButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#0f172a',
+  },
+  modalBody: {
+    padding: 24,
+  },
+  field: {
+    marginTop: 16,
+  },
+  fieldLabel: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#94a3b8',
+    marginBottom: 8,
+  },
+  inputWrapper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#0f172a',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#334155',
+    paddingHorizontal: 16,
+    height: 52,
+    gap: 12,
+  },
+  input: {
+    flex: 1,
+    color: '#f8fafc',
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  errorBox: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    backgroundColor: 'rgba(239, 68, 68, 0.1)',
+    borderWidth: 1,
+    borderColor: 'rgba(239, 68, 68, 0.3)',
+    borderRadius: 12,
+    padding: 12,
+    marginTop: 16,
+  },
+  errorText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#fca5a5',
+    fontWeight: '500',
+  },
+  saveButton: {
+    backgroundColor: '#3b82f6',
+    borderRadius: 14,
+    height: 52,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: 24,
+  },
+  saveButtonDisabled: {
+    backgroundColor: '#374151',
+  },
+  saveButtonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+});
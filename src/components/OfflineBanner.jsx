@@ -0,0 +1,62 @@
+import { View, Text, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useIsOnline } from '../utils/network';
+import { formatTimestamp } from '../utils/formatTimestamp';
+
+/**
+ * Shown above screens that are displaying saved data: either the device is
+ * offline or the last refresh failed. `updatedAt` is when that data was fetched.
+ */
+export default function OfflineBanner({ updatedAt, error }) {
+  const online = useIsOnline();
+
+  if (online && !(error && updatedAt)) return null;
+
+  const title = online ? "Couldn't refresh" : "You're offline";
+  const detail = updatedAt
+    ? `Showing data from ${formatTimestamp(updatedAt)}`
+    : 'Connect to the internet to load this page';
+
+  return (
+    <View style={styles.banner}>
+      <Ionicons
+        name={online ? 'alert-circle-outline' : 'cloud-offline-outline'}
+        size={18}
+        color="#f59e0b"
+      />
+      <View style={styles.content}>
+        <Text style={styles.title}>{title}</Text>
+        <Text style={styles.detail}>{detail}</Text>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'rgba(245, 158, 11, 0.1)',
+    borderWidth: 1,
+    borderColor: 'rgba(245, 158, 11, 0.2)',
+    borderRadius: 12,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    marginHorizontal: 20,
+    marginTop: 12,
+  },
+  content: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  title: {
+    color: '#f59e0b',
+    fontSize: 13,
+    fontWeight: '700',
+  },
+  detail: {
+    color: '#94a3b8',
+    fontSize: 12,
+    marginTop: 2,
+  },
+});
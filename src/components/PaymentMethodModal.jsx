@@ -0,0 +1,194 @@
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+/**
+ * Lets the client choose how to pay `amount` (already formatted), from the
+ * providers available on this device (see payments/gateway.js).
+ * `onDismiss` fires once the modal has finished closing (iOS only).
+ */
+export default function PaymentMethodModal({
+  visible,
+  title,
+  amount,
+  providers,
+  onSelect,
+  onClose,
+  onDismiss,
+}) {
+  return (
+    <Modal
+      animationType="fade"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onClose}
+      onDismiss={onDismiss}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <View style={styles.modalHeader}>
+            <View style={styles.modalIcon}>
+              <Ionicons name="wallet-outline" size={24} color="#10b981" />
+            </View>
+            <View style={styles.modalTitleContainer}>
+              <Text style={styles.modalTitle}>{title}</Text>
+              <Text style={styles.modalAmount}>{amount}</Text>
+            </View>
+            <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+              <Ionicons name="close" size={24} color="#94a3b8" />
+            </TouchableOpacity>
+          </View>
+
+          <View style={styles.modalBody}>
+            <Text style={styles.bodyLabel}>Choose how to pay</Text>
+
+            {providers.map((provider) => (
+              <TouchableOpacity
+                key={provider.key}
+                style={styles.providerRow}
+                onPress={() => onSelect(provider.key)}
+                activeOpacity={0.7}
+              >
+                <View style={styles.providerIcon}>
+                  <Ionicons name={provider.icon} size={20} color="#3b82f6" />
+                </View>
+                <View style={styles.providerText}>
+                  <Text style={styles.providerLabel}>{provider.label}</Text>
+                  <Text style={styles.providerDescription}>{provider.description}</Text>
+                </View>
+                <Ionicons name="chevron-forward" size={18} color="#64748b" />
+              </TouchableOpacity>
+            ))}
+
+            <View style={styles.secureNote}>
+              <Ionicons name="lock-closed-outline" size={14} color="#64748b" />
+              <Text style={styles.secureNoteText}>
+                Payments are confirmed with our server before they show as paid
+              </Text>
+            </View>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+/* ===== STYLES ===== */
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    backgroundColor: '#1e293b',
+    borderRadius: 24,
+    width: '90%',
+    maxWidth: 500,
+    borderWidth: 1,
+    borderColor: '#2d3748',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 10 },
+    shadowOpacity: 0.3,
+    shadowRadius: 20,
+    elevation: 10,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 24,
+    paddingBottom: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#334155',
+  },
+  modalIcon: {
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    backgroundColor: 'rgba(16, 185, 129, 0.1)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 16,
+  },
+  modalTitleContainer: {
+    flex: 1,
+  },
+  modalTitle: {
+    fontSize: 14,
+    color: '#94a3b8',
+    fontWeight: '600',
+    marginBottom: 4,
+  },
+  modalAmount: {
+    fontSize: 22,
+    fontWeight: '800',
+    color: '#f8fafc',
+  },
+  closeButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#0f172a',
+  },
+  modalBody: {
+    padding: 24,
+  },
+  bodyLabel: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#94a3b8',
+    marginBottom: 12,
+  },
+  providerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#0f172a',
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: '#334155',
+    padding: 14,
+    marginBottom: 10,
+  },
+  providerIcon: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: 'rgba(59, 130, 246, 0.1)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  providerText: {
+    flex: 1,
+  },
+  providerLabel: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#f8fafc',
+    marginBottom: 2,
+  },
+  providerDescription: {
+    fontSize: 12,
+    color: '#94a3b8',
+  },
+  secureNote: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginTop: 6,
+  },
+  secureNoteText: {
+    flex: 1,
+    fontSize: 12,
+    color: '#64748b',
+  },
+});
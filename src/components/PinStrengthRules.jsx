@@ -0,0 +1,45 @@
+import { View, Text, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { PIN_STRENGTH_RULES } from '../utils/pinRules';
+
+export default function PinStrengthRules({ pin }) {
+  return (
+    <View style={styles.container}>
+      {PIN_STRENGTH_RULES.map((rule) => {
+        const passed = rule.test(pin);
+        return (
+          <View key={rule.label} style={styles.rule}>
+            <Ionicons
+              name={passed ? 'checkmark-circle' : 'ellipse-outline'}
+              size={14}
+              color={passed ? '#10b981' : '#64748b'}
+            />
+            <Text style={[styles.ruleText, passed && styles.ruleTextPassed]}>
+              {rule.label}
+            </Text>
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 12,
+    gap: 6,
+  },
+  rule: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  ruleText: {
+    fontSize: 13,
+    color: '#64748b',
+    fontWeight: '500',
+  },
+  ruleTextPassed: {
+    color: '#10b981',
+  },
+});
@@ -0,0 +1,227 @@
+import { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Switch,
+  StyleSheet,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+/**
+ * One field of a server-defined request form (see utils/requestSchema.js).
+ * `options` are already resolved, e.g. from the client's services.
+ */
+export default function SchemaField({ field, value, options = [], color, onChange }) {
+  const [focused, setFocused] = useState(false);
+
+  const renderInput = () => {
+    switch (field.type) {
+      case 'text':
+      case 'number':
+        return (
+          <View style={[styles.inputWrapper, focused && styles.inputWrapperFocused]}>
+            <TextInput
+              placeholder={field.placeholder}
+              placeholderTextColor="#64748b"
+              value={value === undefined || value === null ? '' : String(value)}
+              onChangeText={onChange}
+              onFocus={() => setFocused(true)}
+              onBlur={() => setFocused(false)}
+              keyboardType={field.type === 'number' ? 'numeric' : 'default'}
+              maxLength={field.maxLength}
+              style={styles.input}
+            />
+          </View>
+        );
+
+      case 'textarea':
+        return (
+          <View style={[styles.textAreaWrapper, focused && styles.inputWrapperFocused]}>
+            <TextInput
+              placeholder={field.placeholder}
+              placeholderTextColor="#64748b"
+              value={value || ''}
+              onChangeText={onChange}
+              onFocus={() => setFocused(true)}
+              onBlur={() => setFocused(false)}
+              maxLength={field.maxLength}
+              style={styles.textArea}
+              multiline
+              textAlignVertical="top"
+            />
+          </View>
+        );
+
+      case 'select':
+      case 'multiselect': {
+        const multiple = field.type === 'multiselect';
+        const selected = multiple ? value || [] : [value];
+
+        const toggleOption = (optionValue) => {
+          if (!multiple) {
+            onChange(optionValue === value ? null : optionValue);
+          } else if (selected.includes(optionValue)) {
+            onChange(selected.filter((v) => v !== optionValue));
+          } else {
+            onChange([...selected, optionValue]);
+          }
+        };
+
+        if (!options.length) {
+          return <Text style={styles.noOptions}>Nothing to choose from yet</Text>;
+        }
+
+        return (
+          <View style={styles.chips}>
+            {options.map((option) => {
+              const active = selected.includes(option.value);
+
+              return (
+                <TouchableOpacity
+                  key={String(option.value)}
+                  style={[
+                    styles.chip,
+                    active && { backgroundColor: `${color}20`, borderColor: color },
+                  ]}
+                  onPress={() => toggleOption(option.value)}
+                  activeOpacity={0.7}
+                >
+                  {active && <Ionicons name="checkmark" size={14} color={color} />}
+                  <Text style={[styles.chipText, active && { color }]}>{option.label}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        );
+      }
+
+      case 'toggle':
+        return (
+          <View style={styles.toggleRow}>
+            <Text style={styles.toggleLabel}>{field.label}</Text>
+            <Switch
+              value={value === true}
+              onValueChange={onChange}
+              trackColor={{ false: '#334155', true: color }}
+              thumbColor="#f8fafc"
+            />
+          </View>
+        );
+
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <View style={styles.field}>
+      {/* A toggle carries its label in its own row */}
+      {field.type !== 'toggle' && (
+        <Text style={styles.label}>
+          {field.label}
+          {field.required && <Text style={styles.required}> *</Text>}
+        </Text>
+      )}
+      {renderInput()}
+      {!!field.helper && <Text style={styles.helper}>{field.helper}</Text>}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  field: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#cbd5e1',
+    marginBottom: 10,
+    marginLeft: 4,
+  },
+  required: {
+    color: '#ef4444',
+  },
+  inputWrapper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#0f172a',
+    borderRadius: 12,
+    borderWidth: 1.5,
+    borderColor: '#2d3748',
+    paddingHorizontal: 16,
+  },
+  inputWrapperFocused: {
+    borderColor: '#3b82f6',
+  },
+  input: {
+    flex: 1,
+    color: '#f8fafc',
+    fontSize: 16,
+    paddingVertical: 14,
+  },
+  textAreaWrapper: {
+    backgroundColor: '#0f172a',
+    borderRadius: 12,
+    borderWidth: 1.5,
+    borderColor: '#2d3748',
+    padding: 16,
+  },
+  textArea: {
+    color: '#f8fafc',
+    fontSize: 16,
+    minHeight: 100,
+    lineHeight: 22,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    backgroundColor: '#0f172a',
+    borderRadius: 20,
+    borderWidth: 1.5,
+    borderColor: '#2d3748',
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+  },
+  chipText: {
+    color: '#e2e8f0',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  noOptions: {
+    fontSize: 14,
+    color: '#64748b',
+    marginLeft: 4,
+  },
+  toggleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: '#0f172a',
+    borderRadius: 12,
+    borderWidth: 1.5,
+    borderColor: '#2d3748',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+  },
+  toggleLabel: {
+    flex: 1,
+    color: '#f8fafc',
+    fontSize: 15,
+    marginRight: 12,
+  },
+  helper: {
+    fontSize: 13,
+    color: '#94a3b8',
+    marginTop: 8,
+    marginLeft: 4,
+  },
+});
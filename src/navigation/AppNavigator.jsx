@@ -1,6 +1,6 @@
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import { Ionicons } from '@expo/vector-icons';
-import { useState, useContext, useRef } from 'react';
+import { useState, useContext, useRef, useEffect } from 'react';
 import {
   View,
   Modal,
@@ -13,18 +13,25 @@ import {
   Dimensions,
   Easing,
   Platform,
+  AppState,
 } from 'react-native';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { StatusBar } from 'expo-status-bar';
 import { useNavigation } from '@react-navigation/native';
+import { addNotificationReceivedListener } from 'expo-notifications';
 
 import Dashboard from '../screens/Dashboard';
-import RequestService from '../screens/RequestService';
+import RequestStack from './RequestStack';
 import ServicesStack from './ServicesStack';
 import Contact from '../screens/Contact';
 import Profile from '../screens/Profile';
 import Notifications from '../screens/Notifications';
+import NotificationPreferences from '../screens/NotificationPreferences';
 import { AuthContext } from '../auth/authContext';
+import { refreshUnreadCount, useUnreadCount } from '../utils/unreadNotifications';
+import { invalidateQueries } from '../api/queryCache';
+import { queryKeys } from '../api/queries';
+import { processOutbox } from '../utils/requestOutbox';
 
 const Tab = createBottomTabNavigator();
 const { width, height } = Dimensions.get('window');
@@ -33,7 +40,41 @@ function TabsWithMoreModal() {
   const [moreVisible, setMoreVisible] = useState(false);
   const insets = useSafeAreaInsets();
   const navigation = useNavigation();
-  const { logout } = useContext(AuthContext);
+  const { logout, accounts, activeAccountId, switchAccount } = useContext(AuthContext);
+  const activeAccount = accounts.find((account) => account.id === activeAccountId);
+  const unreadCount = useUnreadCount();
+
+  // Read state lives on the server; pick up changes from pushes and other devices
+  useEffect(() => {
+    refreshUnreadCount();
+
+    const appStateSubscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState === 'active') refreshUnreadCount();
+    });
+    const receivedSubscription = addNotificationReceivedListener((notification) => {
+      refreshUnreadCount();
+      invalidateQueries(queryKeys.notifications);
+
+      // A push about a service means its payments, files or notes changed
+      const serviceId = notification.request.content.data?.serviceId;
+      if (serviceId) invalidateQueries(queryKeys.service(serviceId));
+
+      // Status changes and replies on a submitted request
+      if (notification.request.content.data?.requestId) {
+        invalidateQueries(queryKeys.requests);
+      }
+    });
+
+    return () => {
+      appStateSubscription.remove();
+      receivedSubscription.remove();
+    };
+  }, []);
+
+  // Requests saved while offline, possibly before the app was last closed
+  useEffect(() => {
+    processOutbox();
+  }, []);
 
   // Animation values for modal
   const modalTranslateY = useRef(new Animated.Value(height)).current;
@@ -88,7 +129,9 @@ function TabsWithMoreModal() {
   const confirmLogout = () => {
     Alert.alert(
       'Logout',
-      'Are you sure you want to logout?',
+      accounts.length > 1
+        ? `Sign out of ${activeAccount?.name || activeAccount?.mobile}? You'll stay signed in to your other accounts.`
+        : 'Are you sure you want to logout?',
       [
         { 
           text: 'Cancel', 
@@ -107,6 +150,17 @@ function TabsWithMoreModal() {
     );
   };
 
+  const selectAccount = (accountId) => {
+    hideModal();
+    if (accountId === activeAccountId) return;
+    setTimeout(() => switchAccount(accountId), 300);
+  };
+
+  const addAccount = () => {
+    hideModal();
+    setTimeout(() => navigation.navigate('AddAccount'), 300);
+  };
+
   const goTo = (screen) => {
     hideModal();
     setTimeout(() => {
@@ -188,17 +242,78 @@ function TabsWithMoreModal() {
                 <View style={styles.optionContent}>
                   <Text style={styles.optionTitle}>Notifications</Text>
                   <Text style={styles.optionDescription}>
-                    View alerts and updates
+                    {unreadCount > 0
+                      ? `${unreadCount} unread ${unreadCount === 1 ? 'alert' : 'alerts'}`
+                      : 'View alerts and updates'}
                   </Text>
                 </View>
+                {unreadCount > 0 && (
+                  <View style={styles.unreadBadge}>
+                    <Text style={styles.unreadBadgeText}>
+                      {unreadCount > 99 ? '99+' : unreadCount}
+                    </Text>
+                  </View>
+                )}
                 <Ionicons name="chevron-forward" size={20} color="#64748b" />
               </TouchableOpacity>
 
               {/* SETTINGS DIVIDER */}
               <View style={styles.sectionDivider}>
-                <Text style={styles.sectionLabel}>Account</Text>
+                <Text style={styles.sectionLabel}>
+                  {accounts.length > 1 ? 'Accounts' : 'Account'}
+                </Text>
               </View>
 
+              {/* ACCOUNT SWITCHER */}
+              {accounts.length > 1 && accounts.map((account) => {
+                const active = account.id === activeAccountId;
+                const label = account.name || `+91 ${account.mobile}`;
+
+                return (
+                  <TouchableOpacity
+                    key={account.id}
+                    style={[styles.optionItem, active && styles.activeAccountOption]}
+                    onPress={() => selectAccount(account.id)}
+                    activeOpacity={0.7}
+                  >
+                    <View style={[styles.optionIcon, styles.accountAvatar]}>
+                      <Text style={styles.accountInitial}>
+                        {(account.name || account.mobile).charAt(0).toUpperCase()}
+                      </Text>
+                    </View>
+                    <View style={styles.optionContent}>
+                      <Text style={styles.optionTitle} numberOfLines={1}>{label}</Text>
+                      <Text style={styles.optionDescription}>
+                        {active ? 'Currently viewing' : `+91 ${account.mobile}`}
+                      </Text>
+                    </View>
+                    {active ? (
+                      <Ionicons name="checkmark-circle" size={22} color="#10b981" />
+                    ) : (
+                      <Ionicons name="swap-horizontal" size={20} color="#64748b" />
+                    )}
+                  </TouchableOpacity>
+                );
+              })}
+
+              {/* ADD ACCOUNT OPTION */}
+              <TouchableOpacity
+                style={styles.optionItem}
+                onPress={addAccount}
+                activeOpacity={0.7}
+              >
+                <View style={[styles.optionIcon, { backgroundColor: '#10b98115' }]}>
+                  <Ionicons name="person-add-outline" size={22} color="#10b981" />
+                </View>
+                <View style={styles.optionContent}>
+                  <Text style={styles.optionTitle}>Add Account</Text>
+                  <Text style={styles.optionDescription}>
+                    Manage another business from this app
+                  </Text>
+                </View>
+                <Ionicons name="chevron-forward" size={20} color="#64748b" />
+              </TouchableOpacity>
+
               {/* LOGOUT OPTION */}
               <TouchableOpacity
                 style={[styles.optionItem, styles.logoutOption]}
@@ -210,8 +325,10 @@ function TabsWithMoreModal() {
                 </View>
                 <View style={styles.optionContent}>
                   <Text style={[styles.optionTitle, styles.logoutTitle]}>Logout</Text>
-                  <Text style={styles.optionDescription}>
-                    Sign out of your account
+                  <Text style={styles.optionDescription} numberOfLines={1}>
+                    {accounts.length > 1
+                      ? `Sign out of ${activeAccount?.name || 'this account'}`
+                      : 'Sign out of your account'}
                   </Text>
                 </View>
                 <Ionicons name="chevron-forward" size={20} color="#ef4444" />
@@ -260,6 +377,9 @@ function TabsWithMoreModal() {
                   color={focused ? '#3b82f6' : '#94a3b8'} 
                 />
                 {focused && <View style={styles.activeLine} />}
+                {route.name === 'More' && unreadCount > 0 && (
+                  <View style={styles.tabUnreadDot} />
+                )}
               </View>
             );
           };
@@ -304,7 +424,7 @@ function TabsWithMoreModal() {
         />
         <Tab.Screen 
           name="Request" 
-          component={RequestService} 
+          component={RequestStack} 
           options={{ 
             tabBarAccessibilityLabel: 'Request Service',
             tabBarIcon: ({ focused }) => (
@@ -351,6 +471,15 @@ function TabsWithMoreModal() {
           }}
         />
 
+        <Tab.Screen
+          name="NotificationPreferences"
+          component={NotificationPreferences}
+          options={{
+            tabBarButton: () => null,
+            tabBarItemStyle: { display: 'none' },
+          }}
+        />
+
         {/* ===== MORE TRIGGER ===== */}
         <Tab.Screen
           name="More"
@@ -490,6 +619,43 @@ const styles = StyleSheet.create({
     letterSpacing: 1,
     textTransform: 'uppercase',
   },
+  activeAccountOption: {
+    borderColor: '#10b98140',
+  },
+  accountAvatar: {
+    backgroundColor: '#3b82f615',
+  },
+  accountInitial: {
+    fontSize: 18,
+    fontWeight: '800',
+    color: '#3b82f6',
+  },
+  unreadBadge: {
+    minWidth: 24,
+    height: 24,
+    borderRadius: 12,
+    paddingHorizontal: 7,
+    backgroundColor: '#ec4899',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 8,
+  },
+  unreadBadgeText: {
+    color: '#ffffff',
+    fontSize: 12,
+    fontWeight: '700',
+  },
+  tabUnreadDot: {
+    position: 'absolute',
+    top: 4,
+    right: '30%',
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#ec4899',
+    borderWidth: 1.5,
+    borderColor: '#0f172a',
+  },
   logoutOption: {
     borderColor: '#ef444430',
   },
@@ -0,0 +1,35 @@
+import { createNativeStackNavigator } from '@react-navigation/native-stack';
+
+import RequestService from '../screens/RequestService';
+import MyRequests from '../screens/MyRequests';
+import RequestDetails from '../screens/RequestDetails';
+
+const Stack = createNativeStackNavigator();
+
+export default function RequestStack() {
+  return (
+    <Stack.Navigator
+      screenOptions={{
+        headerShown: false,
+      }}
+    >
+      {/* NEW REQUEST FORM */}
+      <Stack.Screen
+        name="RequestForm"
+        component={RequestService}
+      />
+
+      {/* SUBMITTED REQUESTS */}
+      <Stack.Screen
+        name="MyRequests"
+        component={MyRequests}
+      />
+
+      {/* REQUEST STATUS AND RESPONSES */}
+      <Stack.Screen
+        name="RequestDetails"
+        component={RequestDetails}
+      />
+    </Stack.Navigator>
+  );
+}
@@ -0,0 +1,97 @@
+import * as Linking from 'expo-linking';
+
+/**
+ * URL deep links, e.g. for WhatsApp messages and emails to clients:
+ *
+ *   imperium://services/42/payments
+ *   imperium://requests/7
+ *   https://imperiumofficial.in/app/services/42/payments
+ *
+ * Only /app on the website opens the app; every other page stays in the browser.
+ */
+// Must match `scheme` in app.json; Android matches schemes case-sensitively
+export const APP_SCHEME = 'imperium';
+
+const PREFIXES = [
+  Linking.createURL('/'),
+  `${APP_SCHEME}://`,
+  'https://imperiumofficial.in/app',
+  'https://www.imperiumofficial.in/app',
+];
+
+const config = {
+  screens: {
+    App: {
+      screens: {
+        Dashboard: 'dashboard',
+        Services: {
+          // Keeps the list underneath a linked service screen so back works
+          initialRouteName: 'ServicesList',
+          screens: {
+            ServicesList: 'services',
+            ServiceDetails: 'services/:serviceId',
+            Payments: 'services/:serviceId/payments',
+            ServiceFiles: 'services/:serviceId/files',
+            ServiceNotes: 'services/:serviceId/notes',
+            ServiceTimeline: 'services/:serviceId/timeline',
+          },
+        },
+        Request: {
+          initialRouteName: 'RequestForm',
+          screens: {
+            RequestForm: 'request',
+            MyRequests: 'requests',
+            RequestDetails: 'requests/:requestId',
+          },
+        },
+        Contact: 'contact',
+        Profile: 'profile',
+        Notifications: 'notifications',
+      },
+    },
+  },
+};
+
+// Links that arrive while signed out (or before the session has loaded)
+// wait here until RootNavigator has an App screen to open them in
+let deferredUrl = null;
+let linksEnabled = false;
+let openUrl = null;
+
+export const setLinksEnabled = (enabled) => {
+  linksEnabled = enabled;
+
+  if (enabled && deferredUrl && openUrl) {
+    const url = deferredUrl;
+    deferredUrl = null;
+    openUrl(url);
+  }
+};
+
+const linking = {
+  prefixes: PREFIXES,
+  config,
+
+  // The launch URL always comes in before the session is loaded
+  async getInitialURL() {
+    const url = await Linking.getInitialURL();
+    if (url) deferredUrl = url;
+    return null;
+  },
+
+  subscribe(listener) {
+    openUrl = listener;
+
+    const subscription = Linking.addEventListener('url', ({ url }) => {
+      if (linksEnabled) listener(url);
+      else deferredUrl = url;
+    });
+
+    return () => {
+      openUrl = null;
+      subscription.remove();
+    };
+  },
+};
+
+export default linking;
@@ -0,0 +1,60 @@
+/**
+ * Push payload contract (`content.data` of the notification):
+ *
+ *   { type: 'payment',  serviceId, installmentId? }  -> Payments
+ *   { type: 'file',     serviceId, fileId? }         -> ServiceFiles
+ *   { type: 'note',     serviceId, noteId? }         -> ServiceNotes
+ *   { type: 'timeline', serviceId }                  -> ServiceTimeline
+ *   { type: 'service',  serviceId }                  -> ServiceDetails
+ *   { type: 'request',  requestId }                  -> RequestDetails
+ *
+ * Anything else, or a payload without a serviceId, opens Notifications.
+ */
+const SERVICE_SCREENS = {
+  payment: 'Payments',
+  file: 'ServiceFiles',
+  note: 'ServiceNotes',
+  timeline: 'ServiceTimeline',
+  service: 'ServiceDetails',
+};
+
+const NOTIFICATIONS_ROUTE = {
+  name: 'App',
+  params: { screen: 'Notifications' },
+};
+
+// Returns root-level navigate() args for a notification payload
+export const getNotificationRoute = (data) => {
+  if (data?.type === 'request' && data.requestId) {
+    return {
+      name: 'App',
+      params: {
+        screen: 'Request',
+        params: {
+          screen: 'RequestDetails',
+          params: { requestId: data.requestId },
+          // Keep the form underneath, like ServicesList for service screens
+          initial: false,
+        },
+      },
+    };
+  }
+
+  const screen = SERVICE_SCREENS[data?.type];
+  if (!screen || !data.serviceId) return NOTIFICATIONS_ROUTE;
+
+  const { type, ...params } = data;
+
+  return {
+    name: 'App',
+    params: {
+      screen: 'Services',
+      params: {
+        screen,
+        params,
+        // Keep ServicesList underneath so back works as if the user tapped through
+        initial: false,
+      },
+    },
+  };
+};
@@ -0,0 +1,212 @@
+import { Alert } from 'react-native';
+import api from '../../api/api';
+import { invalidateQueries } from '../../api/queryCache';
+import { payAmount } from '../gateway';
+import stubProvider from '../razorpayProvider';
+
+jest.mock('../../api/api', () => ({
+  __esModule: true,
+  default: { post: jest.fn() },
+}));
+
+jest.mock('../../api/queryCache', () => ({
+  invalidateQueries: jest.fn(),
+  useQuery: jest.fn(),
+}));
+
+// Stands in for a real gateway: no createOrder/verify of its own, so orders
+// and verification go through the server
+jest.mock('../razorpayProvider', () => ({
+  __esModule: true,
+  default: {
+    key: 'stub',
+    label: 'Stub',
+    isAvailable: () => true,
+    orderParams: () => ({ return_url: 'imperium://payments' }),
+    pay: jest.fn(),
+  },
+}));
+
+// Needs the native app config to build URLs
+jest.mock('expo-linking', () => ({
+  createURL: (path) => `imperium://${path}`,
+}));
+
+const SERVICE_ID = 42;
+
+// Answers the test provider's alert by pressing the button labelled `choice`
+const chooseOnAlert = (choice) => {
+  Alert.alert.mockImplementationOnce((title, message, buttons) => {
+    buttons.find((button) => button.text === choice).onPress();
+  });
+};
+
+const pay = (installmentId) =>
+  payAmount({ providerKey: 'mock', serviceId: SERVICE_ID, installmentId, amount: 5000 });
+
+// The test provider pauses before reporting back, as a gateway would
+const payWithTimers = async (installmentId) => {
+  const result = pay(installmentId);
+  await jest.runAllTimersAsync();
+  return result;
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.clearAllMocks();
+  jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('payAmount with the test provider', () => {
+  it('is paid when the payment succeeds', async () => {
+    chooseOnAlert('Succeed');
+
+    await expect(payWithTimers(7)).resolves.toEqual({ status: 'paid' });
+    expect(Alert.alert).toHaveBeenCalledWith(
+      'Test Payment',
+      expect.stringMatching(/^Order mock_/),
+      expect.any(Array),
+      { cancelable: false }
+    );
+    // The test provider never reaches the server
+    expect(api.post).not.toHaveBeenCalled();
+  });
+
+  it('passes on why a payment failed', async () => {
+    chooseOnAlert('Fail');
+
+    await expect(payWithTimers(7)).resolves.toEqual({
+      status: 'failed',
+      message: 'Declined by the test provider',
+    });
+  });
+
+  it('is cancelled when the client backs out', async () => {
+    chooseOnAlert('Cancel');
+
+    await expect(payWithTimers()).resolves.toEqual({ status: 'cancelled' });
+  });
+
+  it('confirms the payment and refreshes the service once the provider returns', async () => {
+    let succeed;
+    Alert.alert.mockImplementationOnce((title, message, buttons) => {
+      succeed = buttons.find((button) => button.text === 'Succeed').onPress;
+    });
+
+    const settled = jest.fn();
+    pay().then(settled);
+    await jest.advanceTimersByTimeAsync(5000);
+
+    // Still at the checkout
+    expect(settled).not.toHaveBeenCalled();
+    expect(invalidateQueries).not.toHaveBeenCalled();
+
+    succeed();
+    await jest.runAllTimersAsync();
+
+    expect(settled).toHaveBeenCalledWith({ status: 'paid' });
+    expect(invalidateQueries).toHaveBeenCalledWith(['service', String(SERVICE_ID)]);
+    expect(invalidateQueries).toHaveBeenCalledWith(['services']);
+  });
+
+  it('rejects an unknown provider', async () => {
+    await expect(
+      payAmount({ providerKey: 'cash', serviceId: SERVICE_ID, amount: 5000 })
+    ).rejects.toThrow('Unknown payment provider: cash');
+  });
+});
+
+describe('payAmount with a server-backed provider', () => {
+  const ORDER = { order_id: 'order_1', amount: 5000, currency: 'INR' };
+
+  const payWithStub = (installmentId) =>
+    payAmount({ providerKey: 'stub', serviceId: SERVICE_ID, installmentId, amount: 5000 });
+
+  // Each verify call answers with the next status
+  const verifyAnswers = (...statuses) => {
+    statuses.forEach((status) => {
+      api.post.mockResolvedValueOnce({ data: { data: { status } } });
+    });
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    api.post.mockResolvedValueOnce({ data: { data: ORDER } });
+    stubProvider.pay.mockResolvedValue({
+      status: 'completed',
+      details: { payment_id: 'pay_1' },
+    });
+  });
+
+  it('creates the order on the server and verifies the payment there', async () => {
+    verifyAnswers('paid');
+
+    await expect(payWithStub(7)).resolves.toEqual({ status: 'paid' });
+    expect(api.post).toHaveBeenNthCalledWith(1, '/payments/orders', {
+      provider: 'stub',
+      service_id: SERVICE_ID,
+      installment_id: 7,
+      amount: 5000,
+      return_url: 'imperium://payments',
+    });
+    expect(stubProvider.pay).toHaveBeenCalledWith(ORDER);
+    expect(api.post).toHaveBeenNthCalledWith(2, '/payments/orders/order_1/verify', {
+      provider: 'stub',
+      payment_id: 'pay_1',
+    });
+  });
+
+  it('checks again while the bank has not confirmed, until it is paid', async () => {
+    verifyAnswers('pending', 'pending', 'paid');
+
+    const settled = jest.fn();
+    payWithStub().then(settled);
+    await jest.advanceTimersByTimeAsync(0);
+
+    // One check, then a wait before the next
+    expect(api.post).toHaveBeenCalledTimes(2);
+    expect(settled).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(3000);
+    expect(api.post).toHaveBeenCalledTimes(3);
+    expect(settled).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(3000);
+    expect(api.post).toHaveBeenCalledTimes(4);
+    expect(settled).toHaveBeenCalledWith({ status: 'paid' });
+    expect(invalidateQueries).toHaveBeenCalledWith(['service', String(SERVICE_ID)]);
+  });
+
+  it('gives up as pending after five unconfirmed checks', async () => {
+    verifyAnswers('pending', 'pending', 'pending', 'pending', 'pending');
+
+    const result = payWithStub();
+    await jest.runAllTimersAsync();
+
+    await expect(result).resolves.toEqual({ status: 'pending' });
+    // The order, then five checks
+    expect(api.post).toHaveBeenCalledTimes(6);
+  });
+
+  it('is pending when the verify call fails', async () => {
+    api.post.mockRejectedValueOnce(new Error('Network Error'));
+
+    const result = payWithStub();
+    await jest.runAllTimersAsync();
+
+    await expect(result).resolves.toEqual({ status: 'pending' });
+    expect(invalidateQueries).toHaveBeenCalledWith(['services']);
+  });
+
+  it('rejects when the server returns no order', async () => {
+    api.post.mockReset();
+    api.post.mockResolvedValueOnce({ data: { data: {} } });
+
+    await expect(payWithStub()).rejects.toThrow('Order missing');
+    expect(stubProvider.pay).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,217 @@
+/* ================= PAYMENT DOCUMENT TEMPLATES ================= */
+// Printable HTML for receipts and statements, turned into PDFs by
+// payments/documents.js. Everything GST depends on (invoice number, GSTINs,
+// SAC codes, tax split, place of supply) comes from the server as issued;
+// nothing here is worked out on the phone.
+//
+// Invoice (GET /payments/receipts/:installmentId):
+//   { document_type: 'tax_invoice' | 'receipt_voucher', invoice_number, invoice_date,
+//     seller: Party, buyer: Party, place_of_supply,
+//     items: [{ description, sac, taxable_value }],
+//     taxable_amount, cgst_rate, cgst_amount, sgst_rate, sgst_amount,
+//     igst_rate, igst_amount, total_amount, amount_in_words?,
+//     payment: { reference, method, paid_at }, reverse_charge? }
+//
+// Statement (GET /payments/statement/:serviceId):
+//   { statement_date, seller: Party, buyer: Party, service_name,
+//     total_amount, paid_amount, remaining_amount,
+//     entries: [{ date, invoice_number, description, amount, status }] }
+//
+// Party:
+//   { name, address, gstin?, state, state_code, email?, phone? }
+
+const DOCUMENT_TITLES = {
+  tax_invoice: 'Tax Invoice',
+  receipt_voucher: 'Receipt Voucher',
+};
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const formatAmount = (amount) =>
+  new Intl.NumberFormat('en-IN', {
+    style: 'currency',
+    currency: 'INR',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  }).format(Number(amount || 0));
+
+const formatDate = (date) =>
+  date
+    ? new Date(date).toLocaleDateString('en-IN', {
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric',
+      })
+    : '-';
+
+export const getDocumentTitle = (invoice) =>
+  DOCUMENT_TITLES[invoice.document_type] || DOCUMENT_TITLES.tax_invoice;
+
+/* ===== SHARED PARTS ===== */
+
+const STYLES = `
+  * { box-sizing: border-box; }
+  body { font-family: -apple-system, Roboto, Helvetica, Arial, sans-serif; color: #0f172a; font-size: 12px; margin: 0; padding: 32px; }
+  h1 { font-size: 22px; margin: 0; letter-spacing: 0.5px; }
+  .header { display: flex; justify-content: space-between; align-items: flex-start; border-bottom: 2px solid #0f172a; padding-bottom: 16px; margin-bottom: 16px; }
+  .muted { color: #64748b; }
+  .meta { text-align: right; line-height: 1.6; }
+  .parties { display: flex; gap: 24px; margin-bottom: 16px; }
+  .party { flex: 1; border: 1px solid #cbd5e1; border-radius: 6px; padding: 12px; line-height: 1.5; }
+  .party-label { font-size: 10px; font-weight: 700; text-transform: uppercase; color: #64748b; margin-bottom: 4px; }
+  .party-name { font-size: 14px; font-weight: 700; }
+  table { width: 100%; border-collapse: collapse; margin-bottom: 16px; }
+  th { background: #f1f5f9; text-align: left; font-size: 10px; text-transform: uppercase; color: #475569; }
+  th, td { border: 1px solid #cbd5e1; padding: 8px; }
+  .num { text-align: right; white-space: nowrap; }
+  .totals { width: 50%; margin-left: auto; }
+  .totals td { border: none; padding: 4px 8px; }
+  .grand td { border-top: 2px solid #0f172a; font-size: 14px; font-weight: 700; padding-top: 8px; }
+  .note { border-top: 1px solid #cbd5e1; padding-top: 12px; margin-top: 24px; line-height: 1.6; }
+`;
+
+const renderParty = (label, party = {}) => `
+  <div class="party">
+    <div class="party-label">${escapeHtml(label)}</div>
+    <div class="party-name">${escapeHtml(party.name)}</div>
+    ${party.address ? `<div>${escapeHtml(party.address)}</div>` : ''}
+    ${party.state ? `<div>State: ${escapeHtml(party.state)}${party.state_code ? ` (${escapeHtml(party.state_code)})` : ''}</div>` : ''}
+    <div>GSTIN: ${party.gstin ? escapeHtml(party.gstin) : 'Unregistered'}</div>
+    ${party.email ? `<div class="muted">${escapeHtml(party.email)}</div>` : ''}
+    ${party.phone ? `<div class="muted">${escapeHtml(party.phone)}</div>` : ''}
+  </div>
+`;
+
+const renderPage = (title, body) => `
+  <!DOCTYPE html>
+  <html>
+    <head>
+      <meta charset="utf-8" />
+      <meta name="viewport" content="width=device-width, initial-scale=1" />
+      <title>${escapeHtml(title)}</title>
+      <style>${STYLES}</style>
+    </head>
+    <body>${body}</body>
+  </html>
+`;
+
+/* ===== INVOICE ===== */
+
+const renderTaxRow = (label, rate, amount) =>
+  Number(amount) > 0
+    ? `<tr><td>${label} @ ${escapeHtml(rate)}%</td><td class="num">${formatAmount(amount)}</td></tr>`
+    : '';
+
+export const renderInvoiceHtml = (invoice) => {
+  const title = getDocumentTitle(invoice);
+  const payment = invoice.payment || {};
+
+  const rows = (invoice.items || [])
+    .map(
+      (item, index) => `
+        <tr>
+          <td>${index + 1}</td>
+          <td>${escapeHtml(item.description)}</td>
+          <td>${escapeHtml(item.sac)}</td>
+          <td class="num">${formatAmount(item.taxable_value)}</td>
+        </tr>
+      `
+    )
+    .join('');
+
+  return renderPage(`${title} ${invoice.invoice_number}`, `
+    <div class="header">
+      <div>
+        <h1>${escapeHtml(title.toUpperCase())}</h1>
+        <div class="muted">Original for recipient</div>
+      </div>
+      <div class="meta">
+        <div><strong>No.</strong> ${escapeHtml(invoice.invoice_number)}</div>
+        <div><strong>Date:</strong> ${formatDate(invoice.invoice_date)}</div>
+        <div><strong>Place of supply:</strong> ${escapeHtml(invoice.place_of_supply || invoice.buyer?.state)}</div>
+        <div><strong>Reverse charge:</strong> ${invoice.reverse_charge ? 'Yes' : 'No'}</div>
+      </div>
+    </div>
+
+    <div class="parties">
+      ${renderParty('Supplier', invoice.seller)}
+      ${renderParty('Billed to', invoice.buyer)}
+    </div>
+
+    <table>
+      <tr><th>#</th><th>Description</th><th>SAC</th><th class="num">Taxable value</th></tr>
+      ${rows}
+    </table>
+
+    <table class="totals">
+      <tr><td>Taxable amount</td><td class="num">${formatAmount(invoice.taxable_amount)}</td></tr>
+      ${renderTaxRow('CGST', invoice.cgst_rate, invoice.cgst_amount)}
+      ${renderTaxRow('SGST', invoice.sgst_rate, invoice.sgst_amount)}
+      ${renderTaxRow('IGST', invoice.igst_rate, invoice.igst_amount)}
+      <tr class="grand"><td>Total</td><td class="num">${formatAmount(invoice.total_amount)}</td></tr>
+    </table>
+    ${invoice.amount_in_words ? `<div><strong>Amount in words:</strong> ${escapeHtml(invoice.amount_in_words)}</div>` : ''}
+
+    <div class="note">
+      <div><strong>Payment received</strong> on ${formatDate(payment.paid_at)}${payment.method ? ` by ${escapeHtml(payment.method)}` : ''}</div>
+      ${payment.reference ? `<div>Reference: ${escapeHtml(payment.reference)}</div>` : ''}
+      <div class="muted">This is a computer generated ${escapeHtml(title.toLowerCase())} and does not require a signature.</div>
+    </div>
+  `);
+};
+
+/* ===== STATEMENT ===== */
+
+export const renderStatementHtml = (statement) => {
+  const rows = (statement.entries || [])
+    .map(
+      (entry) => `
+        <tr>
+          <td>${formatDate(entry.date)}</td>
+          <td>${escapeHtml(entry.invoice_number || '-')}</td>
+          <td>${escapeHtml(entry.description)}</td>
+          <td>${escapeHtml(entry.status === 'completed' ? 'Paid' : 'Due')}</td>
+          <td class="num">${formatAmount(entry.amount)}</td>
+        </tr>
+      `
+    )
+    .join('');
+
+  return renderPage(`Statement - ${statement.service_name}`, `
+    <div class="header">
+      <div>
+        <h1>STATEMENT OF ACCOUNT</h1>
+        <div class="muted">${escapeHtml(statement.service_name)}</div>
+      </div>
+      <div class="meta">
+        <div><strong>Date:</strong> ${formatDate(statement.statement_date)}</div>
+      </div>
+    </div>
+
+    <div class="parties">
+      ${renderParty('Supplier', statement.seller)}
+      ${renderParty('Client', statement.buyer)}
+    </div>
+
+    <table>
+      <tr><th>Date</th><th>Invoice no.</th><th>Description</th><th>Status</th><th class="num">Amount</th></tr>
+      ${rows || '<tr><td colspan="5" class="muted">No payments yet</td></tr>'}
+    </table>
+
+    <table class="totals">
+      <tr><td>Total value</td><td class="num">${formatAmount(statement.total_amount)}</td></tr>
+      <tr><td>Paid</td><td class="num">${formatAmount(statement.paid_amount)}</td></tr>
+      <tr class="grand"><td>Balance due</td><td class="num">${formatAmount(statement.remaining_amount)}</td></tr>
+    </table>
+
+    <div class="note muted">
+      Amounts include GST. The tax invoice for each payment lists its tax breakup.
+    </div>
+  `);
+};
@@ -0,0 +1,62 @@
+import * as Print from 'expo-print';
+import * as Sharing from 'expo-sharing';
+import { File, Paths } from 'expo-file-system';
+import api from '../api/api';
+import { getDocumentTitle, renderInvoiceHtml, renderStatementHtml } from './documentTemplates';
+
+/* ================= PAYMENT DOCUMENTS ================= */
+// GST receipts for paid installments and a statement for a whole service,
+// built as PDFs from the server's figures (see documentTemplates.js).
+// Saving goes through the share sheet too: Save to Files, Drive, Downloads.
+//
+// The create functions resolve with { uri, fileName, title }.
+
+// Keeps invoice numbers like "IMP/2026-27/042" usable as file names
+const toFileName = (name) => `${name.replace(/[^\w.-]+/g, '-')}.pdf`;
+
+const createPdf = async (html, fileName) => {
+  const { uri } = await Print.printToFileAsync({ html });
+
+  // The printed file gets a random name; give it one an accountant can file
+  const target = new File(Paths.cache, fileName);
+  if (target.exists) target.delete();
+  new File(uri).move(target);
+
+  return target.uri;
+};
+
+export const createReceiptPdf = async (installmentId) => {
+  const res = await api.get(`/payments/receipts/${installmentId}`);
+  const invoice = res.data?.data;
+  if (!invoice?.invoice_number) throw new Error('Receipt missing');
+
+  const title = `${getDocumentTitle(invoice)} ${invoice.invoice_number}`;
+  const fileName = toFileName(title);
+  return { uri: await createPdf(renderInvoiceHtml(invoice), fileName), fileName, title };
+};
+
+export const createStatementPdf = async (serviceId) => {
+  const res = await api.get(`/payments/statement/${serviceId}`);
+  const statement = res.data?.data;
+  if (!statement) throw new Error('Statement missing');
+
+  const title = `Statement ${statement.service_name || serviceId}`;
+  const fileName = toFileName(title);
+  return { uri: await createPdf(renderStatementHtml(statement), fileName), fileName, title };
+};
+
+/** Opens the system print preview, which can also save the PDF. */
+export const previewDocument = (pdf) => Print.printAsync({ uri: pdf.uri });
+
+/** Opens the system share sheet for mailing or saving the PDF. */
+export const shareDocument = async (pdf) => {
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device');
+  }
+
+  await Sharing.shareAsync(pdf.uri, {
+    mimeType: 'application/pdf',
+    UTI: 'com.adobe.pdf',
+    dialogTitle: pdf.title,
+  });
+};
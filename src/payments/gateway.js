@@ -0,0 +1,125 @@
+import api from '../api/api';
+import { invalidateQueries } from '../api/queryCache';
+import { queryKeys } from '../api/queries';
+import razorpayProvider from './razorpayProvider';
+import upiProvider from './upiProvider';
+import mockProvider from './mockProvider';
+
+/* ================= PAYMENT GATEWAY ================= */
+// Paying an installment or the remaining balance of a service:
+//
+//   1. the server creates an order for the amount   POST /payments/orders
+//   2. a provider takes the client through paying it
+//   3. the server confirms it with the gateway      POST /payments/orders/:id/verify
+//
+// Only the server's answer counts; what a provider reports on the phone is
+// passed along as evidence, never trusted on its own.
+//
+// Provider:
+//   {
+//     key, label, description, icon,
+//     isAvailable: () => boolean,
+//     orderParams?: () => object,          // extra fields for the order request
+//     pay: (order) => Promise<{ status: 'completed' | 'pending' | 'failed' | 'cancelled',
+//                               details?, error? }>,
+//     createOrder?, verify?,               // only for providers that skip the server
+//   }
+
+const PROVIDERS = [razorpayProvider, upiProvider, mockProvider];
+
+// A payment the bank hasn't confirmed yet is checked this many times
+const VERIFY_ATTEMPTS = 5;
+const VERIFY_INTERVAL_MS = 3000;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export const getAvailableProviders = () =>
+  PROVIDERS.filter((provider) => provider.isAvailable());
+
+/* ===== SERVER ===== */
+
+// { order_id, amount, currency, description, ...provider specific }
+const createOrder = async ({ provider, serviceId, installmentId, amount }) => {
+  const res = await api.post('/payments/orders', {
+    provider: provider.key,
+    service_id: serviceId,
+    installment_id: installmentId || null,
+    amount,
+    ...provider.orderParams?.(),
+  });
+
+  const order = res.data?.data;
+  if (!order?.order_id) throw new Error('Order missing');
+  return order;
+};
+
+// { status: 'paid' | 'pending' | 'failed', message? }
+const verifyOrder = async (provider, order, result) => {
+  const res = await api.post(`/payments/orders/${order.order_id}/verify`, {
+    provider: provider.key,
+    ...result.details,
+  });
+  return res.data?.data || { status: 'pending' };
+};
+
+const confirmPayment = async (provider, order, result) => {
+  const verify = provider.verify || verifyOrder;
+
+  for (let attempt = 1; ; attempt += 1) {
+    const verification = await verify(provider, order, result);
+    if (verification.status !== 'pending' || attempt >= VERIFY_ATTEMPTS) {
+      return verification;
+    }
+    await wait(VERIFY_INTERVAL_MS);
+  }
+};
+
+/* ===== PAYING ===== */
+
+/**
+ * Takes the client through paying `amount` for a service, or for one of its
+ * installments when `installmentId` is given.
+ *
+ * Resolves with { status, message? }, where status is
+ *   'paid'      - confirmed by the server
+ *   'pending'   - started, but the bank hasn't confirmed it yet
+ *   'failed'    - declined or rejected
+ *   'cancelled' - the client backed out before paying
+ * Rejects only when the order can't be created.
+ */
+export const payAmount = async ({ providerKey, serviceId, installmentId, amount }) => {
+  const provider = PROVIDERS.find((p) => p.key === providerKey);
+  if (!provider) throw new Error(`Unknown payment provider: ${providerKey}`);
+
+  const order = await (provider.createOrder || createOrder)({
+    provider,
+    serviceId,
+    installmentId,
+    amount,
+  });
+
+  const result = await provider.pay(order).catch((err) => ({
+    status: 'failed',
+    error: err.message,
+  }));
+
+  let verification;
+  try {
+    // Even a cancelled checkout may have been paid before the client closed it
+    verification = await confirmPayment(provider, order, result);
+  } catch (err) {
+    console.log('Verify payment error:', err.response?.data || err.message);
+    verification = { status: 'pending' };
+  }
+
+  // Summary, installments and the service itself all change once paid
+  invalidateQueries(queryKeys.service(serviceId));
+  invalidateQueries(queryKeys.services);
+
+  if (verification.status === 'paid') return { status: 'paid' };
+  if (result.status === 'cancelled') return { status: 'cancelled' };
+  if (verification.status === 'failed' || result.status === 'failed') {
+    return { status: 'failed', message: verification.message || result.error };
+  }
+  return { status: 'pending' };
+};
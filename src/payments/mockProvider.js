@@ -0,0 +1,54 @@
+import { Alert } from 'react-native';
+
+/* ================= MOCK PROVIDER ================= */
+// Development builds only: walks through the whole pay flow without a
+// gateway or the server, letting you pick how the payment ends. Nothing is
+// recorded, so the installments won't show as paid afterwards.
+
+const PROCESSING_DELAY_MS = 1200;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const createOrder = async ({ amount }) => ({
+  order_id: `mock_${Date.now()}`,
+  amount,
+  currency: 'INR',
+});
+
+const pay = (order) =>
+  new Promise((resolve) => {
+    const finish = async (outcome) => {
+      await wait(PROCESSING_DELAY_MS);
+      resolve(outcome);
+    };
+
+    Alert.alert('Test Payment', `Order ${order.order_id}`, [
+      { text: 'Cancel', style: 'cancel', onPress: () => resolve({ status: 'cancelled' }) },
+      {
+        text: 'Fail',
+        style: 'destructive',
+        onPress: () => finish({ status: 'failed', error: 'Declined by the test provider' }),
+      },
+      {
+        text: 'Succeed',
+        onPress: () =>
+          finish({ status: 'completed', details: { mock_payment_id: `pay_${Date.now()}` } }),
+      },
+    ], { cancelable: false });
+  });
+
+const verify = async (provider, order, result) =>
+  result.status === 'completed'
+    ? { status: 'paid' }
+    : { status: 'failed', message: result.error };
+
+export default {
+  key: 'mock',
+  label: 'Test Payment',
+  description: 'Development only, no money moves',
+  icon: 'flask-outline',
+  isAvailable: () => __DEV__,
+  createOrder,
+  pay,
+  verify,
+};
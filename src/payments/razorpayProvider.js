@@ -0,0 +1,48 @@
+import * as WebBrowser from 'expo-web-browser';
+import * as Linking from 'expo-linking';
+import { APP_SCHEME } from '../navigation/linking';
+
+/* ================= RAZORPAY ================= */
+// Razorpay Checkout runs on our own hosted page (`checkout_url` on the
+// order), opened in an auth session so the page can hand the result back
+// through the return URL without a native SDK in the app:
+//
+//   imperium://payments/complete?status=success&razorpay_payment_id=...
+//   imperium://payments/complete?status=failed&error_description=...
+
+const RETURN_URL = Linking.createURL('payments/complete', { scheme: APP_SCHEME });
+
+const pay = async (order) => {
+  const checkoutUrl = order.razorpay?.checkout_url;
+  if (!checkoutUrl) throw new Error('Checkout link missing');
+
+  const result = await WebBrowser.openAuthSessionAsync(checkoutUrl, RETURN_URL);
+  if (result.type !== 'success') return { status: 'cancelled' };
+
+  const params = Linking.parse(result.url).queryParams || {};
+
+  if (params.status === 'failed') {
+    return { status: 'failed', error: params.error_description || 'Payment failed' };
+  }
+  if (params.status === 'cancelled') return { status: 'cancelled' };
+
+  // The server checks the signature against the order before trusting it
+  return {
+    status: 'completed',
+    details: {
+      razorpay_payment_id: params.razorpay_payment_id,
+      razorpay_order_id: params.razorpay_order_id,
+      razorpay_signature: params.razorpay_signature,
+    },
+  };
+};
+
+export default {
+  key: 'razorpay',
+  label: 'Card, UPI or Netbanking',
+  description: 'Secure checkout by Razorpay',
+  icon: 'card-outline',
+  isAvailable: () => true,
+  orderParams: () => ({ return_url: RETURN_URL }),
+  pay,
+};
@@ -0,0 +1,78 @@
+import { AppState, Linking, Platform } from 'react-native';
+
+/* ================= UPI ================= */
+// Opens the client's UPI app (GPay, PhonePe, Paytm...) with the amount
+// already filled in. A plain upi:// link can't report back to us, so the
+// payment is left for the server to confirm once the client returns.
+// iOS doesn't let apps pick a UPI app this way, so it's Android only.
+
+// Gives up on waiting if the client never comes back from the UPI app
+const RETURN_TIMEOUT_MS = 10 * 60 * 1000;
+
+const buildUpiUrl = (order) => {
+  const { vpa, payee_name: payeeName, reference } = order.upi || {};
+  if (!vpa) throw new Error('UPI details missing');
+
+  const params = {
+    pa: vpa,
+    pn: payeeName || 'Imperium',
+    tr: reference || order.order_id,
+    tn: order.description || 'Imperium payment',
+    am: Number(order.amount).toFixed(2),
+    cu: order.currency || 'INR',
+  };
+
+  const query = Object.entries(params)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+  return `upi://pay?${query}`;
+};
+
+// `returned` resolves once the app is in front again after the UPI app took
+// over. Started before opening the link, which can send the app to the
+// background before it resolves; `stop` gives up on it.
+const waitForReturn = () => {
+  let stop;
+
+  const returned = new Promise((resolve) => {
+    let left = false;
+
+    stop = () => {
+      clearTimeout(timer);
+      subscription.remove();
+      resolve();
+    };
+
+    const subscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState !== 'active') left = true;
+      else if (left) stop();
+    });
+    const timer = setTimeout(stop, RETURN_TIMEOUT_MS);
+  });
+
+  return { returned, stop };
+};
+
+const pay = async (order) => {
+  const url = buildUpiUrl(order);
+  const { returned, stop } = waitForReturn();
+
+  try {
+    await Linking.openURL(url);
+  } catch {
+    stop();
+    return { status: 'failed', error: 'No UPI app found on this phone' };
+  }
+
+  await returned;
+  return { status: 'pending', details: { upi_reference: order.upi?.reference } };
+};
+
+export default {
+  key: 'upi',
+  label: 'UPI App',
+  description: 'Pay with GPay, PhonePe, Paytm or any UPI app',
+  icon: 'phone-portrait-outline',
+  isAvailable: () => Platform.OS === 'android',
+  pay,
+};
@@ -11,159 +11,94 @@ import {
   Dimensions,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
+import OfflineBanner from '../components/OfflineBanner';
 import { Ionicons } from '@expo/vector-icons';
-import api from '../api/api';
+import { useServices, useProfile } from '../api/queries';
+import { syncServiceExpiryReminders } from '../utils/expiryReminders';
+import { loadServiceHistories, peekServiceHistory } from '../utils/serviceHistory';
+import { getServiceLifecycle, STATUS_COLORS } from '../utils/serviceLifecycle';
 import { Linking } from 'react-native';
 
 const { width } = Dimensions.get('window');
-const today = new Date();
-
-// Cache for timeline history
-const timelineCache = {};
-
-// Helper function to get current active service dates considering timeline extensions
-const getCurrentServiceDates = async (serviceId, serviceStartDate, serviceEndDate) => {
-  const originalStart = new Date(serviceStartDate);
-  const originalEnd = new Date(serviceEndDate);
-  
-  // Default to original dates
-  let currentStart = originalStart;
-  let currentEnd = originalEnd;
-  let isExtended = false;
-  
-  try {
-    // Check if we have cached timeline data for this service
-    if (!timelineCache[serviceId]) {
-      const res = await api.get(`/service-history/${serviceId}`);
-      timelineCache[serviceId] = res.data?.data?.timeline || [];
-    }
-    
-    const timelineData = timelineCache[serviceId];
-    
-    // Sort timeline events by end date (most recent first)
-    const sortedTimeline = timelineData.sort((a, b) => 
-      new Date(b.end_date) - new Date(a.end_date)
-    );
-    
-    // Find the active timeline event (today is between start and end)
-    const activeTimeline = sortedTimeline.find(timeline => {
-      if (timeline.start_date && timeline.end_date) {
-        const timelineStart = new Date(timeline.start_date);
-        const timelineEnd = new Date(timeline.end_date);
-        return today >= timelineStart && today <= timelineEnd;
-      }
-      return false;
-    });
-    
-    if (activeTimeline) {
-      // If there's an active timeline, use its dates
-      currentStart = new Date(activeTimeline.start_date);
-      currentEnd = new Date(activeTimeline.end_date);
-      isExtended = true;
-    } else {
-      // If no active timeline, check for the most recent completed timeline
-      const completedTimelines = sortedTimeline.filter(timeline => {
-        if (!timeline.end_date) return false;
-        return new Date(timeline.end_date) < today;
-      });
-      
-      if (completedTimelines.length > 0) {
-        // Use the most recent completed timeline's dates
-        const latestTimeline = completedTimelines[0];
-        currentStart = new Date(latestTimeline.start_date);
-        currentEnd = new Date(latestTimeline.end_date);
-        isExtended = true;
-      }
-    }
-  } catch (error) {
-    console.log(`Error fetching timeline for service ${serviceId}:`, error.message);
-    // Keep original dates on error
-  }
-  
-  return {
-    currentStart,
-    currentEnd,
-    isExtended,
-    isActive: today >= currentStart && today <= currentEnd
-  };
-};
 
 export default function Dashboard({ navigation }) {
-  const [services, setServices] = useState([]);
-  const [clientName, setClientName] = useState('Client');
-  const [loading, setLoading] = useState(true);
   const [summary, setSummary] = useState({
     activeCount: 0,
     expiredCount: 0,
     expiringSoonCount: 0,
   });
   const [serviceDatesMap, setServiceDatesMap] = useState({});
+  const [datesLoading, setDatesLoading] = useState(true);
   
   // Animation values
   const fadeAnim = useRef(new Animated.Value(0)).current;
   const slideAnim = useRef(new Animated.Value(20)).current;
   const headerScale = useRef(new Animated.Value(0.9)).current;
 
-  useEffect(() => {
-    loadDashboard();
-  }, []);
+  // Ignores date calculations overtaken by a newer service list
+  const datesRequestRef = useRef(0);
 
-  const loadDashboard = async () => {
-    try {
-      const [servicesRes, profileRes] = await Promise.all([
-        api.get('/client/services'),
-        api.get('/clients/profile/me'),
-      ]);
+  const servicesQuery = useServices();
+  const profileQuery = useProfile();
 
-      const rows = servicesRes.data.data || [];
-      const profile = profileRes.data.data;
+  const services = servicesQuery.data || [];
+  const clientName = profileQuery.data?.name || 'Client';
+  const loading = servicesQuery.loading || profileQuery.loading;
+  const kpisLoading = datesLoading && Boolean(servicesQuery.data);
 
-      setServices(rows);
-      setClientName(profile?.name || 'Client');
+  // Show the dashboard as soon as there is data; the service dates and KPIs follow
+  useEffect(() => {
+    if (!loading) startAnimations();
+  }, [loading]);
 
-      // Calculate service dates and status
-      await calculateServiceDates(rows);
-      
-    } catch (err) {
-      console.log('Dashboard load error', err.message);
-    } finally {
-      setLoading(false);
-    }
-  };
+  useEffect(() => {
+    if (servicesQuery.data) calculateServiceDates(servicesQuery.data);
+  }, [servicesQuery.data]);
 
   const calculateServiceDates = async (servicesData) => {
-    const datesMap = {};
-    let activeCount = 0;
-    let expiringSoonCount = 0;
-    const thirtyDaysFromNow = new Date();
-    thirtyDaysFromNow.setDate(thirtyDaysFromNow.getDate() + 30);
-    
-    for (const service of servicesData) {
-      const dates = await getCurrentServiceDates(
-        service.id, 
-        service.start_date, 
-        service.end_date
-      );
-      datesMap[service.id] = dates;
-      
-      if (dates.isActive) {
-        activeCount++;
-        
-        // Check if service expires within 30 days
-        if (dates.currentEnd <= thirtyDaysFromNow && dates.currentEnd >= today) {
-          expiringSoonCount++;
-        }
+    const request = ++datesRequestRef.current;
+    const servicesById = new Map(servicesData.map(service => [String(service.id), service]));
+
+    // Services whose history is already cached show their dates straight away
+    const cachedDates = {};
+    servicesData.forEach(service => {
+      const history = peekServiceHistory(service.id);
+      if (history) cachedDates[service.id] = getServiceLifecycle(service, history.timeline);
+    });
+    setServiceDatesMap(cachedDates);
+    setDatesLoading(Object.keys(cachedDates).length < servicesData.length);
+
+    const histories = await loadServiceHistories(
+      servicesData.map(service => service.id),
+      {
+        onLoaded: (serviceId, history) => {
+          if (request !== datesRequestRef.current) return;
+          const service = servicesById.get(String(serviceId));
+          setServiceDatesMap(prev => ({
+            ...prev,
+            [serviceId]: getServiceLifecycle(service, history.timeline),
+          }));
+        },
       }
-    }
-    
-    setServiceDatesMap(datesMap);
+    );
+    if (request !== datesRequestRef.current) return;
+
+    const datesMap = {};
+    servicesData.forEach(service => {
+      datesMap[service.id] = getServiceLifecycle(service, histories[service.id].timeline);
+    });
+    const lifecycles = Object.values(datesMap);
+
+    syncServiceExpiryReminders(servicesData, datesMap);
     setSummary({
-      activeCount: activeCount,
-      expiredCount: servicesData.length - activeCount,
-      expiringSoonCount: expiringSoonCount,
+      activeCount: lifecycles.filter(dates => dates.isActive).length,
+      expiredCount: lifecycles.filter(dates => dates.status === 'expired').length,
+      expiringSoonCount: lifecycles.filter(dates => dates.status === 'expiring-soon').length,
     });
-    
-    // Start animations after data loads
+    setDatesLoading(false);
+  };
+
+  const startAnimations = () => {
     Animated.parallel([
       Animated.timing(fadeAnim, {
         toValue: 1,
@@ -225,7 +160,7 @@ export default function Dashboard({ navigation }) {
   }
 
   const getGreeting = () => {
-    const hour = today.getHours();
+    const hour = new Date().getHours();
     if (hour < 12) return 'Good Morning';
     if (hour < 18) return 'Good Afternoon';
     return 'Good Evening';
@@ -238,6 +173,7 @@ export default function Dashboard({ navigation }) {
         <Text style={styles.pageTitle}>Dashboard</Text>
         <Text style={styles.pageSubtitle}>Overview of your services</Text>
       </View>
+      <OfflineBanner updatedAt={servicesQuery.updatedAt} error={servicesQuery.error} />
 
       <ScrollView
         contentContainerStyle={styles.container}
@@ -281,6 +217,7 @@ export default function Dashboard({ navigation }) {
                 color="#ef4444"
                 progress={services.length > 0 ? (summary.expiredCount / services.length) * 100 : 0}
                 type="expired"
+                loading={kpisLoading}
               />
               <KPICard
                 icon="time"
@@ -290,6 +227,7 @@ export default function Dashboard({ navigation }) {
                 color="#f59e0b"
                 progress={summary.activeCount > 0 ? (summary.expiringSoonCount / summary.activeCount) * 100 : 0}
                 type="expiring"
+                loading={kpisLoading}
               />
             </View>
           </View>
@@ -322,16 +260,13 @@ export default function Dashboard({ navigation }) {
               </View>
             ) : (
               services.slice(0, 3).map(service => {
-                const serviceDates = serviceDatesMap[service.id];
-                const active = serviceDates?.isActive || false;
-                const endDate = serviceDates?.currentEnd || new Date(service.end_date);
+                const lifecycle = serviceDatesMap[service.id];
                 
                 return (
                   <ServiceCard
                     key={service.id}
                     service={service}
-                    active={active}
-                    endDate={endDate}
+                    lifecycle={lifecycle}
                     onPress={() => navigation.navigate('Services', {
                       screen: 'ServiceDetails',
                       params: { serviceId: service.id },
@@ -400,7 +335,7 @@ export default function Dashboard({ navigation }) {
 
 /* ===== REUSABLE COMPONENTS ===== */
 
-const KPICard = ({ icon, label, value, total, color, progress, type }) => (
+const KPICard = ({ icon, label, value, total, color, progress, type, loading }) => (
   <View style={styles.kpiCard}>
     <View style={styles.kpiHeader}>
       <View style={[styles.kpiIconContainer, { backgroundColor: `${color}20` }]}>
@@ -413,7 +348,7 @@ const KPICard = ({ icon, label, value, total, color, progress, type }) => (
     
     <View style={styles.kpiValueRow}>
       <Text style={styles.kpiValue} numberOfLines={1}>
-        {value}
+        {loading ? '–' : value}
       </Text>
       {type === 'expired' && (
         <Text style={styles.kpiSubtext} numberOfLines={1}>
@@ -443,28 +378,39 @@ const KPICard = ({ icon, label, value, total, color, progress, type }) => (
       </View>
       <View style={styles.percentContainer}>
         <Text style={[styles.percentValue, { color }]} numberOfLines={1}>
-          {Math.round(progress)}%
+          {loading ? '–' : `${Math.round(progress)}%`}
         </Text>
       </View>
     </View>
   </View>
 );
 
-const ServiceCard = ({ service, active, endDate, onPress }) => {
-  const daysRemaining = Math.ceil((endDate - today) / (1000 * 60 * 60 * 24));
-  const isExpiringSoon = active && daysRemaining <= 30 && daysRemaining > 0;
+// `lifecycle` is undefined until the service's history has loaded
+const ServiceCard = ({ service, lifecycle, onPress }) => {
+  const pending = !lifecycle;
+  const { status, isActive: active, currentStart, currentEnd, daysRemaining } = lifecycle || {};
+  const upcoming = status === 'upcoming';
+  const isExpiringSoon = status === 'expiring-soon';
+  const statusColor = STATUS_COLORS[pending ? 'unknown' : active ? 'active' : status];
+  
+  const getDateText = () => {
+    if (pending) return 'Checking dates...';
+    if (!currentEnd) return 'Dates not set';
+    if (upcoming) return `Starts ${currentStart.toLocaleDateString()}`;
+    return `${active ? 'Expires' : 'Expired'} ${currentEnd.toLocaleDateString()}`;
+  };
   
   return (
     <TouchableOpacity style={styles.serviceCard} onPress={onPress} activeOpacity={0.9}>
       <View style={styles.serviceContent}>
         <View style={[
           styles.serviceIcon,
-          { backgroundColor: active ? 'rgba(59, 130, 246, 0.1)' : 'rgba(239, 68, 68, 0.1)' }
+          { backgroundColor: active || upcoming || pending ? 'rgba(59, 130, 246, 0.1)' : 'rgba(239, 68, 68, 0.1)' }
         ]}>
           <Ionicons 
             name="cube-outline" 
             size={20} 
-            color={active ? '#3b82f6' : '#ef4444'} 
+            color={active || upcoming || pending ? '#3b82f6' : '#ef4444'} 
           />
         </View>
         <View style={styles.serviceInfo}>
@@ -472,13 +418,13 @@ const ServiceCard = ({ service, active, endDate, onPress }) => {
           <View style={styles.serviceMeta}>
             <Ionicons name="calendar-outline" size={12} color="#94a3b8" />
             <Text style={styles.serviceDate} numberOfLines={1}>
-              {active ? 'Expires' : 'Expired'} {endDate.toLocaleDateString()}
+              {getDateText()}
             </Text>
             {isExpiringSoon && (
               <>
                 <Text style={styles.separator}>•</Text>
                 <Text style={styles.expiringText} numberOfLines={1}>
-                  {daysRemaining} days left
+                  {daysRemaining === 0 ? 'Last day' : `${daysRemaining} days left`}
                 </Text>
               </>
             )}
@@ -487,14 +433,14 @@ const ServiceCard = ({ service, active, endDate, onPress }) => {
       </View>
       <View style={[
         styles.serviceStatus,
-        active ? styles.statusActive : styles.statusExpired
+        active || upcoming || pending ? styles.statusActive : styles.statusExpired
       ]}>
         <View style={[
           styles.statusDot,
-          { backgroundColor: active ? '#10b981' : '#ef4444' }
+          { backgroundColor: statusColor }
         ]} />
         <Text style={styles.statusText} numberOfLines={1}>
-          {active ? 'Active' : 'Expired'}
+          {pending ? 'Checking' : active ? 'Active' : upcoming ? 'Upcoming' : 'Expired'}
         </Text>
       </View>
     </TouchableOpacity>
@@ -0,0 +1,394 @@
+import { useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  ActivityIndicator,
+  StyleSheet,
+  Animated,
+  RefreshControl,
+  ScrollView,
+  TouchableOpacity,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import OfflineBanner from '../components/OfflineBanner';
+import { useRequests } from '../api/queries';
+import { getRequestStatus } from '../utils/requestStatus';
+import { getRequestTypeInfo, useRequestTypes } from '../utils/requestSchema';
+
+export default function MyRequests({ navigation }) {
+  // Animation values
+  const fadeAnim = useRef(new Animated.Value(0)).current;
+  const slideAnim = useRef(new Animated.Value(20)).current;
+
+  const requestsQuery = useRequests();
+  const requestTypes = useRequestTypes();
+  const { loading, refreshing, refresh: onRefresh } = requestsQuery;
+
+  // Newest first
+  const requests = [...(requestsQuery.data || [])].sort(
+    (a, b) => new Date(b.created_at) - new Date(a.created_at)
+  );
+
+  useEffect(() => {
+    if (loading) return;
+
+    Animated.parallel([
+      Animated.timing(fadeAnim, {
+        toValue: 1,
+        duration: 800,
+        useNativeDriver: true,
+      }),
+      Animated.timing(slideAnim, {
+        toValue: 0,
+        duration: 600,
+        useNativeDriver: true,
+      }),
+    ]).start();
+  }, [loading]);
+
+  const openRequest = (request) => {
+    navigation.navigate('RequestDetails', { requestId: request.id });
+  };
+
+  // Requests still with us, as opposed to accepted or not taken up
+  const openCount = requests.filter(
+    (r) => !['accepted', 'rejected'].includes(r.status)
+  ).length;
+
+  const renderHeader = (subtitle) => (
+    <View style={styles.pageHeader}>
+      <TouchableOpacity
+        style={styles.backButton}
+        onPress={() => navigation.goBack()}
+      >
+        <Ionicons name="arrow-back" size={22} color="#f8fafc" />
+      </TouchableOpacity>
+      <View style={styles.headerContent}>
+        <Text style={styles.pageTitle}>My Requests</Text>
+        <Text style={styles.pageSubtitle}>{subtitle}</Text>
+      </View>
+    </View>
+  );
+
+  if (loading) {
+    return (
+      <SafeAreaView style={styles.safe} edges={['top']}>
+        {renderHeader('Loading requests...')}
+        <View style={styles.loader}>
+          <ActivityIndicator size="large" color="#3b82f6" />
+          <Text style={styles.loadingText}>Loading your requests...</Text>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.safe} edges={['top']}>
+      {renderHeader(
+        requests.length > 0
+          ? `${openCount} open • ${requests.length} total`
+          : 'Track what you have sent us'
+      )}
+      <OfflineBanner updatedAt={requestsQuery.updatedAt} error={requestsQuery.error} />
+
+      <ScrollView
+        contentContainerStyle={styles.container}
+        showsVerticalScrollIndicator={false}
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={onRefresh}
+            tintColor="#3b82f6"
+            colors={['#3b82f6']}
+          />
+        }
+      >
+        <Animated.View
+          style={[
+            styles.content,
+            {
+              opacity: fadeAnim,
+              transform: [{ translateY: slideAnim }],
+            },
+          ]}
+        >
+          {requests.length > 0 ? (
+            <View style={styles.requestsList}>
+              {requests.map((request) => (
+                <RequestCard
+                  key={request.id}
+                  request={request}
+                  typeInfo={getRequestTypeInfo(requestTypes, request.type)}
+                  onPress={() => openRequest(request)}
+                />
+              ))}
+            </View>
+          ) : (
+            <View style={styles.emptyState}>
+              <View style={styles.emptyIcon}>
+                <Ionicons name="file-tray-outline" size={64} color="#475569" />
+              </View>
+              <Text style={styles.emptyTitle}>No Requests Yet</Text>
+              <Text style={styles.emptyText}>
+                Service requests and suggestions you send us will appear here,
+                along with our replies.
+              </Text>
+              <TouchableOpacity
+                style={styles.emptyButton}
+                onPress={() => navigation.navigate('RequestForm')}
+                activeOpacity={0.8}
+              >
+                <Ionicons name="add-circle-outline" size={18} color="#ffffff" />
+                <Text style={styles.emptyButtonText}>New Request</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+        </Animated.View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+/* ===== REUSABLE COMPONENTS ===== */
+
+const RequestCard = ({ request, typeInfo, onPress }) => {
+  const status = getRequestStatus(request.status);
+  const responseCount = request.responses_count || 0;
+
+  return (
+    <TouchableOpacity
+      style={styles.requestCard}
+      onPress={onPress}
+      activeOpacity={0.7}
+    >
+      <View style={styles.requestHeader}>
+        <View style={[styles.requestIcon, { backgroundColor: `${typeInfo.color}15` }]}>
+          <Ionicons name={typeInfo.icon} size={20} color={typeInfo.color} />
+        </View>
+        <View style={styles.requestInfo}>
+          <Text style={styles.requestType}>{typeInfo.label}</Text>
+          <View style={styles.requestMeta}>
+            <Ionicons name="calendar-outline" size={12} color="#94a3b8" />
+            <Text style={styles.requestDate}>
+              {new Date(request.created_at).toLocaleDateString('en-IN', {
+                day: 'numeric',
+                month: 'short',
+                year: 'numeric',
+              })}
+            </Text>
+          </View>
+        </View>
+        <View style={[styles.statusBadge, { backgroundColor: `${status.color}15` }]}>
+          <Ionicons name={status.icon} size={12} color={status.color} />
+          <Text style={[styles.statusText, { color: status.color }]}>
+            {status.label}
+          </Text>
+        </View>
+      </View>
+
+      <Text style={styles.requestDescription} numberOfLines={2}>
+        {request.description}
+      </Text>
+
+      <View style={styles.requestFooter}>
+        <View style={styles.footerLeft}>
+          <Ionicons name="chatbubbles-outline" size={14} color="#94a3b8" />
+          <Text style={styles.footerText}>
+            {responseCount > 0
+              ? `${responseCount} ${responseCount === 1 ? 'reply' : 'replies'} from the team`
+              : 'No replies yet'}
+          </Text>
+        </View>
+        <Ionicons name="chevron-forward" size={18} color="#64748b" />
+      </View>
+    </TouchableOpacity>
+  );
+};
+
+/* ===== STYLES ===== */
+
+const styles = StyleSheet.create({
+  safe: {
+    flex: 1,
+    backgroundColor: '#0a0f1e',
+  },
+  // Page Header
+  pageHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 24,
+    paddingTop: 20,
+    paddingBottom: 16,
+    backgroundColor: '#0a0f1e',
+    borderBottomWidth: 1,
+    borderBottomColor: '#1e293b',
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#1e293b',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 16,
+  },
+  headerContent: {
+    flex: 1,
+  },
+  pageTitle: {
+    fontSize: 28,
+    fontWeight: '800',
+    color: '#f8fafc',
+    letterSpacing: -0.8,
+    marginBottom: 4,
+  },
+  pageSubtitle: {
+    fontSize: 15,
+    color: '#94a3b8',
+    fontWeight: '500',
+  },
+  loader: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#0a0f1e',
+  },
+  loadingText: {
+    marginTop: 16,
+    color: '#94a3b8',
+    fontSize: 15,
+    fontWeight: '500',
+  },
+  container: {
+    padding: 20,
+    paddingBottom: 100,
+  },
+  content: {
+    width: '100%',
+    maxWidth: 500,
+    alignSelf: 'center',
+  },
+
+  // Request Cards
+  requestsList: {
+    gap: 12,
+  },
+  requestCard: {
+    backgroundColor: '#1e293b',
+    borderRadius: 16,
+    padding: 16,
+    borderWidth: 1,
+    borderColor: '#2d3748',
+  },
+  requestHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  requestIcon: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  requestInfo: {
+    flex: 1,
+  },
+  requestType: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#f8fafc',
+    marginBottom: 4,
+  },
+  requestMeta: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  requestDate: {
+    fontSize: 13,
+    color: '#94a3b8',
+    marginLeft: 4,
+    fontWeight: '500',
+  },
+  statusBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 10,
+  },
+  statusText: {
+    fontSize: 11,
+    fontWeight: '700',
+  },
+  requestDescription: {
+    color: '#e5e7eb',
+    fontSize: 14,
+    lineHeight: 20,
+    marginBottom: 12,
+  },
+  requestFooter: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  footerLeft: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  footerText: {
+    fontSize: 13,
+    color: '#94a3b8',
+    marginLeft: 6,
+    fontWeight: '500',
+  },
+
+  // Empty State
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 40,
+  },
+  emptyIcon: {
+    width: 100,
+    height: 100,
+    borderRadius: 50,
+    backgroundColor: '#1e293b',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 24,
+    borderWidth: 1,
+    borderColor: '#334155',
+  },
+  emptyTitle: {
+    fontSize: 20,
+    fontWeight: '700',
+    color: '#f8fafc',
+    marginBottom: 8,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#94a3b8',
+    textAlign: 'center',
+    marginBottom: 24,
+    lineHeight: 20,
+    maxWidth: 300,
+  },
+  emptyButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    backgroundColor: '#3b82f6',
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+    borderRadius: 12,
+  },
+  emptyButtonText: {
+    color: '#ffffff',
+    fontSize: 15,
+    fontWeight: '700',
+  },
+});
@@ -13,7 +13,8 @@ import {
   TouchableWithoutFeedback,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
-import api from '../api/api';
+import OfflineBanner from '../components/OfflineBanner';
+import { useNotes } from '../api/queries';
 import { Ionicons } from '@expo/vector-icons';
 
 const { width } = Dimensions.get('window');
@@ -21,9 +22,6 @@ const { width } = Dimensions.get('window');
 export default function Notes({ route }) {
   const { serviceId } = route.params;
 
-  const [loading, setLoading] = useState(true);
-  const [refreshing, setRefreshing] = useState(false);
-  const [notes, setNotes] = useState([]);
   const [selectedNote, setSelectedNote] = useState(null);
   const [modalVisible, setModalVisible] = useState(false);
 
@@ -31,41 +29,26 @@ export default function Notes({ route }) {
   const fadeAnim = useRef(new Animated.Value(0)).current;
   const slideAnim = useRef(new Animated.Value(20)).current;
 
-  useEffect(() => {
-    fetchNotes();
-  }, []);
+  const notesQuery = useNotes(serviceId);
+  const notes = notesQuery.data || [];
+  const { loading, refreshing, refresh: onRefresh } = notesQuery;
 
-  const fetchNotes = async () => {
-    try {
-      const res = await api.get(`/notes/client/${serviceId}`);
-      setNotes(res.data?.data || []);
-      
-      if (!refreshing) {
-        Animated.parallel([
-          Animated.timing(fadeAnim, {
-            toValue: 1,
-            duration: 800,
-            useNativeDriver: true,
-          }),
-          Animated.timing(slideAnim, {
-            toValue: 0,
-            duration: 600,
-            useNativeDriver: true,
-          }),
-        ]).start();
-      }
-    } catch (err) {
-      console.log('Notes fetch error:', err.response?.data || err.message);
-    } finally {
-      setLoading(false);
-      setRefreshing(false);
-    }
-  };
+  useEffect(() => {
+    if (loading) return;
 
-  const onRefresh = () => {
-    setRefreshing(true);
-    fetchNotes();
-  };
+    Animated.parallel([
+      Animated.timing(fadeAnim, {
+        toValue: 1,
+        duration: 800,
+        useNativeDriver: true,
+      }),
+      Animated.timing(slideAnim, {
+        toValue: 0,
+        duration: 600,
+        useNativeDriver: true,
+      }),
+    ]).start();
+  }, [loading]);
 
   const openNoteModal = (note) => {
     setSelectedNote(note);
@@ -132,6 +115,7 @@ export default function Notes({ route }) {
           {totalNotes} note{totalNotes !== 1 ? 's' : ''} recorded
         </Text>
       </View>
+      <OfflineBanner updatedAt={notesQuery.updatedAt} error={notesQuery.error} />
 
       <ScrollView
         contentContainerStyle={styles.container}
@@ -0,0 +1,260 @@
+import { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+  ActivityIndicator,
+  TouchableOpacity,
+  Switch,
+  Alert,
+  Linking,
+  Platform,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import api from '../api/api';
+import { queryKeys, fetchPreferences } from '../api/queries';
+import { useQuery, setQueryData } from '../api/queryCache';
+import { NOTIFICATION_CATEGORIES } from '../utils/notificationCategories';
+import { cancelExpiryReminders } from '../utils/expiryReminders';
+
+export default function NotificationPreferences({ navigation }) {
+  const preferencesQuery = useQuery(queryKeys.notificationPreferences, fetchPreferences);
+  const mutedCategories = preferencesQuery.data?.muted_categories || [];
+  const { loading } = preferencesQuery;
+  const [saving, setSaving] = useState(null); // category key being saved
+
+  useEffect(() => {
+    if (preferencesQuery.error) {
+      Alert.alert('Error', 'Unable to load your notification preferences');
+    }
+  }, [preferencesQuery.error]);
+
+  // Muting is enforced by the server, so pushes stop on every device
+  const toggleCategory = async (key, enabled) => {
+    const previous = preferencesQuery.data;
+    const next = enabled
+      ? mutedCategories.filter((category) => category !== key)
+      : [...mutedCategories, key];
+
+    setQueryData(queryKeys.notificationPreferences, { ...previous, muted_categories: next });
+    setSaving(key);
+
+    try {
+      await api.put('/notifications/preferences', { muted_categories: next });
+      // Reminders are scheduled on the phone, out of the server's reach; they
+      // come back with the next services refresh once unmuted
+      if (key === 'renewal' && !enabled) cancelExpiryReminders();
+    } catch (err) {
+      console.log('Save preferences error:', err.response?.data || err.message);
+      setQueryData(queryKeys.notificationPreferences, previous);
+      Alert.alert('Error', 'Unable to update your notification preferences');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  return (
+    <SafeAreaView edges={['top']} style={styles.safe}>
+      {/* ===== PAGE HEADER ===== */}
+      <View style={styles.pageHeader}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.navigate('Profile')}
+        >
+          <Ionicons name="arrow-back" size={22} color="#f8fafc" />
+        </TouchableOpacity>
+        <View>
+          <Text style={styles.pageTitle}>Notifications</Text>
+          <Text style={styles.pageSubtitle}>Choose what you hear about</Text>
+        </View>
+      </View>
+
+      {loading ? (
+        <View style={styles.loader}>
+          <ActivityIndicator size="large" color="#3b82f6" />
+        </View>
+      ) : (
+        <ScrollView
+          contentContainerStyle={styles.container}
+          showsVerticalScrollIndicator={false}
+        >
+          <View style={styles.detailCard}>
+            <View style={styles.cardHeader}>
+              <Ionicons name="notifications-outline" size={24} color="#ec4899" />
+              <Text style={styles.cardTitle}>Push Notifications</Text>
+            </View>
+
+            {NOTIFICATION_CATEGORIES.map((category, index) => (
+              <View
+                key={category.key}
+                style={[
+                  styles.categoryRow,
+                  index === NOTIFICATION_CATEGORIES.length - 1 && styles.categoryRowLast,
+                ]}
+              >
+                <View style={[styles.categoryIcon, { backgroundColor: `${category.color}1a` }]}>
+                  <Ionicons name={category.icon} size={18} color={category.color} />
+                </View>
+                <View style={styles.categoryContent}>
+                  <Text style={styles.categoryLabel}>{category.label}</Text>
+                  <Text style={styles.categoryDescription}>{category.description}</Text>
+                </View>
+                <Switch
+                  value={!mutedCategories.includes(category.key)}
+                  onValueChange={(enabled) => toggleCategory(category.key, enabled)}
+                  disabled={saving !== null}
+                  trackColor={{ false: '#334155', true: '#3b82f6' }}
+                  thumbColor="#f8fafc"
+                />
+              </View>
+            ))}
+          </View>
+
+          <Text style={styles.footnote}>
+            Muted categories still appear in your notification list.
+          </Text>
+
+          {/* Sound, vibration and importance per category live in Android's own settings */}
+          {Platform.OS === 'android' && (
+            <TouchableOpacity
+              style={styles.settingsButton}
+              onPress={() => Linking.openSettings()}
+              activeOpacity={0.8}
+            >
+              <Ionicons name="settings-outline" size={18} color="#3b82f6" />
+              <Text style={styles.settingsButtonText}>Sound & vibration settings</Text>
+            </TouchableOpacity>
+          )}
+        </ScrollView>
+      )}
+    </SafeAreaView>
+  );
+}
+
+/* ===== STYLES ===== */
+
+const styles = StyleSheet.create({
+  safe: {
+    flex: 1,
+    backgroundColor: '#0a0f1e',
+  },
+  // Page Header
+  pageHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 24,
+    paddingTop: 20,
+    paddingBottom: 16,
+    backgroundColor: '#0a0f1e',
+    borderBottomWidth: 1,
+    borderBottomColor: '#1e293b',
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#1e293b',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 16,
+  },
+  pageTitle: {
+    fontSize: 28,
+    fontWeight: '800',
+    color: '#f8fafc',
+    letterSpacing: -0.8,
+    marginBottom: 4,
+  },
+  pageSubtitle: {
+    fontSize: 15,
+    color: '#94a3b8',
+    fontWeight: '500',
+  },
+  loader: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  container: {
+    padding: 20,
+    paddingBottom: 100,
+  },
+  detailCard: {
+    backgroundColor: '#1e293b',
+    borderRadius: 20,
+    padding: 24,
+    marginBottom: 16,
+    borderWidth: 1,
+    borderColor: '#2d3748',
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  cardTitle: {
+    fontSize: 20,
+    fontWeight: '700',
+    color: '#f8fafc',
+    marginLeft: 12,
+    letterSpacing: -0.3,
+  },
+  categoryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#2d3748',
+  },
+  categoryRowLast: {
+    borderBottomWidth: 0,
+    paddingBottom: 0,
+  },
+  categoryIcon: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 16,
+  },
+  categoryContent: {
+    flex: 1,
+    marginRight: 12,
+  },
+  categoryLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#f8fafc',
+    marginBottom: 2,
+  },
+  categoryDescription: {
+    fontSize: 13,
+    color: '#94a3b8',
+    lineHeight: 18,
+  },
+  footnote: {
+    fontSize: 13,
+    color: '#64748b',
+    textAlign: 'center',
+    marginBottom: 20,
+  },
+  settingsButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    backgroundColor: 'rgba(59, 130, 246, 0.1)',
+    borderWidth: 1,
+    borderColor: 'rgba(59, 130, 246, 0.2)',
+    borderRadius: 14,
+    paddingVertical: 14,
+  },
+  settingsButtonText: {
+    color: '#3b82f6',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+});
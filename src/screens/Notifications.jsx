@@ -10,116 +10,126 @@ import {
   Animated,
   Dimensions,
   TouchableOpacity,
+  ScrollView,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import api from '../api/api';
+import { queryKeys, useNotifications } from '../api/queries';
+import { setQueryData } from '../api/queryCache';
+import OfflineBanner from '../components/OfflineBanner';
+import { setUnreadCount } from '../utils/unreadNotifications';
+import {
+  NOTIFICATION_CATEGORIES,
+  getNotificationCategory,
+  getCategoryInfo,
+} from '../utils/notificationCategories';
 
 const { width } = Dimensions.get('window');
 const FILE_BASE_URL = 'https://api.imperiummmm.in';
 
 export default function Notifications() {
-  const [notifications, setNotifications] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [refreshing, setRefreshing] = useState(false);
-  const [readIds, setReadIds] = useState(new Set()); // Track read notifications
+  const [filter, setFilter] = useState('all'); // 'all' | 'unread' | category key
   
   // Animation values
   const fadeAnim = useRef(new Animated.Value(0)).current;
   const slideAnim = useRef(new Animated.Value(20)).current;
 
   /* ---------------- FETCH ---------------- */
-  const fetchNotifications = async () => {
-    try {
-      const res = await api.get('/notifications/client');
-      setNotifications(res.data?.data || []);
-      
-      // Start animations after data loads
-      if (!refreshing) {
-        Animated.parallel([
-          Animated.timing(fadeAnim, {
-            toValue: 1,
-            duration: 800,
-            useNativeDriver: true,
-          }),
-          Animated.timing(slideAnim, {
-            toValue: 0,
-            duration: 600,
-            useNativeDriver: true,
-          }),
-        ]).start();
-      }
-    } catch (err) {
-      console.error(
-        '❌ FETCH NOTIFICATIONS ERROR:',
-        err.response?.data || err.message
-      );
-    } finally {
-      setLoading(false);
-      setRefreshing(false);
-    }
-  };
+  const notificationsQuery = useNotifications();
+  const notifications = notificationsQuery.data || [];
+  const { loading, refreshing, refresh: onRefresh } = notificationsQuery;
 
   useEffect(() => {
-    fetchNotifications();
-  }, []);
+    if (loading) return;
+
+    // Start animations after data loads
+    Animated.parallel([
+      Animated.timing(fadeAnim, {
+        toValue: 1,
+        duration: 800,
+        useNativeDriver: true,
+      }),
+      Animated.timing(slideAnim, {
+        toValue: 0,
+        duration: 600,
+        useNativeDriver: true,
+      }),
+    ]).start();
+  }, [loading]);
 
-  const onRefresh = () => {
-    setRefreshing(true);
-    fetchNotifications();
+  // Keep the More menu and app icon badges in step with this list
+  useEffect(() => {
+    if (notificationsQuery.data) {
+      setUnreadCount(notificationsQuery.data.filter(n => !n.is_read).length);
+    }
+  }, [notificationsQuery.data]);
+
+  // Omit notificationId to apply to every notification
+  const applyReadState = (isRead, notificationId) => {
+    setQueryData(queryKeys.notifications, (prev = []) =>
+      prev.map(n =>
+        notificationId === undefined || n.id === notificationId
+          ? { ...n, is_read: isRead }
+          : n
+      )
+    );
   };
 
-  // Mark notification as read
+  // Mark notification as read (optimistic; rolled back if the server refuses)
   const markAsRead = async (notificationId) => {
+    applyReadState(true, notificationId);
+
     try {
-      // Add to local read set
-      setReadIds(prev => new Set(prev).add(notificationId));
-      
-      // Optional: Send API call to mark as read on server
-      // await api.post(`/notifications/${notificationId}/read`);
-      
-      // You can also filter out the read notification from the list
-      // if you want to completely remove it:
-      // setNotifications(prev => prev.filter(n => n.id !== notificationId));
-      
+      await api.post(`/notifications/${notificationId}/read`);
     } catch (err) {
-      console.error('Error marking as read:', err);
+      console.error('Error marking as read:', err.response?.data || err.message);
+      applyReadState(false, notificationId);
     }
   };
 
   // Mark all as read
-  const markAllAsRead = () => {
-    const allIds = notifications.map(n => n.id);
-    setReadIds(new Set(allIds));
+  const markAllAsRead = async () => {
+    const previous = notificationsQuery.data;
+    applyReadState(true);
+
+    try {
+      await api.post('/notifications/client/read-all');
+    } catch (err) {
+      console.error('Error marking all as read:', err.response?.data || err.message);
+      setQueryData(queryKeys.notifications, previous);
+    }
   };
 
   // Function to check if notification is read
   const isNotificationRead = (notificationId) => {
-    return readIds.has(notificationId);
+    return Boolean(notifications.find(n => n.id === notificationId)?.is_read);
   };
 
   // Function to get unread count
   const getUnreadCount = () => {
-    return notifications.filter(n => !readIds.has(n.id)).length;
+    return notifications.filter(n => !n.is_read).length;
   };
 
-  // Function to get notification icon based on type
-  const getNotificationIcon = (title) => {
-    const lowerTitle = title.toLowerCase();
-    if (lowerTitle.includes('order') || lowerTitle.includes('purchase')) {
-      return 'cart-outline';
-    } else if (lowerTitle.includes('payment') || lowerTitle.includes('bill')) {
-      return 'cash-outline';
-    } else if (lowerTitle.includes('update') || lowerTitle.includes('news')) {
-      return 'megaphone-outline';
-    } else if (lowerTitle.includes('alert') || lowerTitle.includes('warning')) {
-      return 'alert-circle-outline';
-    } else if (lowerTitle.includes('success') || lowerTitle.includes('completed')) {
-      return 'checkmark-circle-outline';
-    }
-    return 'notifications-outline';
+  const matchesFilter = (notification) => {
+    if (filter === 'all') return true;
+    if (filter === 'unread') return !notification.is_read;
+    return getNotificationCategory(notification) === filter;
   };
 
+  const visibleNotifications = notifications.filter(matchesFilter);
+
+  // Only offer categories that have something in them
+  const filterOptions = [
+    { key: 'all', label: 'All', count: notifications.length },
+    { key: 'unread', label: 'Unread', count: getUnreadCount() },
+    ...NOTIFICATION_CATEGORIES.map(category => ({
+      key: category.key,
+      label: category.label,
+      count: notifications.filter(n => getNotificationCategory(n) === category.key).length,
+    })).filter(option => option.count > 0),
+  ];
+
   // Function to format date
   const formatDate = (dateString) => {
     const date = new Date(dateString);
@@ -170,6 +180,10 @@ export default function Notifications() {
           <Text style={styles.pageTitle}>Notifications</Text>
           <Text style={styles.pageSubtitle}>Stay updated with alerts</Text>
         </View>
+        <OfflineBanner
+          updatedAt={notificationsQuery.updatedAt}
+          error={notificationsQuery.error}
+        />
         <View style={styles.emptyContainer}>
           <View style={styles.emptyIcon}>
             <Ionicons name="notifications-off-outline" size={64} color="#475569" />
@@ -208,9 +222,37 @@ export default function Notifications() {
           </TouchableOpacity>
         )}
       </View>
+      <OfflineBanner
+        updatedAt={notificationsQuery.updatedAt}
+        error={notificationsQuery.error}
+      />
+
+      {/* Filter Chips */}
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        style={styles.filterScroll}
+        contentContainerStyle={styles.filterRow}
+      >
+        {filterOptions.map(option => {
+          const active = filter === option.key;
+          return (
+            <TouchableOpacity
+              key={option.key}
+              style={[styles.filterChip, active && styles.filterChipActive]}
+              onPress={() => setFilter(option.key)}
+              activeOpacity={0.8}
+            >
+              <Text style={[styles.filterChipText, active && styles.filterChipTextActive]}>
+                {option.label} ({option.count})
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
 
       <FlatList
-        data={notifications}
+        data={visibleNotifications}
         keyExtractor={(item) => String(item.id)}
         contentContainerStyle={styles.container}
         refreshControl={
@@ -224,6 +266,7 @@ export default function Notifications() {
         showsVerticalScrollIndicator={false}
         renderItem={({ item, index }) => {
           const isRead = isNotificationRead(item.id);
+          const category = getCategoryInfo(getNotificationCategory(item));
           
           return (
             <Animated.View
@@ -240,12 +283,12 @@ export default function Notifications() {
               <View style={styles.cardHeader}>
                 <View style={[
                   styles.iconContainer,
-                  { backgroundColor: isRead ? 'rgba(59, 130, 246, 0.1)' : 'rgba(59, 130, 246, 0.15)' }
+                  { backgroundColor: isRead ? `${category.color}1a` : `${category.color}26` }
                 ]}>
                   <Ionicons 
-                    name={getNotificationIcon(item.title)} 
+                    name={category.icon} 
                     size={20} 
-                    color={isRead ? '#3b82f6' : '#3b82f6'} 
+                    color={category.color} 
                   />
                 </View>
                 <View style={styles.headerContent}>
@@ -343,6 +386,16 @@ export default function Notifications() {
             </View>
           </View>
         }
+        ListEmptyComponent={
+          <View style={styles.filterEmpty}>
+            <Ionicons name="checkmark-done-circle-outline" size={48} color="#10b981" />
+            <Text style={styles.filterEmptyText}>
+              {filter === 'unread'
+                ? 'No unread notifications'
+                : 'No notifications in this category'}
+            </Text>
+          </View>
+        }
         ListFooterComponent={
           <View style={styles.bottomSpacing} />
         }
@@ -400,6 +453,46 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     marginLeft: 6,
   },
+  // Filter Chips
+  filterScroll: {
+    flexGrow: 0,
+  },
+  filterRow: {
+    flexDirection: 'row',
+    gap: 8,
+    paddingHorizontal: 24,
+    paddingVertical: 12,
+  },
+  filterChip: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 20,
+    backgroundColor: '#1e293b',
+    borderWidth: 1,
+    borderColor: '#2d3748',
+  },
+  filterChipActive: {
+    backgroundColor: '#3b82f6',
+    borderColor: '#3b82f6',
+  },
+  filterChipText: {
+    color: '#94a3b8',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  filterChipTextActive: {
+    color: '#ffffff',
+  },
+  filterEmpty: {
+    alignItems: 'center',
+    paddingVertical: 48,
+  },
+  filterEmptyText: {
+    marginTop: 12,
+    color: '#94a3b8',
+    fontSize: 15,
+    fontWeight: '500',
+  },
   loader: {
     flex: 1,
     justifyContent: 'center',
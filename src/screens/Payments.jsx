@@ -10,9 +10,20 @@ import {
   RefreshControl,
   ScrollView,
   TouchableOpacity,
+  Alert,
+  Platform,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
-import api from '../api/api';
+import OfflineBanner from '../components/OfflineBanner';
+import PaymentMethodModal from '../components/PaymentMethodModal';
+import { usePaymentSummary, useInstallments } from '../api/queries';
+import { getAvailableProviders, payAmount } from '../payments/gateway';
+import {
+  createReceiptPdf,
+  createStatementPdf,
+  previewDocument,
+  shareDocument,
+} from '../payments/documents';
 import { Ionicons } from '@expo/vector-icons';
 
 const { width } = Dimensions.get('window');
@@ -20,82 +31,66 @@ const { width } = Dimensions.get('window');
 export default function Payments({ route, navigation }) {
   const { serviceId } = route.params;
 
-  const [loading, setLoading] = useState(true);
-  const [refreshing, setRefreshing] = useState(false);
-  const [summary, setSummary] = useState(null);
-  const [installments, setInstallments] = useState([]);
   const [filter, setFilter] = useState('all'); // 'all', 'paid', 'pending'
 
+  // What the method picker is open for, and what is being paid right now
+  const [paymentTarget, setPaymentTarget] = useState(null); // { key, title, amount, installmentId }
+  const [payingKey, setPayingKey] = useState(null);
+  // The method picked, held until the picker has finished closing
+  const pendingPaymentRef = useRef(null);
+
+  // Installment id, or 'statement', while its PDF is being prepared
+  const [documentKey, setDocumentKey] = useState(null);
+
   // Animation values
   const fadeAnim = useRef(new Animated.Value(0)).current;
   const slideAnim = useRef(new Animated.Value(20)).current;
 
-  useEffect(() => {
-    fetchPayments();
-  }, []);
-
-  const fetchPayments = async () => {
-    try {
-      /* ===== PAYMENT SUMMARY ===== */
-      const summaryRes = await api.get(
-        `/payments/summary/${serviceId}`
-      );
-
-      const summaryData = summaryRes.data?.data || {};
-
-      setSummary({
+  /* ===== PAYMENT SUMMARY ===== */
+  const summaryQuery = usePaymentSummary(serviceId);
+  const summaryData = summaryQuery.data;
+  const summary = summaryData
+    ? {
         total: Number(summaryData.total_amount || 0),
         paid: Number(summaryData.paid_amount || 0),
         remaining: Number(summaryData.remaining_amount || 0),
         status: summaryData.status || 'pending',
         lastPayment: summaryData.last_payment_date,
-      });
+      }
+    : null;
 
-      /* ===== INSTALLMENTS ===== */
-      const installmentsRes = await api.get(
-        `/payments/installments/${serviceId}`
-      );
+  /* ===== INSTALLMENTS ===== */
+  const installmentsQuery = useInstallments(serviceId);
 
-      const rows = Array.isArray(installmentsRes.data?.data)
-        ? installmentsRes.data.data
-        : [];
+  // Latest first, sorting a copy of the cached rows
+  const installments = [...(installmentsQuery.data || [])].sort(
+    (a, b) => new Date(b.paid_at) - new Date(a.paid_at)
+  );
 
-      // Latest first
-      const sorted = rows.sort(
-        (a, b) => new Date(b.paid_at) - new Date(a.paid_at)
-      );
+  const loading = summaryQuery.loading || installmentsQuery.loading;
+  const refreshing = summaryQuery.refreshing || installmentsQuery.refreshing;
 
-      setInstallments(sorted);
-      
-      // Start animations after data loads
-      if (!refreshing) {
-        Animated.parallel([
-          Animated.timing(fadeAnim, {
-            toValue: 1,
-            duration: 800,
-            useNativeDriver: true,
-          }),
-          Animated.timing(slideAnim, {
-            toValue: 0,
-            duration: 600,
-            useNativeDriver: true,
-          }),
-        ]).start();
-      }
-    } catch (err) {
-      console.log(
-        'Payments fetch error:',
-        err.response?.data || err.message
-      );
-    } finally {
-      setLoading(false);
-      setRefreshing(false);
-    }
-  };
+  useEffect(() => {
+    if (loading) return;
+
+    // Start animations after data loads
+    Animated.parallel([
+      Animated.timing(fadeAnim, {
+        toValue: 1,
+        duration: 800,
+        useNativeDriver: true,
+      }),
+      Animated.timing(slideAnim, {
+        toValue: 0,
+        duration: 600,
+        useNativeDriver: true,
+      }),
+    ]).start();
+  }, [loading]);
 
   const onRefresh = () => {
-    setRefreshing(true);
-    fetchPayments();
+    summaryQuery.refresh();
+    installmentsQuery.refresh();
   };
 
   const filteredInstallments = installments.filter(item => {
@@ -116,6 +111,92 @@ export default function Payments({ route, navigation }) {
     }).format(amount);
   };
 
+  /* ===== PAY NOW ===== */
+
+  const handleSelectProvider = (providerKey) => {
+    pendingPaymentRef.current = { providerKey, target: paymentTarget };
+    setPayingKey(paymentTarget.key);
+    setPaymentTarget(null);
+
+    // iOS drops an alert or browser presented while a modal is still closing,
+    // so there the payment starts from the modal's onDismiss
+    if (Platform.OS !== 'ios') startPendingPayment();
+  };
+
+  const startPendingPayment = () => {
+    const pending = pendingPaymentRef.current;
+    if (!pending) return;
+
+    pendingPaymentRef.current = null;
+    handlePay(pending.providerKey, pending.target);
+  };
+
+  const handlePay = async (providerKey, target) => {
+    try {
+      // Refreshes the summary and installments once the server has its say
+      const result = await payAmount({
+        providerKey,
+        serviceId,
+        installmentId: target.installmentId,
+        amount: target.amount,
+      });
+
+      if (result.status === 'paid') {
+        Alert.alert(
+          'Payment Successful',
+          `${formatCurrency(target.amount)} has been received. Thank you!`
+        );
+      } else if (result.status === 'pending') {
+        Alert.alert(
+          'Payment Processing',
+          "We're waiting for your bank to confirm the payment. It will show as paid here once confirmed."
+        );
+      } else if (result.status === 'failed') {
+        Alert.alert(
+          'Payment Failed',
+          result.message || 'Your payment could not be completed. Please try again.'
+        );
+      }
+    } catch (err) {
+      console.log('Start payment error:', err.response?.data || err.message);
+      Alert.alert(
+        'Payment Unavailable',
+        err.response?.data?.message ||
+          'Unable to start the payment. Please check your connection and try again.'
+      );
+    } finally {
+      setPayingKey(null);
+    }
+  };
+
+  /* ===== RECEIPTS & STATEMENT ===== */
+
+  const openDocument = async (key, createPdf, action) => {
+    setDocumentKey(key);
+
+    try {
+      const pdf = await createPdf();
+      if (action === 'share') await shareDocument(pdf);
+      else await previewDocument(pdf);
+    } catch (err) {
+      console.log('Payment document error:', err.response?.data || err.message);
+      Alert.alert(
+        'Document Unavailable',
+        err.response?.data?.message || 'Unable to prepare this document. Please try again.'
+      );
+    } finally {
+      setDocumentKey(null);
+    }
+  };
+
+  const chooseDocumentAction = (key, title, createPdf) => {
+    Alert.alert(title, 'Preview it, or share it to save, email or send to your accountant.', [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Preview', onPress: () => openDocument(key, createPdf, 'preview') },
+      { text: 'Share / Save', onPress: () => openDocument(key, createPdf, 'share') },
+    ]);
+  };
+
   /* ================= LOADING ================= */
 
   if (loading) {
@@ -144,6 +225,7 @@ export default function Payments({ route, navigation }) {
           Payment summary and installments
         </Text>
       </View>
+      <OfflineBanner updatedAt={installmentsQuery.updatedAt} error={installmentsQuery.error} />
 
       <ScrollView
         contentContainerStyle={styles.container}
@@ -217,6 +299,32 @@ export default function Payments({ route, navigation }) {
                 </Text>
               </View>
             </View>
+
+            {summary?.remaining > 0 && (
+              <TouchableOpacity
+                style={[styles.payBalanceButton, payingKey && styles.payButtonDisabled]}
+                onPress={() =>
+                  setPaymentTarget({
+                    key: 'balance',
+                    title: 'Pay remaining balance',
+                    amount: summary.remaining,
+                  })
+                }
+                disabled={!!payingKey}
+                activeOpacity={0.9}
+              >
+                {payingKey === 'balance' ? (
+                  <ActivityIndicator size="small" color="#ffffff" />
+                ) : (
+                  <Ionicons name="wallet-outline" size={18} color="#ffffff" />
+                )}
+                <Text style={styles.payBalanceText}>
+                  {payingKey === 'balance'
+                    ? 'Processing...'
+                    : `Pay Balance ${formatCurrency(summary.remaining)}`}
+                </Text>
+              </TouchableOpacity>
+            )}
           </View>
 
           {/* ===== SIMPLIFIED STATS ===== */}
@@ -309,18 +417,71 @@ export default function Payments({ route, navigation }) {
                     key={item.id}
                     item={item}
                     isLast={index === filteredInstallments.length - 1}
+                    paying={payingKey === item.id}
+                    preparingReceipt={documentKey === item.id}
+                    onReceipt={() =>
+                      chooseDocumentAction(item.id, 'Payment Receipt', () =>
+                        createReceiptPdf(item.id)
+                      )
+                    }
+                    payDisabled={!!payingKey}
+                    onPay={() =>
+                      setPaymentTarget({
+                        key: item.id,
+                        title: 'Pay installment',
+                        amount: Number(item.amount),
+                        installmentId: item.id,
+                      })
+                    }
                   />
                 ))}
               </View>
             )}
           </View>
 
-         
-          
+          {/* ===== STATEMENT ===== */}
+          {installments.length > 0 && (
+            <TouchableOpacity
+              style={styles.statementCard}
+              onPress={() =>
+                chooseDocumentAction('statement', 'Account Statement', () =>
+                  createStatementPdf(serviceId)
+                )
+              }
+              disabled={!!documentKey}
+              activeOpacity={0.8}
+            >
+              <View style={styles.statementIcon}>
+                <Ionicons name="document-text-outline" size={22} color="#8b5cf6" />
+              </View>
+              <View style={styles.statementText}>
+                <Text style={styles.statementTitle}>Account Statement</Text>
+                <Text style={styles.statementSubtitle}>
+                  Every payment for this service in one PDF
+                </Text>
+              </View>
+              {documentKey === 'statement' ? (
+                <ActivityIndicator size="small" color="#8b5cf6" />
+              ) : (
+                <Ionicons name="download-outline" size={20} color="#94a3b8" />
+              )}
+            </TouchableOpacity>
+          )}
+
           {/* ===== BOTTOM SPACING ===== */}
           <View style={styles.bottomSpacing} />
         </Animated.View>
       </ScrollView>
+
+      <PaymentMethodModal
+        visible={!!paymentTarget}
+        title={paymentTarget?.title}
+        amount={paymentTarget ? formatCurrency(paymentTarget.amount) : ''}
+        providers={getAvailableProviders()}
+        onSelect={handleSelectProvider}
+        onClose={() => setPaymentTarget(null)}
+        onDismiss={startPendingPayment}
+      />
     </SafeAreaView>
   );
 }
@@ -337,7 +498,15 @@ const StatBox = ({ icon, label, value, color }) => (
   </View>
 );
 
-const InstallmentCard = ({ item, isLast }) => {
+const InstallmentCard = ({
+  item,
+  isLast,
+  paying,
+  payDisabled,
+  onPay,
+  preparingReceipt,
+  onReceipt,
+}) => {
   const isPaid = item.status === 'completed' || item.paid_at;
   const date = isPaid 
     ? new Date(item.paid_at).toLocaleDateString('en-IN', {
@@ -378,8 +547,41 @@ const InstallmentCard = ({ item, isLast }) => {
           </View>
         </View>
       </View>
-      <View style={[styles.statusTag, { backgroundColor: `${status.color}15` }]}>
-        <Text style={[styles.statusText, { color: status.color }]}>{status.text}</Text>
+      <View style={styles.installmentRight}>
+        <View style={[styles.statusTag, { backgroundColor: `${status.color}15` }]}>
+          <Text style={[styles.statusText, { color: status.color }]}>{status.text}</Text>
+        </View>
+        {!isPaid && Number(item.amount) > 0 && (
+          <TouchableOpacity
+            style={[styles.payButton, payDisabled && !paying && styles.payButtonDisabled]}
+            onPress={onPay}
+            disabled={payDisabled}
+            activeOpacity={0.8}
+          >
+            {paying ? (
+              <ActivityIndicator size="small" color="#ffffff" />
+            ) : (
+              <Text style={styles.payButtonText}>Pay now</Text>
+            )}
+          </TouchableOpacity>
+        )}
+        {isPaid && (
+          <TouchableOpacity
+            style={styles.receiptButton}
+            onPress={onReceipt}
+            disabled={preparingReceipt}
+            activeOpacity={0.8}
+          >
+            {preparingReceipt ? (
+              <ActivityIndicator size="small" color="#3b82f6" />
+            ) : (
+              <>
+                <Ionicons name="receipt-outline" size={14} color="#3b82f6" />
+                <Text style={styles.receiptButtonText}>Receipt</Text>
+              </>
+            )}
+          </TouchableOpacity>
+        )}
       </View>
     </View>
   );
@@ -518,6 +720,21 @@ const styles = StyleSheet.create({
     fontWeight: '800',
     color: '#f8fafc',
   },
+  payBalanceButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    backgroundColor: '#10b981',
+    borderRadius: 14,
+    height: 50,
+    marginTop: 20,
+  },
+  payBalanceText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '700',
+  },
   amountDivider: {
     width: 1,
     height: 30,
@@ -612,6 +829,38 @@ const styles = StyleSheet.create({
     borderWidth: 1,
     borderColor: '#2d3748',
   },
+  statementCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#1e293b',
+    borderRadius: 20,
+    padding: 20,
+    marginBottom: 20,
+    borderWidth: 1,
+    borderColor: '#2d3748',
+  },
+  statementIcon: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: 'rgba(139, 92, 246, 0.1)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 16,
+  },
+  statementText: {
+    flex: 1,
+  },
+  statementTitle: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#f8fafc',
+    marginBottom: 4,
+  },
+  statementSubtitle: {
+    fontSize: 13,
+    color: '#94a3b8',
+  },
   listHeader: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -695,6 +944,44 @@ const styles = StyleSheet.create({
     marginLeft: 4,
     fontWeight: '500',
   },
+  installmentRight: {
+    alignItems: 'flex-end',
+    gap: 8,
+  },
+  payButton: {
+    backgroundColor: '#3b82f6',
+    borderRadius: 10,
+    minWidth: 84,
+    height: 32,
+    paddingHorizontal: 12,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  payButtonDisabled: {
+    backgroundColor: '#374151',
+  },
+  payButtonText: {
+    color: '#ffffff',
+    fontSize: 13,
+    fontWeight: '700',
+  },
+  receiptButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 4,
+    minWidth: 84,
+    height: 32,
+    paddingHorizontal: 12,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: 'rgba(59, 130, 246, 0.4)',
+  },
+  receiptButtonText: {
+    color: '#3b82f6',
+    fontSize: 13,
+    fontWeight: '700',
+  },
   statusTag: {
     paddingHorizontal: 12,
     paddingVertical: 6,
@@ -1,4 +1,4 @@
-import { useEffect, useState, useRef } from 'react';
+import { useEffect, useState, useRef, useContext } from 'react';
 import {
   View,
   Text,
@@ -8,58 +8,86 @@ import {
   Animated,
   TouchableOpacity,
   Dimensions,
+  Switch,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { SafeAreaView } from 'react-native-safe-area-context';
-import api from '../api/api';
+import OfflineBanner from '../components/OfflineBanner';
+import { useProfile } from '../api/queries';
+import { AuthContext } from '../auth/authContext';
+import { APP_LOCK_TIMEOUT_OPTIONS } from '../auth/AppLock';
+import ChangePinModal from '../components/ChangePinModal';
+import {
+  isBiometricAvailable,
+  getBiometricLabel,
+  authenticateWithBiometrics,
+} from '../utils/biometrics';
 
 const { width } = Dimensions.get('window');
 
-export default function Profile() {
-  const [profile, setProfile] = useState(null);
-  const [loading, setLoading] = useState(true);
+export default function Profile({ navigation }) {
+  const [biometricAvailable, setBiometricAvailable] = useState(false);
+  const [biometricLabel, setBiometricLabel] = useState('Biometrics');
+  const [changePinVisible, setChangePinVisible] = useState(false);
+  const {
+    biometricEnabled,
+    setBiometricEnabled,
+    appLockTimeout,
+    setAppLockTimeout,
+  } = useContext(AuthContext);
   
   // Animation values
   const fadeAnim = useRef(new Animated.Value(0)).current;
   const slideAnim = useRef(new Animated.Value(20)).current;
   const headerScale = useRef(new Animated.Value(0.9)).current;
 
+  const profileQuery = useProfile();
+  const profile = profileQuery.data;
+  const { loading } = profileQuery;
+
+  useEffect(() => {
+    if (loading) return;
+
+    // Start animations after data loads
+    Animated.parallel([
+      Animated.timing(fadeAnim, {
+        toValue: 1,
+        duration: 800,
+        useNativeDriver: true,
+      }),
+      Animated.timing(slideAnim, {
+        toValue: 0,
+        duration: 600,
+        useNativeDriver: true,
+      }),
+      Animated.spring(headerScale, {
+        toValue: 1,
+        friction: 8,
+        useNativeDriver: true,
+      }),
+    ]).start();
+  }, [loading]);
+
   useEffect(() => {
-    fetchProfile();
+    const loadBiometrics = async () => {
+      const available = await isBiometricAvailable();
+      setBiometricAvailable(available);
+      if (available) setBiometricLabel(await getBiometricLabel());
+    };
+    loadBiometrics();
   }, []);
 
-  const fetchProfile = async () => {
-    try {
-      const res = await api.get('/clients/profile/me');
-      setProfile(res.data?.data);
-      
-      // Start animations after data loads
-      Animated.parallel([
-        Animated.timing(fadeAnim, {
-          toValue: 1,
-          duration: 800,
-          useNativeDriver: true,
-        }),
-        Animated.timing(slideAnim, {
-          toValue: 0,
-          duration: 600,
-          useNativeDriver: true,
-        }),
-        Animated.spring(headerScale, {
-          toValue: 1,
-          friction: 8,
-          useNativeDriver: true,
-        }),
-      ]).start();
-      
-    } catch (err) {
-      console.log(
-        'Profile fetch error:',
-        err.response?.data || err.message
-      );
-    } finally {
-      setLoading(false);
+  const toggleBiometric = async (enabled) => {
+    if (!enabled) {
+      await setBiometricEnabled(false);
+      return;
     }
+
+    // Make sure the enrolled face / finger belongs to the user turning it on
+    const confirmed = await authenticateWithBiometrics(
+      `Confirm ${biometricLabel} to enable quick unlock`
+    );
+    if (confirmed) await setBiometricEnabled(true);
   };
 
   if (loading) {
@@ -82,7 +110,7 @@ export default function Profile() {
           <Text style={styles.errorText}>
             Please check your connection and try again
           </Text>
-          <TouchableOpacity style={styles.retryButton} onPress={fetchProfile}>
+          <TouchableOpacity style={styles.retryButton} onPress={profileQuery.refresh}>
             <Text style={styles.retryText}>Retry</Text>
           </TouchableOpacity>
         </View>
@@ -97,6 +125,7 @@ export default function Profile() {
         <Text style={styles.pageTitle}>My Profile</Text>
         <Text style={styles.pageSubtitle}>Account details and information</Text>
       </View>
+      <OfflineBanner updatedAt={profileQuery.updatedAt} error={profileQuery.error} />
 
       <ScrollView
         contentContainerStyle={styles.container}
@@ -232,12 +261,110 @@ export default function Profile() {
             </View>
           </View>
 
-          
+          {/* ===== NOTIFICATIONS ===== */}
+          <View style={styles.detailCard}>
+            <View style={styles.cardHeader}>
+              <Ionicons name="notifications-outline" size={24} color="#ec4899" />
+              <Text style={styles.cardTitle}>Notifications</Text>
+            </View>
+
+            <TouchableOpacity
+              style={[styles.infoRow, styles.infoRowLast]}
+              onPress={() => navigation.navigate('NotificationPreferences')}
+              activeOpacity={0.8}
+            >
+              <View style={styles.infoIcon}>
+                <Ionicons name="options-outline" size={18} color="#94a3b8" />
+              </View>
+              <View style={styles.infoContent}>
+                <Text style={styles.infoLabel}>Preferences</Text>
+                <Text style={styles.infoValue}>Choose categories to mute</Text>
+              </View>
+              <Ionicons name="chevron-forward" size={20} color="#64748b" />
+            </TouchableOpacity>
+          </View>
+
+          {/* ===== SECURITY ===== */}
+          <View style={styles.detailCard}>
+            <View style={styles.cardHeader}>
+              <Ionicons name="lock-closed-outline" size={24} color="#10b981" />
+              <Text style={styles.cardTitle}>Security</Text>
+            </View>
+
+            <TouchableOpacity
+              style={styles.infoRow}
+              onPress={() => setChangePinVisible(true)}
+              activeOpacity={0.8}
+            >
+              <View style={styles.infoIcon}>
+                <Ionicons name="key-outline" size={18} color="#94a3b8" />
+              </View>
+              <View style={styles.infoContent}>
+                <Text style={styles.infoLabel}>Security PIN</Text>
+                <Text style={styles.infoValue}>Change PIN</Text>
+              </View>
+              <Ionicons name="chevron-forward" size={20} color="#64748b" />
+            </TouchableOpacity>
+
+            {biometricAvailable && (
+              <View style={styles.infoRow}>
+                <View style={styles.infoIcon}>
+                  <Ionicons name="finger-print-outline" size={18} color="#94a3b8" />
+                </View>
+                <View style={styles.infoContent}>
+                  <Text style={styles.infoLabel}>Quick Unlock</Text>
+                  <Text style={styles.infoValue}>Use {biometricLabel}</Text>
+                </View>
+                <Switch
+                  value={biometricEnabled === true}
+                  onValueChange={toggleBiometric}
+                  trackColor={{ false: '#334155', true: '#3b82f6' }}
+                  thumbColor="#f8fafc"
+                />
+              </View>
+            )}
+
+            <View style={styles.settingBlock}>
+              <View style={styles.settingHeader}>
+                <View style={styles.infoIcon}>
+                  <Ionicons name="timer-outline" size={18} color="#94a3b8" />
+                </View>
+                <View style={styles.infoContent}>
+                  <Text style={styles.infoLabel}>Auto-Lock</Text>
+                  <Text style={styles.settingDescription}>
+                    Ask for your PIN or biometrics after the app has been in the background
+                  </Text>
+                </View>
+              </View>
+              <View style={styles.optionChips}>
+                {APP_LOCK_TIMEOUT_OPTIONS.map((option) => {
+                  const selected = appLockTimeout === option.value;
+                  return (
+                    <TouchableOpacity
+                      key={option.value}
+                      style={[styles.optionChip, selected && styles.optionChipActive]}
+                      onPress={() => setAppLockTimeout(option.value)}
+                      activeOpacity={0.8}
+                    >
+                      <Text style={[styles.optionChipText, selected && styles.optionChipTextActive]}>
+                        {option.label}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+            </View>
+          </View>
           
           {/* ===== BOTTOM SPACING ===== */}
           <View style={styles.bottomSpacing} />
         </Animated.View>
       </ScrollView>
+
+      <ChangePinModal
+        visible={changePinVisible}
+        onClose={() => setChangePinVisible(false)}
+      />
     </SafeAreaView>
   );
 }
@@ -526,6 +653,9 @@ const styles = StyleSheet.create({
     borderBottomWidth: 1,
     borderBottomColor: '#2d3748',
   },
+  infoRowLast: {
+    borderBottomWidth: 0,
+  },
   infoIcon: {
     width: 36,
     height: 36,
@@ -580,6 +710,46 @@ const styles = StyleSheet.create({
     lineHeight: 20,
   },
   
+  // Security Settings
+  settingBlock: {
+    paddingTop: 16,
+  },
+  settingHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  settingDescription: {
+    fontSize: 13,
+    color: '#64748b',
+    lineHeight: 18,
+  },
+  optionChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  optionChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 12,
+    backgroundColor: '#0f172a',
+    borderWidth: 1,
+    borderColor: '#334155',
+  },
+  optionChipActive: {
+    backgroundColor: 'rgba(59, 130, 246, 0.15)',
+    borderColor: '#3b82f6',
+  },
+  optionChipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#94a3b8',
+  },
+  optionChipTextActive: {
+    color: '#3b82f6',
+  },
+  
   // Stats Grid with center alignment
   statsGrid: {
     flexDirection: 'row',
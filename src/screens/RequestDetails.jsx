@@ -0,0 +1,515 @@
+import { useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  ActivityIndicator,
+  StyleSheet,
+  Animated,
+  RefreshControl,
+  ScrollView,
+  TouchableOpacity,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import OfflineBanner from '../components/OfflineBanner';
+import { useRequestDetails } from '../api/queries';
+import {
+  REQUEST_STEPS,
+  REQUEST_STATUSES,
+  getRequestStatus,
+} from '../utils/requestStatus';
+import {
+  describeDetails,
+  getRequestTypeInfo,
+  useRequestTypes,
+} from '../utils/requestSchema';
+
+const formatDateTime = (value) => {
+  const date = new Date(value);
+  return `${date.toLocaleDateString('en-IN', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+  })} • ${date.toLocaleTimeString('en-IN', {
+    hour: 'numeric',
+    minute: '2-digit',
+  })}`;
+};
+
+export default function RequestDetails({ route, navigation }) {
+  const { requestId } = route.params;
+
+  // Animation values
+  const fadeAnim = useRef(new Animated.Value(0)).current;
+  const slideAnim = useRef(new Animated.Value(20)).current;
+
+  const detailsQuery = useRequestDetails(requestId);
+  const requestTypes = useRequestTypes();
+  const request = detailsQuery.data;
+  const { loading, refreshing, refresh: onRefresh } = detailsQuery;
+
+  useEffect(() => {
+    if (loading) return;
+
+    Animated.parallel([
+      Animated.timing(fadeAnim, {
+        toValue: 1,
+        duration: 800,
+        useNativeDriver: true,
+      }),
+      Animated.timing(slideAnim, {
+        toValue: 0,
+        duration: 600,
+        useNativeDriver: true,
+      }),
+    ]).start();
+  }, [loading]);
+
+  const renderHeader = (subtitle) => (
+    <View style={styles.pageHeader}>
+      <TouchableOpacity
+        style={styles.backButton}
+        onPress={() => navigation.navigate('MyRequests')}
+      >
+        <Ionicons name="arrow-back" size={22} color="#f8fafc" />
+      </TouchableOpacity>
+      <View style={styles.headerContent}>
+        <Text style={styles.pageTitle}>Request Details</Text>
+        <Text style={styles.pageSubtitle}>{subtitle}</Text>
+      </View>
+    </View>
+  );
+
+  if (loading) {
+    return (
+      <SafeAreaView style={styles.safe} edges={['top']}>
+        {renderHeader('Loading request...')}
+        <View style={styles.loader}>
+          <ActivityIndicator size="large" color="#3b82f6" />
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  if (!request) {
+    return (
+      <SafeAreaView style={styles.safe} edges={['top']}>
+        {renderHeader('Request not found')}
+        <OfflineBanner updatedAt={detailsQuery.updatedAt} error={detailsQuery.error} />
+        <View style={styles.errorContainer}>
+          <Ionicons name="alert-circle-outline" size={64} color="#ef4444" />
+          <Text style={styles.errorTitle}>Request Not Found</Text>
+          <Text style={styles.errorText}>
+            This request could not be loaded. Pull down on My Requests to try again.
+          </Text>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  const status = getRequestStatus(request.status);
+  const typeInfo = getRequestTypeInfo(requestTypes, request.type);
+  const details = describeDetails(typeInfo, request.details || {});
+  const responses = [...(request.responses || [])].sort(
+    (a, b) => new Date(a.created_at) - new Date(b.created_at)
+  );
+  const isRejected = request.status === 'rejected';
+  const currentStep = REQUEST_STEPS.indexOf(request.status);
+
+  return (
+    <SafeAreaView style={styles.safe} edges={['top']}>
+      {renderHeader(`Submitted ${new Date(request.created_at).toLocaleDateString('en-IN', {
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric',
+      })}`)}
+      <OfflineBanner updatedAt={detailsQuery.updatedAt} error={detailsQuery.error} />
+
+      <ScrollView
+        contentContainerStyle={styles.container}
+        showsVerticalScrollIndicator={false}
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={onRefresh}
+            tintColor="#3b82f6"
+            colors={['#3b82f6']}
+          />
+        }
+      >
+        <Animated.View
+          style={[
+            styles.content,
+            {
+              opacity: fadeAnim,
+              transform: [{ translateY: slideAnim }],
+            },
+          ]}
+        >
+          {/* ===== STATUS CARD ===== */}
+          <View style={styles.card}>
+            <View style={styles.statusHeader}>
+              <View style={[styles.statusIcon, { backgroundColor: `${status.color}15` }]}>
+                <Ionicons name={status.icon} size={28} color={status.color} />
+              </View>
+              <View style={styles.statusContent}>
+                <Text style={[styles.statusLabel, { color: status.color }]}>
+                  {status.label}
+                </Text>
+                <Text style={styles.statusDescription}>{status.description}</Text>
+              </View>
+            </View>
+
+            {!isRejected && (
+              <View style={styles.steps}>
+                {REQUEST_STEPS.map((step, index) => {
+                  const done = index <= currentStep;
+                  const color = done ? REQUEST_STATUSES[step].color : '#475569';
+
+                  return (
+                    <View key={step} style={styles.step}>
+                      <View style={[styles.stepBar, { backgroundColor: color }]} />
+                      <Text style={[styles.stepLabel, done && { color: '#e2e8f0' }]}>
+                        {REQUEST_STATUSES[step].label}
+                      </Text>
+                    </View>
+                  );
+                })}
+              </View>
+            )}
+
+            {request.updated_at && (
+              <Text style={styles.updatedText}>
+                Last updated {formatDateTime(request.updated_at)}
+              </Text>
+            )}
+          </View>
+
+          {/* ===== REQUEST CARD ===== */}
+          <View style={styles.card}>
+            <View style={styles.cardHeader}>
+              <Ionicons name={typeInfo.icon} size={22} color={typeInfo.color} />
+              <Text style={styles.cardTitle}>{typeInfo.label}</Text>
+            </View>
+
+            <Text style={styles.descriptionText}>{request.description}</Text>
+
+            {details.length > 0 && (
+              <View style={styles.answers}>
+                {details.map((detail) => (
+                  <View key={detail.key} style={styles.answer}>
+                    <Text style={styles.answerLabel}>{detail.label}</Text>
+                    <Text style={styles.answerValue}>{detail.value}</Text>
+                  </View>
+                ))}
+              </View>
+            )}
+
+            <View style={styles.detailRows}>
+              <DetailRow icon="person-outline" label="Name" value={request.name} />
+              <DetailRow icon="call-outline" label="Contact" value={request.contact} />
+              <DetailRow
+                icon="calendar-outline"
+                label="Submitted"
+                value={formatDateTime(request.created_at)}
+              />
+            </View>
+          </View>
+
+          {/* ===== RESPONSES CARD ===== */}
+          <View style={styles.card}>
+            <View style={styles.cardHeader}>
+              <Ionicons name="chatbubbles-outline" size={22} color="#3b82f6" />
+              <Text style={styles.cardTitle}>Responses</Text>
+              {responses.length > 0 && (
+                <Text style={styles.countBadge}>{responses.length}</Text>
+              )}
+            </View>
+
+            {responses.length > 0 ? (
+              responses.map((response) => (
+                <View key={response.id} style={styles.responseItem}>
+                  <Text style={styles.responseText}>{response.message}</Text>
+                  <View style={styles.responseMeta}>
+                    <Ionicons name="person-circle-outline" size={14} color="#94a3b8" />
+                    <Text style={styles.responseAuthor}>
+                      {response.created_by || 'Imperium Team'}
+                    </Text>
+                    <Text style={styles.responseTime}>
+                      {formatDateTime(response.created_at)}
+                    </Text>
+                  </View>
+                </View>
+              ))
+            ) : (
+              <Text style={styles.emptyText}>
+                No replies from our team yet. We will notify you when they reply
+                or when the status changes.
+              </Text>
+            )}
+          </View>
+        </Animated.View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+/* ===== REUSABLE COMPONENTS ===== */
+
+const DetailRow = ({ icon, label, value }) => {
+  if (!value) return null;
+
+  return (
+    <View style={styles.detailRow}>
+      <Ionicons name={icon} size={16} color="#64748b" />
+      <Text style={styles.detailLabel}>{label}</Text>
+      <Text style={styles.detailValue} numberOfLines={1}>{value}</Text>
+    </View>
+  );
+};
+
+/* ===== STYLES ===== */
+
+const styles = StyleSheet.create({
+  safe: {
+    flex: 1,
+    backgroundColor: '#0a0f1e',
+  },
+  // Page Header
+  pageHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 24,
+    paddingTop: 20,
+    paddingBottom: 16,
+    backgroundColor: '#0a0f1e',
+    borderBottomWidth: 1,
+    borderBottomColor: '#1e293b',
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#1e293b',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 16,
+  },
+  headerContent: {
+    flex: 1,
+  },
+  pageTitle: {
+    fontSize: 28,
+    fontWeight: '800',
+    color: '#f8fafc',
+    letterSpacing: -0.8,
+    marginBottom: 4,
+  },
+  pageSubtitle: {
+    fontSize: 15,
+    color: '#94a3b8',
+    fontWeight: '500',
+  },
+  loader: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#0a0f1e',
+  },
+  container: {
+    padding: 20,
+    paddingBottom: 100,
+  },
+  content: {
+    width: '100%',
+    maxWidth: 500,
+    alignSelf: 'center',
+  },
+
+  // Error State
+  errorContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 40,
+  },
+  errorTitle: {
+    fontSize: 20,
+    fontWeight: '700',
+    color: '#f8fafc',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#94a3b8',
+    textAlign: 'center',
+    lineHeight: 20,
+  },
+
+  // Cards
+  card: {
+    backgroundColor: '#1e293b',
+    borderRadius: 20,
+    padding: 20,
+    marginBottom: 16,
+    borderWidth: 1,
+    borderColor: '#2d3748',
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#f8fafc',
+    marginLeft: 12,
+    flex: 1,
+  },
+  countBadge: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#3b82f6',
+    backgroundColor: 'rgba(59, 130, 246, 0.1)',
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+  },
+
+  // Status
+  statusHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  statusIcon: {
+    width: 56,
+    height: 56,
+    borderRadius: 28,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 16,
+  },
+  statusContent: {
+    flex: 1,
+  },
+  statusLabel: {
+    fontSize: 20,
+    fontWeight: '800',
+    marginBottom: 4,
+  },
+  statusDescription: {
+    fontSize: 14,
+    color: '#94a3b8',
+    lineHeight: 20,
+  },
+  steps: {
+    flexDirection: 'row',
+    gap: 6,
+    marginTop: 20,
+  },
+  step: {
+    flex: 1,
+  },
+  stepBar: {
+    height: 4,
+    borderRadius: 2,
+    marginBottom: 8,
+  },
+  stepLabel: {
+    fontSize: 11,
+    fontWeight: '600',
+    color: '#64748b',
+  },
+  updatedText: {
+    fontSize: 12,
+    color: '#64748b',
+    marginTop: 16,
+  },
+
+  // Request
+  descriptionText: {
+    color: '#e5e7eb',
+    fontSize: 15,
+    lineHeight: 22,
+    marginBottom: 16,
+  },
+  answers: {
+    backgroundColor: '#0f172a',
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 16,
+    gap: 12,
+  },
+  answer: {
+    gap: 2,
+  },
+  answerLabel: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#94a3b8',
+  },
+  answerValue: {
+    fontSize: 14,
+    color: '#f8fafc',
+  },
+  detailRows: {
+    borderTopWidth: 1,
+    borderTopColor: '#2d3748',
+    paddingTop: 12,
+    gap: 10,
+  },
+  detailRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  detailLabel: {
+    fontSize: 14,
+    color: '#94a3b8',
+    marginLeft: 8,
+    width: 80,
+  },
+  detailValue: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#f8fafc',
+  },
+
+  // Responses
+  responseItem: {
+    backgroundColor: '#0f172a',
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: '#2d3748',
+  },
+  responseText: {
+    color: '#e5e7eb',
+    fontSize: 14,
+    lineHeight: 20,
+    marginBottom: 10,
+  },
+  responseMeta: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  responseAuthor: {
+    fontSize: 13,
+    color: '#94a3b8',
+    fontWeight: '600',
+    marginLeft: 6,
+    flex: 1,
+  },
+  responseTime: {
+    fontSize: 12,
+    color: '#64748b',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#94a3b8',
+    lineHeight: 20,
+  },
+});
@@ -12,27 +12,78 @@ import {
   Platform,
   TouchableWithoutFeedback,
   Keyboard,
+  Image,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
-import { useState, useRef, useEffect } from 'react';
+import { useState, useRef, useEffect, useContext } from 'react';
 import { Picker } from '@react-native-picker/picker';
 import { Ionicons } from '@expo/vector-icons';
-import api from '../api/api';
+import {
+  enqueueRequest,
+  retryRequest,
+  removeRequest,
+  removeRequestAttachment,
+  useOutbox,
+} from '../utils/requestOutbox';
+import { useIsOnline } from '../utils/network';
+import {
+  MAX_ATTACHMENTS,
+  MAX_FILE_SIZE,
+  formatFileSize,
+  isImageFile,
+  pickDocuments,
+  pickFromCamera,
+  pickFromLibrary,
+  useAttachments,
+} from '../utils/requestAttachments';
+import { readDraft, writeDraft, clearDraft } from '../utils/requestDraft';
+import { formatTimestamp } from '../utils/formatTimestamp';
+import { AuthContext } from '../auth/authContext';
+import SchemaField from '../components/SchemaField';
+import { useProfile, useServices } from '../api/queries';
+import {
+  DEFAULT_COUNTRY_CODE,
+  parsePhone,
+  toE164,
+  validatePhone,
+} from '../utils/phone';
+import {
+  SERVICE_OPTIONS,
+  collectDetails,
+  findRequestType,
+  getRequestTypeInfo,
+  getVisibleSections,
+  useRequestTypes,
+  validateDetails,
+} from '../utils/requestSchema';
 
 const { width } = Dimensions.get('window');
 
-export default function RequestService() {
+// Typing pauses this long before the draft is written
+const DRAFT_SAVE_DELAY_MS = 500;
+
+export default function RequestService({ navigation }) {
   const [type, setType] = useState('service');
   const [name, setName] = useState('');
+  const [countryCode, setCountryCode] = useState(DEFAULT_COUNTRY_CODE);
   const [contact, setContact] = useState('');
   const [description, setDescription] = useState('');
+  // Answers to the selected type's own fields, by field key
+  const [details, setDetails] = useState({});
   const [loading, setLoading] = useState(false);
+  // Outbox id of the request being submitted, for its upload progress
+  const [submittingId, setSubmittingId] = useState(null);
   const [showPicker, setShowPicker] = useState(false);
   const [isFocused, setIsFocused] = useState({
     name: false,
     contact: false,
     description: false,
   });
+  const { activeAccountId } = useContext(AuthContext);
+
+  // The saved draft is only overwritten once it has been read back
+  const [draftLoaded, setDraftLoaded] = useState(false);
+  const [restoredDraftAt, setRestoredDraftAt] = useState(null);
 
   // Animation values
   const fadeAnim = useRef(new Animated.Value(0)).current;
@@ -40,6 +91,34 @@ export default function RequestService() {
   const buttonScale = useRef(new Animated.Value(1)).current;
   const pickerOpacity = useRef(new Animated.Value(0)).current;
 
+  const requestTypes = useRequestTypes();
+  const selectedType = findRequestType(requestTypes, type);
+  const visibleSections = getVisibleSections(selectedType, details);
+
+  const { data: profile } = useProfile();
+  const profileName = profile?.name || '';
+  const profilePhone = parsePhone(profile?.mobile);
+
+  // Filled in from the profile once per blank form; whatever the client types wins
+  const prefilledRef = useRef(false);
+
+  const { data: services } = useServices();
+  const serviceOptions = (services || []).map((service) => ({
+    value: service.id,
+    label: service.project_name || service.service_type || `Service #${service.id}`,
+  }));
+
+  const outbox = useOutbox();
+  const online = useIsOnline();
+  const {
+    attachments,
+    addFiles,
+    remove: removeAttachment,
+    reset: resetAttachments,
+    discard: discardAttachments,
+    restore: restoreAttachments,
+  } = useAttachments();
+
   useEffect(() => {
     Animated.parallel([
       Animated.timing(fadeAnim, {
@@ -72,6 +151,20 @@ export default function RequestService() {
     }
   };
 
+  const setDetail = (key, value) => {
+    setDetails((current) => ({ ...current, [key]: value }));
+  };
+
+  // Pasted numbers may carry their own country code, e.g. +91 98765 43210
+  // A pasted or autofilled number comes in at once and may carry its
+  // country code; one typed digit by digit only does after a + or 00
+  const handleContactChange = (text) => {
+    const typing = text.length - contact.length <= 1;
+    const phone = parsePhone(text, countryCode, { typing });
+    setCountryCode(phone.countryCode);
+    setContact(phone.number);
+  };
+
   const handleTypeSelect = (value) => {
     setType(value);
     togglePicker();
@@ -99,6 +192,143 @@ export default function RequestService() {
     }).start();
   };
 
+  /* ===== DRAFT ===== */
+
+  useEffect(() => {
+    if (!activeAccountId) return;
+    let cancelled = false;
+
+    readDraft(activeAccountId).then((draft) => {
+      if (cancelled) return;
+
+      if (draft) {
+        setType(draft.type || 'service');
+        setName(draft.name || '');
+        setCountryCode(draft.countryCode || DEFAULT_COUNTRY_CODE);
+        setContact(draft.contact || '');
+        setDescription(draft.description || '');
+        setDetails(draft.details || {});
+        restoreAttachments(draft.attachments || []);
+        setRestoredDraftAt(draft.savedAt);
+      }
+      setDraftLoaded(true);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [activeAccountId, restoreAttachments]);
+
+  useEffect(() => {
+    if (!draftLoaded || !profile || prefilledRef.current) return;
+    prefilledRef.current = true;
+
+    if (!name.trim()) setName(profileName);
+    if (!contact.trim() && profilePhone.number) {
+      setCountryCode(profilePhone.countryCode);
+      setContact(profilePhone.number);
+    }
+  }, [draftLoaded, profile, profileName, profilePhone.number, profilePhone.countryCode, name, contact]);
+
+  // Saved as the client types; an empty form, or one holding just the
+  // profile's own name and number, leaves nothing behind
+  useEffect(() => {
+    if (!draftLoaded || !activeAccountId) return;
+
+    const timer = setTimeout(() => {
+      const isEmpty =
+        (!name.trim() || name === profileName) &&
+        (!contact.trim() || contact === profilePhone.number) &&
+        !description.trim() &&
+        !Object.keys(details).length &&
+        !attachments.length;
+
+      if (isEmpty) {
+        clearDraft(activeAccountId);
+        return;
+      }
+
+      writeDraft(activeAccountId, {
+        type,
+        name,
+        countryCode,
+        contact,
+        description,
+        details,
+        attachments,
+      });
+    }, DRAFT_SAVE_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [
+    draftLoaded,
+    activeAccountId,
+    profileName,
+    profilePhone.number,
+    type,
+    name,
+    countryCode,
+    contact,
+    description,
+    details,
+    attachments,
+  ]);
+
+  // Name and number are filled in again from the profile
+  const resetForm = () => {
+    prefilledRef.current = false;
+    setName('');
+    setCountryCode(DEFAULT_COUNTRY_CODE);
+    setContact('');
+    setDescription('');
+    setDetails({});
+    setType('service');
+    // Any files now belong to the outbox, which deletes them once sent
+    resetAttachments();
+    setRestoredDraftAt(null);
+  };
+
+  const confirmDiscardDraft = () => {
+    Alert.alert(
+      'Discard Draft?',
+      'Everything you typed and attached will be cleared.',
+      [
+        { text: 'Keep', style: 'cancel' },
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: () => {
+            discardAttachments();
+            resetForm();
+            clearDraft(activeAccountId);
+          },
+        },
+      ]
+    );
+  };
+
+  // `pick` is one of the pickers; it is told how many more files fit
+  const addAttachments = async (pick) => {
+    Keyboard.dismiss();
+
+    const room = MAX_ATTACHMENTS - attachments.length;
+    if (room <= 0) {
+      Alert.alert('Attachment Limit', `You can attach up to ${MAX_ATTACHMENTS} files.`);
+      return;
+    }
+
+    try {
+      const files = await pick(room);
+      const skipped = addFiles(files);
+      if (skipped.length) {
+        Alert.alert('Some Files Were Not Added', skipped.join('\n'));
+      }
+    } catch (err) {
+      console.log('Pick attachment error:', err.message);
+      Alert.alert('Unable to Attach', err.message);
+    }
+  };
+
   const submitRequest = async () => {
     // Validation
     if (!name.trim() || !contact.trim() || !description.trim()) {
@@ -106,8 +336,16 @@ export default function RequestService() {
       return;
     }
 
-    if (contact.length < 10) {
-      Alert.alert('Validation Error', 'Please enter a valid contact number');
+    const phone = { countryCode, number: contact };
+    const phoneError = validatePhone(phone);
+    if (phoneError) {
+      Alert.alert('Validation Error', phoneError);
+      return;
+    }
+
+    const detailsError = validateDetails(selectedType, details);
+    if (detailsError) {
+      Alert.alert('Validation Error', detailsError);
       return;
     }
 
@@ -128,79 +366,85 @@ export default function RequestService() {
         }),
       ]).start();
 
-      await api.post('/suggestions', {
-        type,
-        name,
-        contact,
+      // Saved on the phone first, so a bad connection can't lose it
+      const item = await enqueueRequest({
+        type: selectedType.key,
+        // The token already identifies the account; client_id makes the
+        // link explicit so the request lands in this client's history
+        client_id: profile?.id,
+        name: name.trim(),
+        contact: toE164(phone),
         description,
-      });
+        details: collectDetails(selectedType, details),
+        attachments,
+      }, { onQueued: (queued) => setSubmittingId(queued.id) });
 
-      Alert.alert(
-        'Request Submitted Successfully',
-        'We will review your request and get back to you soon.',
-        [{ text: 'OK', onPress: () => {
-          setName('');
-          setContact('');
-          setDescription('');
-          setType('service');
-        }}]
-      );
+      // Sent or queued in the outbox, so the draft has done its job; its
+      // files now belong to the outbox. Cleared now in case the app closes
+      // before the alert is dismissed.
+      if (item.status !== 'failed') clearDraft(activeAccountId, { keepAttachments: true });
 
+      if (item.status === 'sent') {
+        Alert.alert(
+          'Request Submitted Successfully',
+          'We will review your request and get back to you soon. You can follow its status under My Requests.',
+          [
+            { text: 'OK', onPress: resetForm },
+            {
+              text: 'View Requests',
+              onPress: () => {
+                resetForm();
+                navigation.navigate('MyRequests');
+              },
+            },
+          ]
+        );
+      } else if (item.status === 'pending') {
+        resetForm();
+        Alert.alert(
+          'Request Saved',
+          "We couldn't reach our servers right now. Your request is saved on this phone and will be sent automatically once you're back online."
+        );
+      } else {
+        // Rejected outright; the form still holds it for the client to fix
+        removeRequest(item.id, { keepAttachments: true });
+        Alert.alert(
+          'Submission Failed',
+          item.lastError || 'Unable to submit your request. Please try again later.'
+        );
+      }
     } catch (err) {
-      console.log('Submit error:', err.response?.data || err.message);
+      console.log('Submit error:', err.message);
       Alert.alert(
         'Submission Failed',
         'Unable to submit your request. Please try again later.'
       );
     } finally {
       setLoading(false);
+      setSubmittingId(null);
     }
   };
 
-  const getTypeIcon = () => {
-    switch (type) {
-      case 'service':
-        return 'construct-outline';
-      case 'suggestion':
-        return 'bulb-outline';
-      default:
-        return 'chatbubble-outline';
-    }
-  };
-
-  const getTypeLabel = () => {
-    switch (type) {
-      case 'service':
-        return 'Request New Service';
-      case 'suggestion':
-        return 'Suggestion / Query';
-      default:
-        return 'Select Type';
-    }
-  };
-
-  const getTypeTitle = () => {
-    return type === 'service' ? 'Request New Service' : 'Make a Suggestion';
-  };
-
-  const getTypeDescription = () => {
-    return type === 'service'
-      ? 'Request a new service or modification to existing services'
-      : 'Share your suggestions or queries for improvement';
-  };
-
-  const getTypeColor = () => {
-    return type === 'service' ? '#3b82f6' : '#8b5cf6';
-  };
+  const submitProgress = outbox.find((item) => item.id === submittingId)?.progress;
 
   return (
     <SafeAreaView style={styles.safe}>
       {/* ===== PAGE HEADER ===== */}
       <View style={styles.pageHeader}>
-        <Text style={styles.pageTitle}>Request Service</Text>
-        <Text style={styles.pageSubtitle}>
-          Submit requests or suggestions
-        </Text>
+        <View style={styles.headerContent}>
+          <Text style={styles.pageTitle}>Request Service</Text>
+          <Text style={styles.pageSubtitle}>
+            Submit requests or suggestions
+          </Text>
+        </View>
+        <TouchableOpacity
+          style={styles.myRequestsButton}
+          onPress={() => navigation.navigate('MyRequests')}
+          activeOpacity={0.8}
+          accessibilityLabel="My Requests"
+        >
+          <Ionicons name="file-tray-full-outline" size={22} color="#3b82f6" />
+        </TouchableOpacity>
       </View>
 
       <KeyboardAvoidingView
@@ -224,14 +468,37 @@ export default function RequestService() {
                 },
               ]}
             >
+              {/* ===== RESTORED DRAFT ===== */}
+              {restoredDraftAt && (
+                <View style={styles.draftNotice}>
+                  <Ionicons name="document-text-outline" size={20} color="#3b82f6" />
+                  <View style={styles.draftContent}>
+                    <Text style={styles.draftTitle}>Restored your draft</Text>
+                    <Text style={styles.draftText}>
+                      Last edited {formatTimestamp(restoredDraftAt)}
+                    </Text>
+                  </View>
+                  <TouchableOpacity onPress={confirmDiscardDraft} activeOpacity={0.8}>
+                    <Text style={styles.draftDiscard}>Discard</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={styles.draftClose}
+                    onPress={() => setRestoredDraftAt(null)}
+                    accessibilityLabel="Hide draft notice"
+                  >
+                    <Ionicons name="close" size={18} color="#94a3b8" />
+                  </TouchableOpacity>
+                </View>
+              )}
+
               {/* ===== INFO CARD ===== */}
               <View style={styles.infoCard}>
-                <View style={[styles.infoIcon, { backgroundColor: `${getTypeColor()}15` }]}>
-                  <Ionicons name={getTypeIcon()} size={32} color={getTypeColor()} />
+                <View style={[styles.infoIcon, { backgroundColor: `${selectedType.color}15` }]}>
+                  <Ionicons name={selectedType.icon} size={32} color={selectedType.color} />
                 </View>
                 <View style={styles.infoContent}>
-                  <Text style={styles.infoTitle}>{getTypeTitle()}</Text>
-                  <Text style={styles.infoText}>{getTypeDescription()}</Text>
+                  <Text style={styles.infoTitle}>{selectedType.title}</Text>
+                  <Text style={styles.infoText}>{selectedType.description}</Text>
                 </View>
               </View>
 
@@ -240,7 +507,7 @@ export default function RequestService() {
                 {/* ===== TYPE SELECTION ===== */}
                 <View style={styles.formSection}>
                   <View style={styles.sectionHeader}>
-                    <Ionicons name="layers-outline" size={20} color={getTypeColor()} />
+                    <Ionicons name="layers-outline" size={20} color={selectedType.color} />
                     <Text style={styles.sectionTitle}>Request Type</Text>
                   </View>
                   
@@ -251,10 +518,10 @@ export default function RequestService() {
                     activeOpacity={0.8}
                   >
                     <View style={styles.dropdownLeft}>
-                      <View style={[styles.typeIcon, { backgroundColor: `${getTypeColor()}15` }]}>
-                        <Ionicons name={getTypeIcon()} size={18} color={getTypeColor()} />
+                      <View style={[styles.typeIcon, { backgroundColor: `${selectedType.color}15` }]}>
+                        <Ionicons name={selectedType.icon} size={18} color={selectedType.color} />
                       </View>
-                      <Text style={styles.dropdownText}>{getTypeLabel()}</Text>
+                      <Text style={styles.dropdownText}>{selectedType.label}</Text>
                     </View>
                     <Ionicons 
                       name={showPicker ? "chevron-up" : "chevron-down"} 
@@ -266,49 +533,33 @@ export default function RequestService() {
                   {/* Custom Picker Modal */}
                   {showPicker && (
                     <Animated.View style={[styles.pickerModal, { opacity: pickerOpacity }]}>
-                      <TouchableOpacity 
-                        style={styles.pickerOption}
-                        onPress={() => handleTypeSelect('service')}
-                        activeOpacity={0.7}
-                      >
-                        <View style={styles.optionLeft}>
-                          <View style={[styles.optionIcon, { backgroundColor: '#3b82f615' }]}>
-                            <Ionicons name="construct-outline" size={18} color="#3b82f6" />
-                          </View>
-                          <View>
-                            <Text style={styles.optionTitle}>Request New Service</Text>
-                            <Text style={styles.optionSubtitle}>New service or modification</Text>
-                          </View>
-                        </View>
-                        {type === 'service' && (
-                          <View style={styles.selectedIndicator}>
-                            <Ionicons name="checkmark-circle" size={20} color="#3b82f6" />
-                          </View>
-                        )}
-                      </TouchableOpacity>
-                      
-                      <View style={styles.pickerDivider} />
-                      
-                      <TouchableOpacity 
-                        style={styles.pickerOption}
-                        onPress={() => handleTypeSelect('suggestion')}
-                        activeOpacity={0.7}
-                      >
-                        <View style={styles.optionLeft}>
-                          <View style={[styles.optionIcon, { backgroundColor: '#8b5cf615' }]}>
-                            <Ionicons name="bulb-outline" size={18} color="#8b5cf6" />
-                          </View>
-                          <View>
-                            <Text style={styles.optionTitle}>Suggestion / Query</Text>
-                            <Text style={styles.optionSubtitle}>Share suggestions or queries</Text>
-                          </View>
+                      {requestTypes.map((option, index) => (
+                        <View key={option.key}>
+                          {index > 0 && <View style={styles.pickerDivider} />}
+                          <TouchableOpacity 
+                            style={styles.pickerOption}
+                            onPress={() => handleTypeSelect(option.key)}
+                            activeOpacity={0.7}
+                          >
+                            <View style={styles.optionLeft}>
+                              <View style={[styles.optionIcon, { backgroundColor: `${option.color}15` }]}>
+                                <Ionicons name={option.icon} size={18} color={option.color} />
+                              </View>
+                              <View style={styles.optionText}>
+                                <Text style={styles.optionTitle}>{option.label}</Text>
+                                <Text style={styles.optionSubtitle} numberOfLines={1}>
+                                  {option.subtitle || option.description}
+                                </Text>
+                              </View>
+                            </View>
+                            {option.key === selectedType.key && (
+                              <View style={styles.selectedIndicator}>
+                                <Ionicons name="checkmark-circle" size={20} color={option.color} />
+                              </View>
+                            )}
+                          </TouchableOpacity>
                         </View>
-                        {type === 'suggestion' && (
-                          <View style={styles.selectedIndicator}>
-                            <Ionicons name="checkmark-circle" size={20} color="#8b5cf6" />
-                          </View>
-                        )}
-                      </TouchableOpacity>
+                      ))}
                     </Animated.View>
                   )}
                 </View>
@@ -347,22 +598,36 @@ export default function RequestService() {
                     isFocused.contact && styles.inputWrapperFocused
                   ]}>
                     <Ionicons name="call-outline" size={18} color="#64748b" />
-                    <Text style={styles.countryCode}>+91</Text>
+                    <Text style={styles.countryCodePlus}>+</Text>
+                    <TextInput
+                      value={countryCode}
+                      onChangeText={(text) => setCountryCode(text.replace(/\D/g, ''))}
+                      onFocus={() => handleFocus('contact')}
+                      onBlur={() => handleBlur('contact')}
+                      keyboardType="number-pad"
+                      maxLength={3}
+                      style={[styles.countryCode, styles.countryCodeInput]}
+                      accessibilityLabel="Country code"
+                    />
                     <View style={styles.separator} />
                     <TextInput
-                      placeholder="10-digit mobile number"
+                      placeholder={countryCode === '91' ? '10-digit mobile number' : 'Phone number'}
                       placeholderTextColor="#64748b"
                       value={contact}
-                      onChangeText={setContact}
+                      onChangeText={handleContactChange}
                       onFocus={() => handleFocus('contact')}
                       onBlur={() => handleBlur('contact')}
                       keyboardType="phone-pad"
-                      maxLength={10}
+                      textContentType="telephoneNumber"
+                      autoComplete="tel"
+                      maxLength={18}
                       style={styles.input}
                     />
                   </View>
                   <Text style={styles.inputHelper}>
-                    We'll use this to contact you regarding your request
+                    {contact && contact === profilePhone.number
+                      ? 'From your profile. Change it if we should call another number'
+                      : "We'll use this to contact you regarding your request"}
                   </Text>
                 </View>
 
@@ -396,6 +661,68 @@ export default function RequestService() {
                   </View>
                 </View>
 
+                {/* ===== TYPE-SPECIFIC FIELDS ===== */}
+                {visibleSections.map((section, index) => (
+                  <View key={section.title || index} style={styles.formSection}>
+                    <View style={styles.sectionHeader}>
+                      <Ionicons name="options-outline" size={20} color={selectedType.color} />
+                      <Text style={styles.sectionTitle}>
+                        {section.title || `${selectedType.label} Details`}
+                      </Text>
+                    </View>
+                    {section.fields.map((field) => (
+                      <SchemaField
+                        key={field.key}
+                        field={field}
+                        value={details[field.key]}
+                        options={field.options === SERVICE_OPTIONS ? serviceOptions : field.options}
+                        color={selectedType.color}
+                        onChange={(value) => setDetail(field.key, value)}
+                      />
+                    ))}
+                  </View>
+                ))}
+
+                {/* ===== ATTACHMENTS ===== */}
+                <View style={styles.formSection}>
+                  <View style={styles.sectionHeader}>
+                    <Ionicons name="attach-outline" size={20} color="#3b82f6" />
+                    <Text style={styles.sectionTitle}>Attachments</Text>
+                    <Text style={styles.optionalText}>Optional</Text>
+                  </View>
+
+                  <View style={styles.attachButtons}>
+                    <AttachButton
+                      icon="camera-outline"
+                      label="Camera"
+                      onPress={() => addAttachments(pickFromCamera)}
+                    />
+                    <AttachButton
+                      icon="images-outline"
+                      label="Photos"
+                      onPress={() => addAttachments(pickFromLibrary)}
+                    />
+                    <AttachButton
+                      icon="document-attach-outline"
+                      label="Files"
+                      onPress={() => addAttachments(pickDocuments)}
+                    />
+                  </View>
+
+                  {attachments.map((attachment) => (
+                    <AttachmentRow
+                      key={attachment.key}
+                      attachment={attachment}
+                      onRemove={() => removeAttachment(attachment.key)}
+                    />
+                  ))}
+
+                  <Text style={styles.inputHelper}>
+                    Screenshots, designs, logos or PDFs • up to {MAX_ATTACHMENTS} files,{' '}
+                    {formatFileSize(MAX_FILE_SIZE)} each
+                  </Text>
+                </View>
+
                 {/* ===== SUBMIT BUTTON ===== */}
                 <Animated.View style={{ transform: [{ scale: buttonScale }] }}>
                   <TouchableOpacity
@@ -410,7 +737,11 @@ export default function RequestService() {
                       {loading ? (
                         <>
                           <Ionicons name="sync" size={20} color="#ffffff" />
-                          <Text style={styles.buttonText}>Submitting...</Text>
+                          <Text style={styles.buttonText}>
+                            {submitProgress != null
+                              ? `Uploading ${Math.round(submitProgress * 100)}%...`
+                              : 'Submitting...'}
+                          </Text>
                         </>
                       ) : (
                         <>
@@ -440,6 +771,25 @@ export default function RequestService() {
 
               
               
+              {/* ===== SUBMISSIONS ===== */}
+              {outbox.length > 0 && (
+                <View style={styles.outboxCard}>
+                  <View style={styles.sectionHeader}>
+                    <Ionicons name="file-tray-full-outline" size={20} color="#3b82f6" />
+                    <Text style={styles.sectionTitle}>Your Submissions</Text>
+                  </View>
+                  {outbox.map((item, index) => (
+                    <OutboxItem
+                      key={item.id}
+                      item={item}
+                      typeInfo={getRequestTypeInfo(requestTypes, item.payload.type)}
+                      online={online}
+                      isLast={index === outbox.length - 1}
+                    />
+                  ))}
+                </View>
+              )}
+
               {/* ===== BOTTOM SPACING ===== */}
               <View style={styles.bottomSpacing} />
             </Animated.View>
@@ -450,6 +800,148 @@ export default function RequestService() {
   );
 }
 
+/* ===== REUSABLE COMPONENTS ===== */
+
+const AttachButton = ({ icon, label, onPress }) => (
+  <TouchableOpacity style={styles.attachButton} onPress={onPress} activeOpacity={0.8}>
+    <Ionicons name={icon} size={20} color="#3b82f6" />
+    <Text style={styles.attachButtonText}>{label}</Text>
+  </TouchableOpacity>
+);
+
+const AttachmentRow = ({ attachment, onRemove }) => (
+  <View style={styles.attachmentRow}>
+    {isImageFile(attachment) ? (
+      <Image source={{ uri: attachment.uri }} style={styles.attachmentThumb} />
+    ) : (
+      <View style={[styles.attachmentThumb, styles.attachmentFileIcon]}>
+        <Ionicons name="document-text-outline" size={20} color="#ef4444" />
+      </View>
+    )}
+
+    <View style={styles.attachmentContent}>
+      <Text style={styles.attachmentName} numberOfLines={1}>
+        {attachment.name}
+      </Text>
+      {!!attachment.size && (
+        <Text style={styles.attachmentMeta}>{formatFileSize(attachment.size)}</Text>
+      )}
+    </View>
+
+    <TouchableOpacity
+      style={styles.attachmentAction}
+      onPress={onRemove}
+      accessibilityLabel={`Remove ${attachment.name}`}
+    >
+      <Ionicons name="close" size={18} color="#94a3b8" />
+    </TouchableOpacity>
+  </View>
+);
+
+const OUTBOX_STATUS = {
+  pending: { label: 'Pending', color: '#f59e0b', icon: 'time-outline' },
+  sent: { label: 'Sent', color: '#10b981', icon: 'checkmark-circle-outline' },
+  failed: { label: 'Failed', color: '#ef4444', icon: 'alert-circle-outline' },
+};
+
+// How far each file is, from the progress of the whole multipart body
+const getFileProgress = (attachments, progress) => {
+  const total = attachments.reduce((sum, a) => sum + (a.size || 0), 0);
+  if (!total) return attachments.map(() => progress);
+
+  let before = 0;
+  return attachments.map((attachment) => {
+    const size = attachment.size || 0;
+    const done = size ? (progress * total - before) / size : progress;
+    before += size;
+    return Math.min(1, Math.max(0, done));
+  });
+};
+
+const OutboxItem = ({ item, typeInfo, online, isLast }) => {
+  const status = OUTBOX_STATUS[item.status] || OUTBOX_STATUS.pending;
+  const attachments = item.status === 'sent' ? [] : item.payload.attachments || [];
+  const uploading = item.progress != null;
+  const fileProgress = uploading ? getFileProgress(attachments, item.progress) : [];
+
+  const getDetail = () => {
+    if (item.status === 'sent') return 'Received by our team';
+    if (item.status === 'failed') return item.lastError || 'Could not be sent';
+    if (!online) return 'Waiting for a connection';
+    if (uploading) return `Uploading ${Math.round(item.progress * 100)}%`;
+    return item.attempts > 0 ? 'Retrying automatically' : 'Sending...';
+  };
+
+  return (
+    <View style={[styles.outboxItem, !isLast && styles.outboxItemBorder]}>
+      <View style={[styles.outboxIcon, { backgroundColor: `${status.color}15` }]}>
+        <Ionicons
+          name={typeInfo.icon}
+          size={18}
+          color={status.color}
+        />
+      </View>
+      <View style={styles.outboxContent}>
+        <Text style={styles.outboxTitle} numberOfLines={1}>
+          {item.payload.description}
+        </Text>
+        <Text style={styles.outboxMeta} numberOfLines={1}>
+          {new Date(item.createdAt).toLocaleDateString('en-IN', {
+            day: 'numeric',
+            month: 'short',
+          })} • {getDetail()}
+        </Text>
+
+        {/* Files wait here until sent; a failed one can be taken off before retrying */}
+        {attachments.map((attachment, index) => (
+          <View key={attachment.key} style={styles.outboxFile}>
+            <Ionicons
+              name={isImageFile(attachment) ? 'image-outline' : 'document-text-outline'}
+              size={14}
+              color="#94a3b8"
+            />
+            <Text style={styles.outboxFileName} numberOfLines={1}>
+              {attachment.name}
+            </Text>
+            {uploading && (
+              <View style={styles.progressTrack}>
+                <View
+                  style={[styles.progressFill, { width: `${Math.round(fileProgress[index] * 100)}%` }]}
+                />
+              </View>
+            )}
+            {item.status === 'failed' && (
+              <TouchableOpacity
+                onPress={() => removeRequestAttachment(item.id, attachment.key)}
+                accessibilityLabel={`Remove ${attachment.name}`}
+              >
+                <Ionicons name="close" size={16} color="#94a3b8" />
+              </TouchableOpacity>
+            )}
+          </View>
+        ))}
+
+        {item.status === 'failed' && (
+          <View style={styles.outboxActions}>
+            <TouchableOpacity onPress={() => retryRequest(item.id)} activeOpacity={0.8}>
+              <Text style={styles.outboxRetry}>Retry</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => removeRequest(item.id)} activeOpacity={0.8}>
+              <Text style={styles.outboxRemove}>Remove</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+      <View style={[styles.outboxStatus, { backgroundColor: `${status.color}15` }]}>
+        <Ionicons name={status.icon} size={12} color={status.color} />
+        <Text style={[styles.outboxStatusText, { color: status.color }]}>
+          {status.label}
+        </Text>
+      </View>
+    </View>
+  );
+};
+
 /* ===== STYLES ===== */
 
 const styles = StyleSheet.create({
@@ -459,6 +951,8 @@ const styles = StyleSheet.create({
   },
   // Page Header
   pageHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
     paddingHorizontal: 24,
     paddingTop: 20,
     paddingBottom: 16,
@@ -478,6 +972,19 @@ const styles = StyleSheet.create({
     color: '#94a3b8',
     fontWeight: '500',
   },
+  headerContent: {
+    flex: 1,
+  },
+  myRequestsButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: 'rgba(59, 130, 246, 0.1)',
+    borderWidth: 1,
+    borderColor: 'rgba(59, 130, 246, 0.2)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
   container: {
     flex: 1,
   },
@@ -631,6 +1138,9 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     marginBottom: 4,
   },
+  optionText: {
+    flex: 1,
+  },
   optionSubtitle: {
     color: '#94a3b8',
     fontSize: 13,
@@ -669,6 +1179,15 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     marginRight: 12,
   },
+  countryCodePlus: {
+    color: '#cbd5e1',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  countryCodeInput: {
+    minWidth: 28,
+    paddingVertical: 0,
+  },
   separator: {
     width: 1,
     height: 24,
@@ -820,6 +1339,208 @@ const styles = StyleSheet.create({
   },
   
   // Bottom spacing for safe area
+  // Restored Draft
+  draftNotice: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'rgba(59, 130, 246, 0.1)',
+    borderWidth: 1,
+    borderColor: 'rgba(59, 130, 246, 0.2)',
+    borderRadius: 16,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    marginBottom: 16,
+  },
+  draftContent: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  draftTitle: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#f8fafc',
+  },
+  draftText: {
+    fontSize: 12,
+    color: '#94a3b8',
+    marginTop: 2,
+  },
+  draftDiscard: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#ef4444',
+    paddingHorizontal: 8,
+  },
+  draftClose: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginLeft: 4,
+  },
+
+  // Attachments
+  optionalText: {
+    fontSize: 12,
+    color: '#64748b',
+    fontWeight: '600',
+    marginLeft: 'auto',
+  },
+  attachButtons: {
+    flexDirection: 'row',
+    gap: 10,
+    marginBottom: 4,
+  },
+  attachButton: {
+    flex: 1,
+    alignItems: 'center',
+    gap: 6,
+    backgroundColor: '#0f172a',
+    borderRadius: 12,
+    borderWidth: 1.5,
+    borderColor: '#2d3748',
+    paddingVertical: 14,
+  },
+  attachButtonText: {
+    color: '#e2e8f0',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  attachmentRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#0f172a',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#2d3748',
+    padding: 10,
+    marginTop: 10,
+  },
+  attachmentThumb: {
+    width: 40,
+    height: 40,
+    borderRadius: 8,
+    marginRight: 12,
+    backgroundColor: '#1e293b',
+  },
+  attachmentFileIcon: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  attachmentContent: {
+    flex: 1,
+    marginRight: 8,
+  },
+  attachmentName: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#f8fafc',
+    marginBottom: 4,
+  },
+  attachmentMeta: {
+    fontSize: 12,
+    color: '#94a3b8',
+  },
+  attachmentAction: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: '#1e293b',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginLeft: 6,
+  },
+
+  // Submissions
+  outboxCard: {
+    backgroundColor: '#1e293b',
+    borderRadius: 20,
+    padding: 24,
+    marginBottom: 20,
+    borderWidth: 1,
+    borderColor: '#2d3748',
+  },
+  outboxItem: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    paddingVertical: 14,
+  },
+  outboxItemBorder: {
+    borderBottomWidth: 1,
+    borderBottomColor: '#2d3748',
+  },
+  outboxIcon: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  outboxContent: {
+    flex: 1,
+    marginRight: 12,
+  },
+  outboxTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#f8fafc',
+    marginBottom: 4,
+  },
+  outboxMeta: {
+    fontSize: 12,
+    color: '#94a3b8',
+  },
+  outboxFile: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginTop: 6,
+  },
+  outboxFileName: {
+    flex: 1,
+    fontSize: 12,
+    color: '#cbd5e1',
+  },
+  progressTrack: {
+    width: 60,
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: '#2d3748',
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: '100%',
+    backgroundColor: '#3b82f6',
+  },
+  outboxActions: {
+    flexDirection: 'row',
+    gap: 16,
+    marginTop: 8,
+  },
+  outboxRetry: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#3b82f6',
+  },
+  outboxRemove: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#94a3b8',
+  },
+  outboxStatus: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 10,
+  },
+  outboxStatusText: {
+    fontSize: 11,
+    fontWeight: '700',
+  },
   bottomSpacing: {
     height: 80,
   },
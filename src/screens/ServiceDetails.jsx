@@ -1,4 +1,4 @@
-import { useEffect, useState, useRef } from 'react';
+import { useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -10,7 +10,22 @@ import {
   Dimensions,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
-import api from '../api/api';
+import OfflineBanner from '../components/OfflineBanner';
+import {
+  useServiceDetails,
+  useServiceHistory,
+  usePaymentSummary,
+} from '../api/queries';
+import { getDomainReminders, syncExpiryReminders } from '../utils/expiryReminders';
+import {
+  getServiceLifecycle,
+  getDomainLifecycle,
+  getStatusLabel,
+  parseDate,
+  STATUS_COLORS,
+  EXPIRING_SOON_DAYS,
+  EXPIRING_URGENT_DAYS,
+} from '../utils/serviceLifecycle';
 import { Ionicons } from '@expo/vector-icons';
 
 const { width } = Dimensions.get('window');
@@ -18,250 +33,76 @@ const { width } = Dimensions.get('window');
 export default function ServiceDetails({ route, navigation }) {
   const { serviceId } = route.params;
 
-  const [service, setService] = useState(null);
-  const [webDetails, setWebDetails] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [paymentSummary, setPaymentSummary] = useState({
-    paid: 0,
-    total: 0,
-  });
-  const [timelineHistory, setTimelineHistory] = useState([]);
-
   // Animation values
   const fadeAnim = useRef(new Animated.Value(0)).current;
   const slideAnim = useRef(new Animated.Value(20)).current;
 
-  /* ================= FETCH SERVICE ================= */
-
-  useEffect(() => {
-    fetchServiceDetails();
-  }, []);
+  /* ================= QUERIES ================= */
 
-  const fetchServiceDetails = async () => {
-    try {
-      const res = await api.get(`/client/services/${serviceId}`);
-      const payload = res.data?.data;
+  const detailsQuery = useServiceDetails(serviceId);
+  const historyQuery = useServiceHistory(serviceId);
+  const summaryQuery = usePaymentSummary(serviceId);
 
-      if (payload?.service) {
-        setService(payload.service);
-        setWebDetails(payload.webDetails || null);
-      } else {
-        setService(null);
-        setWebDetails(null);
-      }
-    } catch (err) {
-      console.log(
-        'Service details error:',
-        err.response?.data || err.message
-      );
-      setService(null);
-      setWebDetails(null);
-    } finally {
-      setLoading(false);
-      
-      // Start animations after data loads
-      Animated.parallel([
-        Animated.timing(fadeAnim, {
-          toValue: 1,
-          duration: 800,
-          useNativeDriver: true,
-        }),
-        Animated.timing(slideAnim, {
-          toValue: 0,
-          duration: 600,
-          useNativeDriver: true,
-        }),
-      ]).start();
-    }
+  const service = detailsQuery.data?.service || null;
+  const webDetails = detailsQuery.data?.webDetails || null;
+  const loading = detailsQuery.loading;
+  const timelineHistory = historyQuery.data?.timeline || [];
+  const paymentSummary = {
+    paid: Number(summaryQuery.data?.paid_amount || 0),
+    total: Number(summaryQuery.data?.total_amount || 0),
   };
 
-  /* ================= FETCH PAYMENT SUMMARY AND TIMELINE ================= */
-
   useEffect(() => {
-    if (service) {
-      fetchPaymentSummary();
-      fetchTimelineHistory();
-    }
-  }, [service]);
+    if (loading) return;
 
-  const fetchPaymentSummary = async () => {
-    try {
-      const res = await api.get(`/payments/summary/${serviceId}`);
+    // Start animations after data loads
+    Animated.parallel([
+      Animated.timing(fadeAnim, {
+        toValue: 1,
+        duration: 800,
+        useNativeDriver: true,
+      }),
+      Animated.timing(slideAnim, {
+        toValue: 0,
+        duration: 600,
+        useNativeDriver: true,
+      }),
+    ]).start();
+  }, [loading]);
 
-      setPaymentSummary({
-        paid: Number(res.data.data?.paid_amount || 0),
-        total: Number(res.data.data?.total_amount || 0),
-      });
-    } catch (err) {
-      console.log(
-        'Payment summary error:',
-        err.response?.data || err.message
-      );
-    }
-  };
+  // Fresh details may carry a renewed domain; the list refresh syncs the rest
+  useEffect(() => {
+    const payload = detailsQuery.data;
+    if (!payload?.service) return;
 
-  const fetchTimelineHistory = async () => {
-    try {
-      const res = await api.get(`/service-history/${serviceId}`);
-      const timelineData = res.data?.data?.timeline || [];
-      setTimelineHistory(timelineData);
-    } catch (err) {
-      console.log(
-        'Timeline history error:',
-        err.response?.data || err.message
-      );
-    }
-  };
+    syncExpiryReminders(getDomainReminders(serviceId, payload), { kind: 'domain', serviceId });
+  }, [detailsQuery.data, serviceId]);
 
   /* ================= CALCULATIONS ================= */
 
-  const getCurrentActiveServicePeriod = () => {
-    if (!service) {
-      // Return default values if service is null
-      const today = new Date();
-      return {
-        startDate: today,
-        endDate: today,
-        isExtended: false,
-        timelineType: 'No Service Data'
-      };
-    }
-
-    const hasValidDates = service.start_date && service.end_date;
-    const today = new Date();
-
-    if (!timelineHistory.length) {
-      // If no timeline history, use original service dates with null checks
-      if (hasValidDates) {
-        return {
-          startDate: new Date(service.start_date),
-          endDate: new Date(service.end_date),
-          isExtended: false
-        };
-      } else {
-        // Fallback to current date if no valid dates
-        return {
-          startDate: today,
-          endDate: today,
-          isExtended: false
-        };
-      }
-    }
-
-    // Find the active timeline event (current date is between start and end)
-    const activeTimeline = timelineHistory.find(event => {
-      if (!event.start_date || !event.end_date) return false;
-      const startDate = new Date(event.start_date);
-      const endDate = new Date(event.end_date);
-      return today >= startDate && today <= endDate;
-    });
-
-    if (activeTimeline) {
-      // If there's an active timeline event, use its dates
-      return {
-        startDate: new Date(activeTimeline.start_date),
-        endDate: new Date(activeTimeline.end_date),
-        isExtended: true,
-        timelineType: activeTimeline.timeline_type || 'Extended Period'
-      };
-    }
-
-    // If no active timeline, find the most recent completed timeline
-    const completedTimelines = timelineHistory
-      .filter(event => {
-        if (!event.end_date) return false;
-        return new Date(event.end_date) < today;
-      })
-      .sort((a, b) => {
-        if (!a.end_date || !b.end_date) return 0;
-        return new Date(b.end_date) - new Date(a.end_date);
-      });
-
-    if (completedTimelines.length > 0) {
-      // Use the most recent completed timeline
-      const latestTimeline = completedTimelines[0];
-      return {
-        startDate: new Date(latestTimeline.start_date || service.start_date || today),
-        endDate: new Date(latestTimeline.end_date || service.end_date || today),
-        isExtended: true,
-        timelineType: latestTimeline.timeline_type || 'Completed Period',
-        isCompleted: true
-      };
-    }
-
-    // Fallback to original service dates with null checks
-    if (hasValidDates) {
-      return {
-        startDate: new Date(service.start_date),
-        endDate: new Date(service.end_date),
-        isExtended: false
-      };
-    }
-
-    // Ultimate fallback
-    return {
-      startDate: today,
-      endDate: today,
-      isExtended: false
-    };
-  };
-
-  const calculateServiceStatus = () => {
-    if (!service) return { status: 'unknown', color: '#94a3b8', label: 'Unknown' };
-
-    const currentPeriod = getCurrentActiveServicePeriod();
-    const today = new Date();
-    const effectiveEndDate = currentPeriod.endDate;
-    
-    if (today > effectiveEndDate) {
-      return { status: 'expired', color: '#ef4444', label: 'Expired' };
-    } else {
-      const daysRemaining = Math.floor((effectiveEndDate - today) / (1000 * 60 * 60 * 24));
-      
-      if (daysRemaining <= 7) {
-        return { status: 'expiring-soon', color: '#f59e0b', label: `Expiring in ${daysRemaining} day${daysRemaining !== 1 ? 's' : ''}` };
-      } else if (daysRemaining < 0) {
-        return { status: 'expired', color: '#ef4444', label: 'Expired' };
-      } else {
-        return { status: 'active', color: '#10b981', label: 'Active' };
-      }
-    }
+  const lifecycle = getServiceLifecycle(service, timelineHistory);
+  const serviceStatus = {
+    status: lifecycle.status,
+    color: STATUS_COLORS[lifecycle.status],
+    label: getStatusLabel(lifecycle),
   };
+  const isServiceActive = lifecycle.isActive;
+  const daysRemaining = lifecycle.daysRemaining;
 
   const getDomainStatus = () => {
     if (!webDetails?.domain_valid_till) {
-      return { status: 'unknown', color: '#94a3b8', label: 'Not specified' };
+      return { status: 'unknown', color: STATUS_COLORS.unknown, label: 'Not specified' };
     }
 
-    try {
-      const domainValidTill = new Date(webDetails.domain_valid_till);
-      const today = new Date();
-      
-      if (today > domainValidTill || isNaN(domainValidTill.getTime())) {
-        return { status: 'expired', color: '#ef4444', label: 'Expired' };
-      } else {
-        const daysRemaining = Math.floor((domainValidTill - today) / (1000 * 60 * 60 * 24));
-        
-        if (daysRemaining <= 30) {
-          return { status: 'expiring-soon', color: '#f59e0b', label: `Expiring in ${daysRemaining} days` };
-        } else {
-          return { status: 'active', color: '#10b981', label: 'Active' };
-        }
-      }
-    } catch (error) {
-      console.log('Error parsing domain date:', error);
-      return { status: 'unknown', color: '#94a3b8', label: 'Invalid date' };
-    }
+    const domain = getDomainLifecycle(webDetails.domain_valid_till);
+    return {
+      status: domain.status,
+      color: STATUS_COLORS[domain.status],
+      label: domain.status === 'unknown' ? 'Invalid date' : getStatusLabel(domain),
+    };
   };
 
-  const serviceStatus = calculateServiceStatus();
-  const currentPeriod = getCurrentActiveServicePeriod();
   const domainStatus = getDomainStatus();
-  const isServiceActive = serviceStatus.status !== 'expired';
-  
-  const daysRemaining = isServiceActive && currentPeriod.endDate 
-    ? Math.floor((currentPeriod.endDate - new Date()) / (1000 * 60 * 60 * 24))
-    : 0;
 
   const progressPercentage = paymentSummary.total > 0 
     ? ((paymentSummary.paid / paymentSummary.total) * 100) 
@@ -329,6 +170,7 @@ export default function ServiceDetails({ route, navigation }) {
         <Text style={styles.pageTitle}>Service Details</Text>
         <Text style={styles.pageSubtitle}>Complete service overview</Text>
       </View>
+      <OfflineBanner updatedAt={detailsQuery.updatedAt} error={detailsQuery.error} />
 
       <ScrollView
         contentContainerStyle={styles.container}
@@ -378,11 +220,11 @@ export default function ServiceDetails({ route, navigation }) {
               </View>
             </View>
 
-            {currentPeriod.isExtended && (
+            {lifecycle.isExtended && (
               <View style={styles.extensionNotice}>
                 <Ionicons name="time-outline" size={16} color="#3b82f6" />
                 <Text style={styles.extensionNoticeText}>
-                  {currentPeriod.timelineType || 'Extended Service Period'}
+                  {lifecycle.timelineType || 'Extended Service Period'}
                 </Text>
               </View>
             )}
@@ -392,11 +234,13 @@ export default function ServiceDetails({ route, navigation }) {
                 <Ionicons name="calendar-outline" size={16} color="#94a3b8" />
                 <Text style={styles.dateLabel}>Current Start</Text>
                 <Text style={styles.dateValue}>
-                  {currentPeriod.startDate.toLocaleDateString('en-IN', {
-                    day: 'numeric',
-                    month: 'short',
-                    year: 'numeric',
-                  })}
+                  {lifecycle.currentStart
+                    ? lifecycle.currentStart.toLocaleDateString('en-IN', {
+                        day: 'numeric',
+                        month: 'short',
+                        year: 'numeric',
+                      })
+                    : 'N/A'}
                 </Text>
               </View>
               <View style={styles.dateSeparator}>
@@ -406,11 +250,13 @@ export default function ServiceDetails({ route, navigation }) {
                 <Ionicons name="calendar-outline" size={16} color="#94a3b8" />
                 <Text style={styles.dateLabel}>Valid Until</Text>
                 <Text style={styles.dateValue}>
-                  {currentPeriod.endDate.toLocaleDateString('en-IN', {
-                    day: 'numeric',
-                    month: 'short',
-                    year: 'numeric',
-                  })}
+                  {lifecycle.currentEnd
+                    ? lifecycle.currentEnd.toLocaleDateString('en-IN', {
+                        day: 'numeric',
+                        month: 'short',
+                        year: 'numeric',
+                      })
+                    : 'N/A'}
                 </Text>
               </View>
             </View>
@@ -419,11 +265,11 @@ export default function ServiceDetails({ route, navigation }) {
               <View style={styles.originalDates}>
                 <Ionicons name="information-circle-outline" size={14} color="#64748b" />
                 <Text style={styles.originalDatesText}>
-                  Original: {new Date(service.start_date).toLocaleDateString('en-IN', { 
+                  Original: {parseDate(service.start_date)?.toLocaleDateString('en-IN', { 
                     day: 'numeric', 
                     month: 'short', 
                     year: 'numeric' 
-                  })} - {new Date(service.end_date).toLocaleDateString('en-IN', { 
+                  })} - {parseDate(service.end_date)?.toLocaleDateString('en-IN', { 
                     day: 'numeric', 
                     month: 'short', 
                     year: 'numeric' 
@@ -432,14 +278,14 @@ export default function ServiceDetails({ route, navigation }) {
               </View>
             )}
 
-            {isServiceActive && daysRemaining > 0 && daysRemaining <= 30 && (
+            {isServiceActive && daysRemaining <= EXPIRING_SOON_DAYS && (
               <View style={[
                 styles.daysRemaining,
                 { 
-                  backgroundColor: daysRemaining <= 7 
+                  backgroundColor: daysRemaining <= EXPIRING_URGENT_DAYS 
                     ? 'rgba(245, 158, 11, 0.1)' 
                     : 'rgba(59, 130, 246, 0.1)',
-                  borderColor: daysRemaining <= 7 
+                  borderColor: daysRemaining <= EXPIRING_URGENT_DAYS 
                     ? 'rgba(245, 158, 11, 0.2)' 
                     : 'rgba(59, 130, 246, 0.2)'
                 }
@@ -447,11 +293,11 @@ export default function ServiceDetails({ route, navigation }) {
                 <Ionicons 
                   name="time-outline" 
                   size={16} 
-                  color={daysRemaining <= 7 ? '#f59e0b' : '#3b82f6'} 
+                  color={daysRemaining <= EXPIRING_URGENT_DAYS ? '#f59e0b' : '#3b82f6'} 
                 />
                 <Text style={[
                   styles.daysText,
-                  { color: daysRemaining <= 7 ? '#f59e0b' : '#3b82f6' }
+                  { color: daysRemaining <= EXPIRING_URGENT_DAYS ? '#f59e0b' : '#3b82f6' }
                 ]}>
                   {daysRemaining === 0 
                     ? 'Expires today' 
@@ -603,11 +449,11 @@ export default function ServiceDetails({ route, navigation }) {
                 {webDetails.domain_valid_till && (
                   <DetailItem 
                     label="Domain Valid Till" 
-                    value={new Date(webDetails.domain_valid_till).toLocaleDateString('en-IN', {
+                    value={parseDate(webDetails.domain_valid_till)?.toLocaleDateString('en-IN', {
                       day: 'numeric',
                       month: 'short',
                       year: 'numeric',
-                    })}
+                    }) || 'Invalid date'}
                     icon="calendar-outline"
                   />
                 )}
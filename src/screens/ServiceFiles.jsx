@@ -14,8 +14,10 @@ import {
   Linking,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
+import OfflineBanner from '../components/OfflineBanner';
+import { isOnline } from '../utils/network';
 import { Ionicons } from '@expo/vector-icons';
-import api from '../api/api';
+import { useServiceFiles } from '../api/queries';
 
 const { width } = Dimensions.get('window');
 const FILE_BASE_URL = 'https://api.imperiummmm.in';
@@ -23,55 +25,42 @@ const FILE_BASE_URL = 'https://api.imperiummmm.in';
 export default function ServiceFiles({ route, navigation }) {
   const { serviceId } = route.params;
 
-  const [loading, setLoading] = useState(true);
-  const [refreshing, setRefreshing] = useState(false);
-  const [files, setFiles] = useState([]);
   const [filter, setFilter] = useState('all'); // 'all', 'images', 'documents'
 
   // Animation values
   const fadeAnim = useRef(new Animated.Value(0)).current;
   const slideAnim = useRef(new Animated.Value(20)).current;
 
-  useEffect(() => {
-    fetchFiles();
-  }, []);
-
   /* ================= FETCH FILES ================= */
 
-  const fetchFiles = async () => {
-    try {
-      const res = await api.get(`/files/client/${serviceId}`);
-      const filesData = res.data?.data || [];
-      setFiles(filesData);
-      
-      // Start animations after data loads
-      if (!refreshing) {
-        Animated.parallel([
-          Animated.timing(fadeAnim, {
-            toValue: 1,
-            duration: 800,
-            useNativeDriver: true,
-          }),
-          Animated.timing(slideAnim, {
-            toValue: 0,
-            duration: 600,
-            useNativeDriver: true,
-          }),
-        ]).start();
-      }
-    } catch (err) {
-      console.log('Files fetch error:', err.response?.data || err.message);
+  const filesQuery = useServiceFiles(serviceId);
+  const files = filesQuery.data || [];
+  const { loading, refreshing, refresh: onRefresh } = filesQuery;
+
+  useEffect(() => {
+    if (loading) return;
+
+    // Start animations after data loads
+    Animated.parallel([
+      Animated.timing(fadeAnim, {
+        toValue: 1,
+        duration: 800,
+        useNativeDriver: true,
+      }),
+      Animated.timing(slideAnim, {
+        toValue: 0,
+        duration: 600,
+        useNativeDriver: true,
+      }),
+    ]).start();
+  }, [loading]);
+
+  // Offline, or with saved files to show, the banner says enough
+  useEffect(() => {
+    if (filesQuery.error && !filesQuery.data && isOnline()) {
       Alert.alert('Error', 'Unable to load files');
-    } finally {
-      setLoading(false);
-      setRefreshing(false);
     }
-  };
-
-  const onRefresh = () => {
-    setRefreshing(true);
-    fetchFiles();
-  };
+  }, [filesQuery.error]);
 
   /* ================= OPEN FILE ================= */
 
@@ -139,6 +128,7 @@ export default function ServiceFiles({ route, navigation }) {
           All documents and images related to your service
         </Text>
       </View>
+      <OfflineBanner updatedAt={filesQuery.updatedAt} error={filesQuery.error} />
 
       <ScrollView
         contentContainerStyle={styles.container}
@@ -11,159 +11,79 @@ import {
   TouchableOpacity,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
+import OfflineBanner from '../components/OfflineBanner';
 import { Ionicons } from '@expo/vector-icons';
-import api from '../api/api';
+import { useServiceHistory } from '../api/queries';
+import {
+  getPeriodStatus,
+  getStatusLabel,
+  parseDate,
+  daysBetween,
+  STATUS_COLORS,
+} from '../utils/serviceLifecycle';
 
 const { width } = Dimensions.get('window');
 
 export default function ServiceTimeline({ route, navigation }) {
   const { serviceId } = route.params;
 
-  const [loading, setLoading] = useState(true);
-  const [refreshing, setRefreshing] = useState(false);
-  const [timeline, setTimeline] = useState([]);
-  const [maintenance, setMaintenance] = useState([]);
   const [activeFilter, setActiveFilter] = useState('all'); // 'all', 'active', 'completed'
 
   // Animation values
   const fadeAnim = useRef(new Animated.Value(0)).current;
   const slideAnim = useRef(new Animated.Value(20)).current;
 
-  useEffect(() => {
-    fetchHistory();
-  }, []);
-
-  const fetchHistory = async () => {
-    try {
-      const res = await api.get(`/service-history/${serviceId}`);
-      const timelineData = res.data?.data?.timeline || [];
-      const maintenanceData = res.data?.data?.maintenance || [];
-
-      const sortedTimeline = timelineData.sort((a, b) => new Date(b.start_date) - new Date(a.start_date));
-      const sortedMaintenance = maintenanceData.sort((a, b) => new Date(b.start_date) - new Date(a.start_date));
-
-      setTimeline(sortedTimeline);
-      setMaintenance(sortedMaintenance);
-      
-      if (!refreshing) {
-        Animated.parallel([
-          Animated.timing(fadeAnim, {
-            toValue: 1,
-            duration: 800,
-            useNativeDriver: true,
-          }),
-          Animated.timing(slideAnim, {
-            toValue: 0,
-            duration: 600,
-            useNativeDriver: true,
-          }),
-        ]).start();
-      }
-    } catch (err) {
-      console.log(
-        'Timeline fetch error:',
-        err.response?.data || err.message
-      );
-    } finally {
-      setLoading(false);
-      setRefreshing(false);
-    }
-  };
-
-  const onRefresh = () => {
-    setRefreshing(true);
-    fetchHistory();
-  };
-
-  /* ===== HELPER FUNCTIONS ===== */
+  const historyQuery = useServiceHistory(serviceId);
+  const { loading, refreshing, refresh: onRefresh } = historyQuery;
 
-  const getTimelineStatus = (item) => {
-    const today = new Date();
-    const startDate = new Date(item.start_date);
-    const endDate = new Date(item.end_date);
+  // Sort copies, latest first; the arrays belong to the shared cache
+  const byStartDesc = (a, b) => (parseDate(b.start_date) || 0) - (parseDate(a.start_date) || 0);
+  const timeline = [...(historyQuery.data?.timeline || [])].sort(byStartDesc);
+  const maintenance = [...(historyQuery.data?.maintenance || [])].sort(byStartDesc);
 
-    if (today < startDate) return { status: 'upcoming', color: '#f59e0b', label: 'Upcoming' };
-    if (today > endDate) return { status: 'completed', color: '#10b981', label: 'Completed' };
-    return { status: 'active', color: '#3b82f6', label: 'Active' };
-  };
+  useEffect(() => {
+    if (loading) return;
+
+    Animated.parallel([
+      Animated.timing(fadeAnim, {
+        toValue: 1,
+        duration: 800,
+        useNativeDriver: true,
+      }),
+      Animated.timing(slideAnim, {
+        toValue: 0,
+        duration: 600,
+        useNativeDriver: true,
+      }),
+    ]).start();
+  }, [loading]);
 
-  const getMaintenanceStatus = (item) => {
-    const today = new Date();
-    const endDate = new Date(item.end_date);
+  /* ===== HELPER FUNCTIONS ===== */
 
-    if (today > endDate) return { status: 'expired', color: '#ef4444', label: 'Expired' };
-    return { status: 'active', color: '#10b981', label: 'Active' };
+  const getEventStatus = (item) => {
+    const status = getPeriodStatus(item);
+    return { status, color: STATUS_COLORS[status], label: getStatusLabel({ status }) };
   };
 
-  const getCurrentActiveTimeline = () => {
-    const today = new Date();
-    return timeline.find(item => {
-      const startDate = new Date(item.start_date);
-      const endDate = new Date(item.end_date);
-      return today >= startDate && today <= endDate;
-    });
-  };
+  const getCurrentActiveTimeline = () =>
+    timeline.find(item => getPeriodStatus(item) === 'active');
 
-  const getCurrentActiveMaintenance = () => {
-    const today = new Date();
-    return maintenance.find(item => today <= new Date(item.end_date));
-  };
+  const getCurrentActiveMaintenance = () =>
+    maintenance.find(item => getPeriodStatus(item) === 'active');
 
-  const filterEvents = (events) => {
-    const today = new Date();
-    
-    switch (activeFilter) {
+  const filterEvents = (filter, events) => {
+    switch (filter) {
       case 'active':
-        return events.filter(event => today <= new Date(event.end_date));
+        return events.filter(event => getPeriodStatus(event) !== 'ended');
       case 'completed':
-        return events.filter(event => today > new Date(event.end_date));
+        return events.filter(event => getPeriodStatus(event) === 'ended');
       default:
         return events;
     }
   };
 
-  const filteredTimeline = filterEvents(timeline);
-  const filteredMaintenance = filterEvents(maintenance);
-
-  const getTimelineIcon = (type) => {
-    const lowerType = type?.toLowerCase() || '';
-    if (lowerType.includes('development') || lowerType.includes('build')) return 'code-working';
-    if (lowerType.includes('design') || lowerType.includes('ui')) return 'color-palette';
-    if (lowerType.includes('testing') || lowerType.includes('qa')) return 'checkmark-done';
-    if (lowerType.includes('deploy') || lowerType.includes('launch')) return 'rocket';
-    if (lowerType.includes('support') || lowerType.includes('maintenance')) return 'construct';
-    return 'time';
-  };
-
-  const formatDate = (date) => {
-    return new Date(date).toLocaleDateString('en-IN', {
-      day: 'numeric',
-      month: 'short',
-    });
-  };
-
-  const getDuration = (start, end) => {
-    const startDate = new Date(start);
-    const endDate = new Date(end);
-    const diffMs = endDate - startDate;
-    const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
-    
-    if (diffDays < 30) return `${diffDays}d`;
-    return `${Math.floor(diffDays / 30)}m`;
-  };
-
-  const getProgressPercentage = (start, end) => {
-    const startDate = new Date(start);
-    const endDate = new Date(end);
-    const today = new Date();
-    
-    if (today <= startDate) return 0;
-    if (today >= endDate) return 100;
-    
-    const totalDuration = endDate - startDate;
-    const elapsedDuration = today - startDate;
-    return Math.floor((elapsedDuration / totalDuration) * 100);
-  };
+  const filteredTimeline = filterEvents(activeFilter, timeline);
+  const filteredMaintenance = filterEvents(activeFilter, maintenance);
 
   /* ===== RENDER FUNCTIONS ===== */
 
@@ -194,6 +114,7 @@ export default function ServiceTimeline({ route, navigation }) {
           Service phases and maintenance records
         </Text>
       </View>
+      <OfflineBanner updatedAt={historyQuery.updatedAt} error={historyQuery.error} />
 
       <ScrollView
         contentContainerStyle={styles.container}
@@ -275,15 +196,15 @@ export default function ServiceTimeline({ route, navigation }) {
               label="Active" 
               active={activeFilter === 'active'} 
               onPress={() => setActiveFilter('active')}
-              count={timeline.filter(item => getTimelineStatus(item).status === 'active').length + 
-                     maintenance.filter(item => getMaintenanceStatus(item).status === 'active').length}
+              count={filterEvents('active', timeline).length +
+                     filterEvents('active', maintenance).length}
             />
             <FilterButton 
               label="Completed" 
               active={activeFilter === 'completed'} 
               onPress={() => setActiveFilter('completed')}
-              count={timeline.filter(item => getTimelineStatus(item).status === 'completed' || getTimelineStatus(item).status === 'upcoming').length + 
-                     maintenance.filter(item => getMaintenanceStatus(item).status === 'expired').length}
+              count={filterEvents('completed', timeline).length +
+                     filterEvents('completed', maintenance).length}
             />
           </View>
 
@@ -322,7 +243,7 @@ export default function ServiceTimeline({ route, navigation }) {
                     key={`timeline-${item.id}`}
                     item={item}
                     type="timeline"
-                    status={getTimelineStatus(item)}
+                    status={getEventStatus(item)}
                     isLast={index === filteredTimeline.length - 1 && filteredMaintenance.length === 0}
                   />
                 ))}
@@ -333,7 +254,7 @@ export default function ServiceTimeline({ route, navigation }) {
                     key={`maintenance-${item.id}`}
                     item={item}
                     type="maintenance"
-                    status={getMaintenanceStatus(item)}
+                    status={getEventStatus(item)}
                     isLast={index === filteredMaintenance.length - 1}
                   />
                 ))}
@@ -345,7 +266,7 @@ export default function ServiceTimeline({ route, navigation }) {
           <View style={styles.footerNote}>
             <Ionicons name="information-circle-outline" size={18} color="#f59e0b" />
             <Text style={styles.footerText}>
-              Active events show in blue, completed in green. Use filters to view specific event types.
+              Active events show in green, upcoming in blue and completed in grey. Use filters to view specific event types.
             </Text>
           </View>
 
@@ -440,33 +361,36 @@ const getTimelineIcon = (type) => {
 };
 
 const formatDate = (date) => {
-  return new Date(date).toLocaleDateString('en-IN', {
+  const parsed = parseDate(date);
+  if (!parsed) return 'N/A';
+  return parsed.toLocaleDateString('en-IN', {
     day: 'numeric',
     month: 'short',
   });
 };
 
 const getDuration = (start, end) => {
-  const startDate = new Date(start);
-  const endDate = new Date(end);
-  const diffMs = endDate - startDate;
-  const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
-  
+  const startDate = parseDate(start);
+  const endDate = parseDate(end);
+  if (!startDate || !endDate) return '';
+
+  const diffDays = daysBetween(startDate, endDate);
   if (diffDays < 30) return `${diffDays}d`;
   return `${Math.floor(diffDays / 30)}m`;
 };
 
 const getProgressPercentage = (start, end) => {
-  const startDate = new Date(start);
-  const endDate = new Date(end);
+  const startDate = parseDate(start);
+  const endDate = parseDate(end);
   const today = new Date();
-  
-  if (today <= startDate) return 0;
-  if (today >= endDate) return 100;
-  
-  const totalDuration = endDate - startDate;
-  const elapsedDuration = today - startDate;
-  return Math.floor((elapsedDuration / totalDuration) * 100);
+  if (!startDate || !endDate) return 0;
+
+  const totalDays = daysBetween(startDate, endDate);
+  const elapsedDays = daysBetween(startDate, today);
+
+  if (elapsedDays <= 0) return 0;
+  if (elapsedDays >= totalDays) return 100;
+  return Math.floor((elapsedDays / totalDays) * 100);
 };
 
 /* ===== STYLES ===== */
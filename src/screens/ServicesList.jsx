@@ -11,86 +11,20 @@ import {
   RefreshControl,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
+import OfflineBanner from '../components/OfflineBanner';
 import { Ionicons } from '@expo/vector-icons';
-import api from '../api/api';
+import { useServices } from '../api/queries';
+import { invalidateQueries } from '../api/queryCache';
+import { syncServiceExpiryReminders } from '../utils/expiryReminders';
+import { loadServiceHistories, peekServiceHistory } from '../utils/serviceHistory';
+import {
+  getServiceLifecycle,
+  EXPIRING_SOON_DAYS,
+  EXPIRING_URGENT_DAYS,
+} from '../utils/serviceLifecycle';
 
 const { width } = Dimensions.get('window');
 
-// Cache for timeline history to avoid multiple API calls
-const timelineCache = {};
-
-// Helper function to get current active service dates considering timeline extensions
-const getCurrentServiceDates = async (serviceId, serviceStartDate, serviceEndDate) => {
-  const today = new Date();
-  const originalStart = new Date(serviceStartDate);
-  const originalEnd = new Date(serviceEndDate);
-  
-  // Default to original dates
-  let currentStart = originalStart;
-  let currentEnd = originalEnd;
-  let isExtended = false;
-  let timelineType = null;
-  
-  try {
-    // Check if we have cached timeline data for this service
-    if (!timelineCache[serviceId]) {
-      const res = await api.get(`/service-history/${serviceId}`);
-      timelineCache[serviceId] = res.data?.data?.timeline || [];
-    }
-    
-    const timelineData = timelineCache[serviceId];
-    
-    // Sort timeline events by end date (most recent first)
-    const sortedTimeline = timelineData.sort((a, b) => 
-      new Date(b.end_date) - new Date(a.end_date)
-    );
-    
-    // Find the active timeline event (today is between start and end)
-    const activeTimeline = sortedTimeline.find(timeline => {
-      if (timeline.start_date && timeline.end_date) {
-        const timelineStart = new Date(timeline.start_date);
-        const timelineEnd = new Date(timeline.end_date);
-        return today >= timelineStart && today <= timelineEnd;
-      }
-      return false;
-    });
-    
-    if (activeTimeline) {
-      // If there's an active timeline, use its dates
-      currentStart = new Date(activeTimeline.start_date);
-      currentEnd = new Date(activeTimeline.end_date);
-      isExtended = true;
-      timelineType = activeTimeline.timeline_type;
-    } else {
-      // If no active timeline, check for the most recent completed timeline
-      const completedTimelines = sortedTimeline.filter(timeline => {
-        if (!timeline.end_date) return false;
-        return new Date(timeline.end_date) < today;
-      });
-      
-      if (completedTimelines.length > 0) {
-        // Use the most recent completed timeline's dates
-        const latestTimeline = completedTimelines[0];
-        currentStart = new Date(latestTimeline.start_date);
-        currentEnd = new Date(latestTimeline.end_date);
-        isExtended = true;
-        timelineType = latestTimeline.timeline_type;
-      }
-    }
-  } catch (error) {
-    console.log(`Error fetching timeline for service ${serviceId}:`, error.message);
-    // Keep original dates on error
-  }
-  
-  return {
-    currentStart,
-    currentEnd,
-    isExtended,
-    timelineType,
-    isActive: today >= currentStart && today <= currentEnd
-  };
-};
-
 const getServiceIcon = (serviceType) => {
   const type = serviceType?.toLowerCase() || '';
   if (type.includes('web') || type.includes('site')) return 'globe-outline';
@@ -103,9 +37,6 @@ const getServiceIcon = (serviceType) => {
 };
 
 export default function ServicesList({ navigation }) {
-  const [services, setServices] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [refreshing, setRefreshing] = useState(false);
   const [filter, setFilter] = useState('all'); // 'all', 'active', 'expired'
   const [serviceDatesMap, setServiceDatesMap] = useState({});
   const [showStats, setShowStats] = useState(false); // Collapsible stats
@@ -114,65 +45,75 @@ export default function ServicesList({ navigation }) {
   const fadeAnim = useRef(new Animated.Value(0)).current;
   const slideAnim = useRef(new Animated.Value(20)).current;
 
+  const servicesQuery = useServices();
+  const services = servicesQuery.data || [];
+  const { loading, refreshing } = servicesQuery;
+
+  // Ignores date calculations overtaken by a newer service list
+  const datesRequestRef = useRef(0);
+
+  // Show the list as soon as there is data; each card fills in its dates as its history arrives
   useEffect(() => {
-    fetchServices();
-  }, []);
+    if (loading) return;
+    Animated.parallel([
+      Animated.timing(fadeAnim, {
+        toValue: 1,
+        duration: 800,
+        useNativeDriver: true,
+      }),
+      Animated.timing(slideAnim, {
+        toValue: 0,
+        duration: 600,
+        useNativeDriver: true,
+      }),
+    ]).start();
+  }, [loading]);
 
-  const fetchServices = async () => {
-    try {
-      const res = await api.get('/client/services');
-      const servicesData = res.data.data || [];
-      setServices(servicesData);
-      
-      // Calculate service dates after getting services
-      await calculateServiceDates(servicesData);
-      
-      // Start animations after data loads
-      if (!refreshing) {
-        Animated.parallel([
-          Animated.timing(fadeAnim, {
-            toValue: 1,
-            duration: 800,
-            useNativeDriver: true,
-          }),
-          Animated.timing(slideAnim, {
-            toValue: 0,
-            duration: 600,
-            useNativeDriver: true,
-          }),
-        ]).start();
-      }
-    } catch (error) {
-      console.log(
-        'Fetch services error:',
-        error.response?.data || error.message
-      );
-    } finally {
-      setLoading(false);
-      setRefreshing(false);
-    }
-  };
+  useEffect(() => {
+    if (servicesQuery.data) calculateServiceDates(servicesQuery.data);
+  }, [servicesQuery.data]);
 
   const calculateServiceDates = async (servicesData) => {
+    const request = ++datesRequestRef.current;
+    const servicesById = new Map(servicesData.map(service => [String(service.id), service]));
+
+    // Cached history shows straight away; a refresh keeps the old dates until replaced
+    setServiceDatesMap(prev => {
+      const next = {};
+      servicesData.forEach(service => {
+        const history = peekServiceHistory(service.id);
+        if (history) next[service.id] = getServiceLifecycle(service, history.timeline);
+        else if (prev[service.id]) next[service.id] = prev[service.id];
+      });
+      return next;
+    });
+
+    const histories = await loadServiceHistories(
+      servicesData.map(service => service.id),
+      {
+        onLoaded: (serviceId, history) => {
+          if (request !== datesRequestRef.current) return;
+          const service = servicesById.get(String(serviceId));
+          setServiceDatesMap(prev => ({
+            ...prev,
+            [serviceId]: getServiceLifecycle(service, history.timeline),
+          }));
+        },
+      }
+    );
+    if (request !== datesRequestRef.current) return;
+
     const datesMap = {};
-    
-    for (const service of servicesData) {
-      const dates = await getCurrentServiceDates(
-        service.id, 
-        service.start_date, 
-        service.end_date
-      );
-      datesMap[service.id] = dates;
-    }
-    
-    setServiceDatesMap(datesMap);
+    servicesData.forEach(service => {
+      datesMap[service.id] = getServiceLifecycle(service, histories[service.id].timeline);
+    });
+    syncServiceExpiryReminders(servicesData, datesMap);
   };
 
+  // Pull to refresh reloads every service's history along with the list
   const onRefresh = () => {
-    setRefreshing(true);
-    // Clear cache on refresh
-    Object.keys(timelineCache).forEach(key => delete timelineCache[key]);
-    fetchServices();
+    invalidateQueries(['service']);
+    servicesQuery.refresh();
   };
 
   const toggleStats = () => {
@@ -191,8 +132,9 @@ export default function ServicesList({ navigation }) {
   });
 
   const getStats = () => {
-    const active = Object.values(serviceDatesMap).filter(dates => dates?.isActive).length;
-    const expired = services.length - active;
+    const loaded = services.map(item => serviceDatesMap[item.id]).filter(Boolean);
+    const active = loaded.filter(dates => dates.isActive).length;
+    const expired = loaded.length - active;
     return { active, expired, total: services.length };
   };
 
@@ -201,8 +143,10 @@ export default function ServicesList({ navigation }) {
   const renderService = ({ item, index }) => {
     const serviceDates = serviceDatesMap[item.id];
     const active = serviceDates?.isActive || false;
-    const daysLeft = active ? Math.floor((serviceDates.currentEnd - new Date()) / (1000 * 60 * 60 * 24)) : null;
+    const daysLeft = active ? serviceDates.daysRemaining : null;
     const showExtended = serviceDates?.isExtended;
+    const upcoming = serviceDates?.status === 'upcoming';
+    const pending = !serviceDates;
 
     return (
       <Animated.View
@@ -240,13 +184,13 @@ export default function ServicesList({ navigation }) {
                   <View style={styles.metaItem}>
                     <Ionicons name="calendar-outline" size={12} color="#94a3b8" />
                     <Text style={styles.metaText}>
-                      {serviceDates ? 
+                      {serviceDates?.currentStart ? 
                         serviceDates.currentStart.toLocaleDateString('en-IN', {
                           day: 'numeric',
                           month: 'short',
                           year: 'numeric',
                         }) : 
-                        'Loading...'
+                        serviceDates ? 'N/A' : 'Loading...'
                       }
                     </Text>
                   </View>
@@ -256,13 +200,13 @@ export default function ServicesList({ navigation }) {
                   <View style={styles.metaItem}>
                     <Ionicons name="calendar-outline" size={12} color="#94a3b8" />
                     <Text style={styles.metaText}>
-                      {serviceDates ? 
+                      {serviceDates?.currentEnd ? 
                         serviceDates.currentEnd.toLocaleDateString('en-IN', {
                           day: 'numeric',
                           month: 'short',
                           year: 'numeric',
                         }) : 
-                        'Loading...'
+                        serviceDates ? 'N/A' : 'Loading...'
                       }
                     </Text>
                   </View>
@@ -276,26 +220,30 @@ export default function ServicesList({ navigation }) {
               </View>
               <View style={[
                 styles.statusBadge,
-                active ? styles.statusActive : styles.statusExpired
+                active || upcoming || pending ? styles.statusActive : styles.statusExpired
               ]}>
-                <View style={[
-                  styles.statusDot,
-                  { backgroundColor: active ? '#10b981' : '#ef4444' }
-                ]} />
+                {pending ? (
+                  <ActivityIndicator size="small" color="#94a3b8" style={styles.statusSpinner} />
+                ) : (
+                  <View style={[
+                    styles.statusDot,
+                    { backgroundColor: active ? '#10b981' : upcoming ? '#3b82f6' : '#ef4444' }
+                  ]} />
+                )}
                 <Text style={styles.statusText}>
-                  {active ? 'Active' : 'Expired'}
+                  {pending ? 'Checking' : active ? 'Active' : upcoming ? 'Upcoming' : 'Expired'}
                 </Text>
               </View>
             </View>
 
-            {active && daysLeft !== null && daysLeft <= 30 && (
+            {active && daysLeft !== null && daysLeft <= EXPIRING_SOON_DAYS && (
               <View style={[
                 styles.daysRemaining,
                 { 
-                  backgroundColor: daysLeft <= 7 
+                  backgroundColor: daysLeft <= EXPIRING_URGENT_DAYS 
                     ? 'rgba(245, 158, 11, 0.1)' 
                     : 'rgba(59, 130, 246, 0.1)',
-                  borderColor: daysLeft <= 7 
+                  borderColor: daysLeft <= EXPIRING_URGENT_DAYS 
                     ? 'rgba(245, 158, 11, 0.2)' 
                     : 'rgba(59, 130, 246, 0.2)'
                 }
@@ -303,11 +251,11 @@ export default function ServicesList({ navigation }) {
                 <Ionicons 
                   name="time-outline" 
                   size={14} 
-                  color={daysLeft <= 7 ? '#f59e0b' : '#3b82f6'} 
+                  color={daysLeft <= EXPIRING_URGENT_DAYS ? '#f59e0b' : '#3b82f6'} 
                 />
                 <Text style={[
                   styles.daysText,
-                  { color: daysLeft <= 7 ? '#f59e0b' : '#3b82f6' }
+                  { color: daysLeft <= EXPIRING_URGENT_DAYS ? '#f59e0b' : '#3b82f6' }
                 ]}>
                   {daysLeft === 0 ? 'Expires today' : `${daysLeft} day${daysLeft !== 1 ? 's' : ''} remaining`}
                 </Text>
@@ -350,6 +298,7 @@ export default function ServicesList({ navigation }) {
           {services.length} service{services.length !== 1 ? 's' : ''} in your portfolio
         </Text>
       </View>
+      <OfflineBanner updatedAt={servicesQuery.updatedAt} error={servicesQuery.error} />
 
       <View style={styles.container}>
         {/* ===== COLLAPSIBLE STATS SECTION ===== */}
@@ -791,6 +740,11 @@ const styles = StyleSheet.create({
     borderRadius: 4,
     marginRight: 6,
   },
+  statusSpinner: {
+    transform: [{ scale: 0.6 }],
+    marginLeft: -6,
+    marginRight: 0,
+  },
   statusText: {
     fontSize: 12,
     fontWeight: '600',
@@ -0,0 +1,88 @@
+import { parsePhone, toE164, validatePhone } from '../phone';
+
+describe('parsePhone', () => {
+  it.each([
+    ['+91 98765-43210', '91', '9876543210'],
+    ['0091 98765 43210', '91', '9876543210'],
+    ['919876543210', '91', '9876543210'],
+    ['098765 43210', '91', '9876543210'],
+    ['98765 43210', '91', '9876543210'],
+    ['+44 7911 123456', '44', '7911123456'],
+  ])('splits %s into +%s %s', (input, countryCode, number) => {
+    expect(parsePhone(input, countryCode)).toEqual({ countryCode, number });
+  });
+
+  it('defaults to the Indian country code', () => {
+    expect(parsePhone('+919876543210')).toEqual({ countryCode: '91', number: '9876543210' });
+  });
+
+  it('leaves a number alone when it starts with another country code', () => {
+    // The client picks the country code themselves
+    expect(parsePhone('+447911123456', '91')).toEqual({
+      countryCode: '91',
+      number: '447911123456',
+    });
+  });
+
+  it.each([null, undefined, ''])('is empty for %p', (input) => {
+    expect(parsePhone(input)).toEqual({ countryCode: '91', number: '' });
+  });
+
+  describe('while typing', () => {
+    it('keeps a leading 91 once the number runs past 10 digits', () => {
+      expect(parsePhone('91987654321', '91', { typing: true })).toEqual({
+        countryCode: '91',
+        number: '91987654321',
+      });
+    });
+
+    it('still splits a number typed with + or 00', () => {
+      expect(parsePhone('+919876543210', '91', { typing: true })).toEqual({
+        countryCode: '91',
+        number: '9876543210',
+      });
+      expect(parsePhone('00919876543210', '91', { typing: true })).toEqual({
+        countryCode: '91',
+        number: '9876543210',
+      });
+    });
+  });
+});
+
+describe('validatePhone', () => {
+  it.each(['9876543210', '6000000000'])('accepts the Indian mobile number %s', (number) => {
+    expect(validatePhone({ countryCode: '91', number })).toBeNull();
+  });
+
+  it.each(['987654321', '98765432101', '5876543210', '919876543210'])(
+    'rejects the Indian mobile number %s',
+    (number) => {
+      expect(validatePhone({ countryCode: '91', number })).toBe(
+        'Please enter a valid 10-digit mobile number'
+      );
+    }
+  );
+
+  it.each(['', '0', '091', '1234'])('rejects the country code %p', (countryCode) => {
+    expect(validatePhone({ countryCode, number: '7911123456' })).toBe(
+      'Please enter a valid country code'
+    );
+  });
+
+  it('accepts other countries between 6 and 15 digits in all', () => {
+    expect(validatePhone({ countryCode: '44', number: '7911123456' })).toBeNull();
+    expect(validatePhone({ countryCode: '1', number: '123456' })).toBeNull();
+    expect(validatePhone({ countryCode: '44', number: '12345' })).toBe(
+      'Please enter a valid contact number'
+    );
+    expect(validatePhone({ countryCode: '44', number: '12345678901234' })).toBe(
+      'Please enter a valid contact number'
+    );
+  });
+});
+
+describe('toE164', () => {
+  it('joins the country code and number', () => {
+    expect(toE164({ countryCode: '91', number: '9876543210' })).toBe('+919876543210');
+  });
+});
@@ -0,0 +1,225 @@
+import {
+  getDomainLifecycle,
+  getPeriodStatus,
+  getServiceLifecycle,
+  getStatusLabel,
+  parseDate,
+} from '../serviceLifecycle';
+
+// Local noon, so the calendar day is the same in every timezone
+const NOW = new Date(2025, 2, 10, 12, 0);
+
+const day = (year, month, date) => new Date(year, month - 1, date);
+
+describe('parseDate', () => {
+  it('reads YYYY-MM-DD as local midnight', () => {
+    expect(parseDate('2025-03-10')).toEqual(day(2025, 3, 10));
+  });
+
+  it('drops the time of day from timestamps and Date objects', () => {
+    expect(parseDate(new Date(2025, 2, 10, 18, 30))).toEqual(day(2025, 3, 10));
+    expect(parseDate(new Date(2025, 2, 10, 18, 30).toISOString())).toEqual(day(2025, 3, 10));
+  });
+
+  it.each(['2025-02-30', '2025-04-31', '2025-13-01', '2025-00-10'])(
+    'rejects the rollover date %s',
+    (value) => {
+      expect(parseDate(value)).toBeNull();
+    }
+  );
+
+  it('accepts 29 Feb only in a leap year', () => {
+    expect(parseDate('2024-02-29')).toEqual(day(2024, 2, 29));
+    expect(parseDate('2025-02-29')).toBeNull();
+  });
+
+  it.each([null, undefined, '', 'not a date', new Date('invalid')])(
+    'returns null for %p',
+    (value) => {
+      expect(parseDate(value)).toBeNull();
+    }
+  );
+});
+
+describe('getPeriodStatus', () => {
+  it.each([
+    ['upcoming', { start_date: '2025-03-11', end_date: '2025-06-30' }],
+    ['active', { start_date: '2025-03-10', end_date: '2025-03-10' }],
+    ['ended', { start_date: '2025-01-01', end_date: '2025-03-09' }],
+  ])('is %s', (status, item) => {
+    expect(getPeriodStatus(item, NOW)).toBe(status);
+  });
+
+  it('labels each period status', () => {
+    expect(getStatusLabel({ status: 'upcoming' })).toBe('Upcoming');
+    expect(getStatusLabel({ status: 'active' })).toBe('Active');
+    expect(getStatusLabel({ status: 'ended' })).toBe('Completed');
+  });
+});
+
+describe('getServiceLifecycle', () => {
+  const service = { start_date: '2024-03-11', end_date: '2025-06-30' };
+
+  it('is active inside the original period', () => {
+    expect(getServiceLifecycle(service, [], NOW)).toEqual({
+      currentStart: day(2024, 3, 11),
+      currentEnd: day(2025, 6, 30),
+      isExtended: false,
+      timelineType: null,
+      status: 'active',
+      isActive: true,
+      daysRemaining: 112,
+    });
+  });
+
+  it('counts the end date as a full day of service', () => {
+    const endingToday = { start_date: '2024-03-11', end_date: '2025-03-10' };
+
+    expect(getServiceLifecycle(endingToday, [], NOW)).toMatchObject({
+      status: 'expiring-soon',
+      isActive: true,
+      daysRemaining: 0,
+    });
+    expect(getServiceLifecycle(endingToday, [], day(2025, 3, 11))).toMatchObject({
+      status: 'expired',
+      isActive: false,
+      daysRemaining: null,
+    });
+  });
+
+  it('is expiring soon within 30 days of the end', () => {
+    const ending = { start_date: '2024-03-11', end_date: '2025-04-09' };
+
+    expect(getServiceLifecycle(ending, [], NOW)).toMatchObject({
+      status: 'expiring-soon',
+      daysRemaining: 30,
+    });
+    expect(getServiceLifecycle(ending, [], day(2025, 3, 9))).toMatchObject({
+      status: 'active',
+      daysRemaining: 31,
+    });
+  });
+
+  it('is upcoming before the service starts', () => {
+    const future = { start_date: '2025-04-01', end_date: '2026-03-31' };
+
+    expect(getServiceLifecycle(future, [], NOW)).toMatchObject({
+      currentStart: day(2025, 4, 1),
+      status: 'upcoming',
+      isActive: false,
+      daysRemaining: 386,
+    });
+  });
+
+  it('follows an extension past the original end date', () => {
+    const expired = { start_date: '2024-01-01', end_date: '2024-12-31' };
+    const timeline = [
+      { start_date: '2025-01-01', end_date: '2025-12-31', timeline_type: 'extension' },
+    ];
+
+    expect(getServiceLifecycle(expired, timeline, NOW)).toMatchObject({
+      currentStart: day(2025, 1, 1),
+      currentEnd: day(2025, 12, 31),
+      isExtended: true,
+      timelineType: 'extension',
+      status: 'active',
+    });
+  });
+
+  it('picks the latest-starting period when periods overlap', () => {
+    const timeline = [
+      { start_date: '2025-01-01', end_date: '2025-03-20', timeline_type: 'extension' },
+      { start_date: '2025-03-01', end_date: '2026-02-28', timeline_type: 'renewal' },
+    ];
+
+    expect(getServiceLifecycle(service, timeline, NOW)).toMatchObject({
+      currentStart: day(2025, 3, 1),
+      currentEnd: day(2026, 2, 28),
+      timelineType: 'renewal',
+      status: 'active',
+    });
+  });
+
+  it('points to the next period in a gap between periods', () => {
+    const lapsed = { start_date: '2024-01-01', end_date: '2025-02-28' };
+    const timeline = [
+      { start_date: '2025-04-01', end_date: '2026-03-31', timeline_type: 'renewal' },
+    ];
+
+    expect(getServiceLifecycle(lapsed, timeline, NOW)).toMatchObject({
+      currentStart: day(2025, 4, 1),
+      isExtended: true,
+      status: 'upcoming',
+      isActive: false,
+    });
+  });
+
+  it('falls back to the period that ended most recently', () => {
+    const old = { start_date: '2023-01-01', end_date: '2023-12-31' };
+    const timeline = [
+      { start_date: '2024-01-01', end_date: '2024-06-30', timeline_type: 'extension' },
+    ];
+
+    expect(getServiceLifecycle(old, timeline, NOW)).toMatchObject({
+      currentEnd: day(2024, 6, 30),
+      status: 'expired',
+      daysRemaining: null,
+    });
+  });
+
+  it('ignores periods with invalid or reversed dates', () => {
+    const timeline = [
+      { start_date: '2025-02-30', end_date: '2026-01-01' },
+      { start_date: '2025-06-01', end_date: '2025-01-01' },
+    ];
+
+    expect(getServiceLifecycle(service, timeline, NOW)).toMatchObject({
+      currentEnd: day(2025, 6, 30),
+      isExtended: false,
+    });
+  });
+
+  it('is unknown without a single valid period', () => {
+    expect(
+      getServiceLifecycle({ start_date: '2025-01-01', end_date: '2025-02-30' }, [], NOW)
+    ).toEqual({
+      currentStart: null,
+      currentEnd: null,
+      isExtended: false,
+      timelineType: null,
+      status: 'unknown',
+      isActive: false,
+      daysRemaining: null,
+    });
+  });
+});
+
+describe('getDomainLifecycle', () => {
+  it('is active well before expiry', () => {
+    expect(getDomainLifecycle('2025-12-31', NOW)).toEqual({
+      status: 'active',
+      daysRemaining: 296,
+    });
+  });
+
+  it('is expiring soon on the expiry day itself', () => {
+    expect(getDomainLifecycle('2025-03-10', NOW)).toEqual({
+      status: 'expiring-soon',
+      daysRemaining: 0,
+    });
+  });
+
+  it('is expired from the day after expiry', () => {
+    expect(getDomainLifecycle('2025-03-09', NOW)).toEqual({
+      status: 'expired',
+      daysRemaining: null,
+    });
+  });
+
+  it('is unknown for a rollover date', () => {
+    expect(getDomainLifecycle('2025-02-30', NOW)).toEqual({
+      status: 'unknown',
+      daysRemaining: null,
+    });
+  });
+});
@@ -1,15 +1,195 @@
 import * as SecureStore from 'expo-secure-store';
+import { clearPersistedQueries } from './queryStorage';
+import { clearDraft } from './requestDraft';
 
-const TOKEN_KEY = 'client_token';
+/* ================= SESSIONS ================= */
+
+// One entry per signed-in client account: { id, mobile, name }
+const SESSIONS_KEY = 'client_sessions';
+const ACTIVE_SESSION_KEY = 'client_active_session';
+
+// Keys from before multi-account support, migrated on first launch
+const LEGACY_TOKEN_KEY = 'client_token';
+const LEGACY_REFRESH_TOKEN_KEY = 'client_refresh_token';
+const LEGACY_MOBILE_KEY = 'client_mobile';
+
+const tokenKey = (sessionId) => `client_token_${sessionId}`;
+const refreshTokenKey = (sessionId) => `client_refresh_token_${sessionId}`;
+const pushTokenKey = (sessionId) => `client_push_token_${sessionId}`;
+
+export const getSessions = async () => {
+  const value = await SecureStore.getItemAsync(SESSIONS_KEY);
+  return value ? JSON.parse(value) : [];
+};
+
+const saveSessions = async (sessions) => {
+  await SecureStore.setItemAsync(SESSIONS_KEY, JSON.stringify(sessions));
+};
+
+export const getActiveSessionId = async () => {
+  return await SecureStore.getItemAsync(ACTIVE_SESSION_KEY);
+};
+
+export const setActiveSessionId = async (sessionId) => {
+  if (sessionId) {
+    await SecureStore.setItemAsync(ACTIVE_SESSION_KEY, sessionId);
+  } else {
+    await SecureStore.deleteItemAsync(ACTIVE_SESSION_KEY);
+  }
+};
+
+// Adds the session, or merges the changes into an existing one with the same id
+export const saveSession = async (session) => {
+  const sessions = await getSessions();
+  const index = sessions.findIndex((s) => s.id === session.id);
+
+  if (index === -1) {
+    sessions.push(session);
+  } else {
+    sessions[index] = { ...sessions[index], ...session };
+  }
+
+  await saveSessions(sessions);
+  return sessions;
+};
+
+// `keepDraft` leaves the Request Service draft for when the account signs
+// back in, as after its session expired
+export const removeSession = async (sessionId, { keepDraft = false } = {}) => {
+  await SecureStore.deleteItemAsync(tokenKey(sessionId));
+  await SecureStore.deleteItemAsync(refreshTokenKey(sessionId));
+  await SecureStore.deleteItemAsync(pushTokenKey(sessionId));
+  await clearPersistedQueries(sessionId);
+  if (!keepDraft) await clearDraft(sessionId);
+
+  const sessions = (await getSessions()).filter((s) => s.id !== sessionId);
+  await saveSessions(sessions);
+  return sessions;
+};
+
+export const migrateLegacySession = async () => {
+  const legacyToken = await SecureStore.getItemAsync(LEGACY_TOKEN_KEY);
+  if (!legacyToken) return;
+
+  const mobile = await SecureStore.getItemAsync(LEGACY_MOBILE_KEY);
+  const legacyRefreshToken = await SecureStore.getItemAsync(LEGACY_REFRESH_TOKEN_KEY);
+  const sessionId = mobile || 'default';
+
+  await saveSession({ id: sessionId, mobile, name: null });
+  await SecureStore.setItemAsync(tokenKey(sessionId), legacyToken);
+  if (legacyRefreshToken) {
+    await SecureStore.setItemAsync(refreshTokenKey(sessionId), legacyRefreshToken);
+  }
+  await setActiveSessionId(sessionId);
+
+  await SecureStore.deleteItemAsync(LEGACY_TOKEN_KEY);
+  await SecureStore.deleteItemAsync(LEGACY_REFRESH_TOKEN_KEY);
+  await SecureStore.deleteItemAsync(LEGACY_MOBILE_KEY);
+};
+
+/* ================= ACTIVE SESSION TOKENS ================= */
 
 export const saveToken = async (token) => {
-  await SecureStore.setItemAsync(TOKEN_KEY, token);
+  const sessionId = await getActiveSessionId();
+  if (!sessionId) return;
+  await SecureStore.setItemAsync(tokenKey(sessionId), token);
 };
 
 export const getToken = async () => {
-  return await SecureStore.getItemAsync(TOKEN_KEY);
+  const sessionId = await getActiveSessionId();
+  if (!sessionId) return null;
+  return await SecureStore.getItemAsync(tokenKey(sessionId));
+};
+
+export const saveRefreshToken = async (refreshToken) => {
+  const sessionId = await getActiveSessionId();
+  if (!sessionId) return;
+  await SecureStore.setItemAsync(refreshTokenKey(sessionId), refreshToken);
+};
+
+export const getRefreshToken = async () => {
+  const sessionId = await getActiveSessionId();
+  if (!sessionId) return null;
+  return await SecureStore.getItemAsync(refreshTokenKey(sessionId));
+};
+
+export const removeRefreshToken = async () => {
+  const sessionId = await getActiveSessionId();
+  if (!sessionId) return;
+  await SecureStore.deleteItemAsync(refreshTokenKey(sessionId));
+};
+
+// Mobile number of the active account, used to verify the PIN on the unlock screen
+export const getMobile = async () => {
+  const sessionId = await getActiveSessionId();
+  const session = (await getSessions()).find((s) => s.id === sessionId);
+  return session?.mobile || null;
+};
+
+/* ================= PUSH ================= */
+
+// Expo push token registered with the backend for the active account
+export const savePushToken = async (pushToken) => {
+  const sessionId = await getActiveSessionId();
+  if (!sessionId) return;
+  await SecureStore.setItemAsync(pushTokenKey(sessionId), pushToken);
+};
+
+export const getPushToken = async () => {
+  const sessionId = await getActiveSessionId();
+  if (!sessionId) return null;
+  return await SecureStore.getItemAsync(pushTokenKey(sessionId));
+};
+
+export const removePushToken = async () => {
+  const sessionId = await getActiveSessionId();
+  if (!sessionId) return;
+  await SecureStore.deleteItemAsync(pushTokenKey(sessionId));
+};
+
+/* ================= UNLOCK ================= */
+
+const BIOMETRIC_KEY = 'client_biometric_enabled';
+
+// true / false once the user has chosen, null if they were never asked
+export const saveBiometricEnabled = async (enabled) => {
+  await SecureStore.setItemAsync(BIOMETRIC_KEY, enabled ? 'true' : 'false');
+};
+
+export const getBiometricEnabled = async () => {
+  const value = await SecureStore.getItemAsync(BIOMETRIC_KEY);
+  return value === null ? null : value === 'true';
+};
+
+export const removeBiometricEnabled = async () => {
+  await SecureStore.deleteItemAsync(BIOMETRIC_KEY);
+};
+
+const APP_LOCK_TIMEOUT_KEY = 'app_lock_timeout';
+
+// Milliseconds in the background before the app locks, null if never set
+export const saveAppLockTimeout = async (timeout) => {
+  await SecureStore.setItemAsync(APP_LOCK_TIMEOUT_KEY, String(timeout));
+};
+
+export const getAppLockTimeout = async () => {
+  const value = await SecureStore.getItemAsync(APP_LOCK_TIMEOUT_KEY);
+  return value === null ? null : Number(value);
+};
+
+const BACKGROUNDED_AT_KEY = 'app_backgrounded_at';
+
+// When an unlocked app last went to the background, so a relaunch within the
+// lock timeout doesn't ask again. null while in front, or if it was locked.
+export const saveBackgroundedAt = async (time) => {
+  await SecureStore.setItemAsync(BACKGROUNDED_AT_KEY, String(time));
+};
+
+export const getBackgroundedAt = async () => {
+  const value = await SecureStore.getItemAsync(BACKGROUNDED_AT_KEY);
+  return value === null ? null : Number(value);
 };
 
-export const removeToken = async () => {
-  await SecureStore.deleteItemAsync(TOKEN_KEY);
+export const removeBackgroundedAt = async () => {
+  await SecureStore.deleteItemAsync(BACKGROUNDED_AT_KEY);
 };
@@ -0,0 +1,51 @@
+import * as LocalAuthentication from 'expo-local-authentication';
+import { Platform } from 'react-native';
+
+/* ================= AVAILABILITY ================= */
+export async function isBiometricAvailable() {
+  try {
+    const [hasHardware, isEnrolled] = await Promise.all([
+      LocalAuthentication.hasHardwareAsync(),
+      LocalAuthentication.isEnrolledAsync(),
+    ]);
+    return hasHardware && isEnrolled;
+  } catch (err) {
+    console.log('Biometric check error:', err.message);
+    return false;
+  }
+}
+
+/* ================= LABEL ================= */
+// "Face ID", "Fingerprint", ... for prompts and buttons
+export async function getBiometricLabel() {
+  try {
+    const types =
+      await LocalAuthentication.supportedAuthenticationTypesAsync();
+
+    if (types.includes(LocalAuthentication.AuthenticationType.FACIAL_RECOGNITION)) {
+      return Platform.OS === 'ios' ? 'Face ID' : 'Face Unlock';
+    }
+    if (types.includes(LocalAuthentication.AuthenticationType.FINGERPRINT)) {
+      return Platform.OS === 'ios' ? 'Touch ID' : 'Fingerprint';
+    }
+  } catch (err) {
+    console.log('Biometric type error:', err.message);
+  }
+  return 'Biometrics';
+}
+
+/* ================= AUTHENTICATE ================= */
+export async function authenticateWithBiometrics(promptMessage) {
+  try {
+    const result = await LocalAuthentication.authenticateAsync({
+      promptMessage,
+      cancelLabel: 'Use PIN',
+      // Our own 4-digit PIN is the fallback, not the device passcode
+      disableDeviceFallback: true,
+    });
+    return result.success;
+  } catch (err) {
+    console.log('Biometric auth error:', err.message);
+    return false;
+  }
+}
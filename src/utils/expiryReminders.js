@@ -0,0 +1,232 @@
+import * as Notifications from 'expo-notifications';
+import { onAccountChanged } from '../auth/sessionEvents';
+import { fetchQuery, getQueryData } from '../api/queryCache';
+import { queryKeys, fetchPreferences, fetchServiceDetails } from '../api/queries';
+import { parseDate } from './serviceLifecycle';
+
+/* ================= EXPIRY REMINDERS ================= */
+// Local notifications before a service period ends or a domain expires,
+// so clients hear about renewals without opening the app.
+//
+// The server can't mute what the phone schedules itself, so muting the
+// "renewal" category (NotificationPreferences) is checked here too.
+
+const REMINDER_DAYS = [30, 7, 1];
+const REMINDER_HOUR = 10; // 10:00 local time
+const ID_PREFIX = 'expiry';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CATEGORY = 'renewal';
+
+// Domain expiry only comes with a service's details, which change rarely
+const DETAILS_STALE_TIME = 60 * 60 * 1000;
+
+// Details requests in flight at once, as in serviceHistory.js
+const MAX_CONCURRENT = 4;
+
+// Finishes clearing the previous account's reminders before scheduling new ones
+let pendingCancel = Promise.resolve();
+
+// e.g. expiry:domain:42:7
+const reminderId = (kind, serviceId, days) =>
+  `${ID_PREFIX}:${kind}:${serviceId}:${days}`;
+
+const parseReminderId = (identifier) => {
+  const [prefix, kind, serviceId, days] = identifier.split(':');
+  if (prefix !== ID_PREFIX) return null;
+  return { kind, serviceId, days: Number(days) };
+};
+
+const formatExpiryDate = (date) =>
+  date.toLocaleDateString('en-IN', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+  });
+
+const getReminderContent = ({ kind, serviceId, name, expiresAt }, days) => {
+  const when = days === 1 ? 'tomorrow' : `in ${days} days`;
+  const what = kind === 'domain' ? 'Domain' : 'Service';
+
+  return {
+    title: `${what} expiring ${when}`,
+    body: `${name} expires on ${formatExpiryDate(expiresAt)}. Renew now to avoid any interruption.`,
+    // Same contract as push payloads, so a tap opens the service
+    data: { type: 'service', serviceId, category: 'renewal' },
+  };
+};
+
+// Offline, the last preferences seen on this device decide
+const isMuted = async () => {
+  let preferences;
+  try {
+    preferences = await fetchQuery(queryKeys.notificationPreferences, fetchPreferences);
+  } catch {
+    preferences = getQueryData(queryKeys.notificationPreferences);
+  }
+  return (preferences?.muted_categories || []).includes(CATEGORY);
+};
+
+const getTriggerDate = (expiresAt, days) => {
+  const date = new Date(expiresAt.getTime() - days * DAY_MS);
+  date.setHours(REMINDER_HOUR, 0, 0, 0);
+  return date;
+};
+
+/**
+ * Schedules the reminders for `items` ({ kind: 'service' | 'domain',
+ * serviceId, name, expiresAt }) and cancels every other reminder in the
+ * same scope. The scope is one `kind`, optionally narrowed to one service,
+ * so a screen only replaces the reminders it knows about; reminders for
+ * `keepServiceIds` are left as they are.
+ */
+export const syncExpiryReminders = async (items, { kind, serviceId, keepServiceIds = [] } = {}) => {
+  try {
+    await pendingCancel;
+
+    const { status } = await Notifications.getPermissionsAsync();
+    if (status !== 'granted') return;
+
+    if (await isMuted()) {
+      await cancelExpiryReminders();
+      return;
+    }
+
+    const kept = new Set(keepServiceIds.map(String));
+
+    const now = Date.now();
+    const wanted = new Map();
+
+    items.forEach((item) => {
+      if (!(item.expiresAt instanceof Date) || isNaN(item.expiresAt.getTime())) return;
+
+      REMINDER_DAYS.forEach((days) => {
+        const date = getTriggerDate(item.expiresAt, days);
+        if (date.getTime() <= now) return;
+
+        wanted.set(reminderId(item.kind, item.serviceId, days), {
+          content: getReminderContent(item, days),
+          date,
+        });
+      });
+    });
+
+    const scheduled = await Notifications.getAllScheduledNotificationsAsync();
+    const stale = scheduled
+      .map((notification) => notification.identifier)
+      .filter((identifier) => {
+        const reminder = parseReminderId(identifier);
+        if (!reminder || reminder.kind !== kind) return false;
+        if (serviceId !== undefined && reminder.serviceId !== String(serviceId)) return false;
+        if (kept.has(reminder.serviceId)) return false;
+        return !wanted.has(identifier);
+      });
+
+    for (const identifier of stale) {
+      await Notifications.cancelScheduledNotificationAsync(identifier);
+    }
+
+    // Scheduling with an existing identifier replaces it, picking up renewals
+    for (const [identifier, { content, date }] of wanted) {
+      await Notifications.scheduleNotificationAsync({
+        identifier,
+        content,
+        trigger: {
+          type: Notifications.SchedulableTriggerInputTypes.DATE,
+          date,
+          channelId: 'renewal',
+        },
+      });
+    }
+  } catch (err) {
+    console.log('Expiry reminders error:', err.message);
+  }
+};
+
+// `details` is the `/client/services/:id` payload: { service, webDetails }
+export const getDomainReminders = (serviceId, details) => {
+  const validTill = details?.webDetails?.domain_valid_till;
+  if (!validTill || !details.service) return [];
+
+  return [{
+    kind: 'domain',
+    serviceId,
+    name: `The domain for ${details.service.service_type}`,
+    expiresAt: parseDate(validTill),
+  }];
+};
+
+// Services whose details can't be loaded keep the reminders they have
+const syncDomainExpiryReminders = async (services) => {
+  const items = [];
+  const unknown = [];
+  const queue = services.map((service) => service.id);
+
+  const worker = async () => {
+    while (queue.length) {
+      const serviceId = queue.shift();
+      let details;
+
+      try {
+        details = await fetchQuery(
+          queryKeys.service(serviceId),
+          () => fetchServiceDetails(serviceId),
+          { staleTime: DETAILS_STALE_TIME, persist: true }
+        );
+      } catch (err) {
+        console.log(`Domain reminder details error for service ${serviceId}:`, err.message);
+        details = getQueryData(queryKeys.service(serviceId));
+      }
+
+      if (details) items.push(...getDomainReminders(serviceId, details));
+      else unknown.push(serviceId);
+    }
+  };
+
+  const workers = Array.from(
+    { length: Math.min(MAX_CONCURRENT, queue.length) },
+    worker
+  );
+  await Promise.all(workers);
+
+  await syncExpiryReminders(items, { kind: 'domain', keepServiceIds: unknown });
+};
+
+/**
+ * Brings every reminder in line with the services list: service periods from
+ * `datesMap` (each service's current period, extensions included) and domain
+ * expiry from the services' details. Removed services lose their reminders.
+ */
+export const syncServiceExpiryReminders = async (services, datesMap) => {
+  await syncExpiryReminders(
+    services
+      .filter((service) => datesMap[service.id]?.isActive)
+      .map((service) => ({
+        kind: 'service',
+        serviceId: service.id,
+        name: service.service_type,
+        expiresAt: datesMap[service.id].currentEnd,
+      })),
+    { kind: 'service' }
+  );
+  await syncDomainExpiryReminders(services);
+};
+
+export const cancelExpiryReminders = async () => {
+  try {
+    const scheduled = await Notifications.getAllScheduledNotificationsAsync();
+    for (const { identifier } of scheduled) {
+      if (parseReminderId(identifier)) {
+        await Notifications.cancelScheduledNotificationAsync(identifier);
+      }
+    }
+  } catch (err) {
+    console.log('Cancel expiry reminders error:', err.message);
+  }
+};
+
+// Reminders link to service ids of the account that scheduled them
+onAccountChanged(() => {
+  pendingCancel = cancelExpiryReminders();
+});
@@ -0,0 +1,21 @@
+/* ================= TIMESTAMPS ================= */
+
+/**
+ * When something was saved or fetched, for "Last edited …" style copy:
+ * "today, 4:05 pm" or "12 Mar, 4:05 pm".
+ */
+export const formatTimestamp = (timestamp) => {
+  const date = new Date(timestamp);
+  const time = date.toLocaleTimeString('en-IN', {
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+
+  if (date.toDateString() === new Date().toDateString()) return `today, ${time}`;
+
+  const day = date.toLocaleDateString('en-IN', {
+    day: 'numeric',
+    month: 'short',
+  });
+  return `${day}, ${time}`;
+};
@@ -0,0 +1,41 @@
+import { useEffect, useState } from 'react';
+import NetInfo from '@react-native-community/netinfo';
+
+/* ================= CONNECTIVITY ================= */
+// Whether the device can reach the internet, for offline banners and
+// for retrying work once the connection comes back
+
+let online = true;
+const listeners = new Set();
+
+// `isInternetReachable` is null until NetInfo has checked; treat it as online
+const isReachable = (state) =>
+  state.isConnected !== false && state.isInternetReachable !== false;
+
+NetInfo.addEventListener((state) => {
+  const next = isReachable(state);
+  if (next === online) return;
+
+  online = next;
+  listeners.forEach((listener) => listener(online));
+});
+
+export const isOnline = () => online;
+
+export const onConnectivityChanged = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const onReconnect = (listener) =>
+  onConnectivityChanged((isNowOnline) => {
+    if (isNowOnline) listener();
+  });
+
+export const useIsOnline = () => {
+  const [value, setValue] = useState(online);
+
+  useEffect(() => onConnectivityChanged(setValue), []);
+
+  return value;
+};
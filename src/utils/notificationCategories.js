@@ -0,0 +1,99 @@
+import * as Notifications from 'expo-notifications';
+import { Platform } from 'react-native';
+
+/* ================= CATEGORIES ================= */
+// `key` matches the notification's `category` field and, on Android,
+// the channel id the backend sends pushes on
+export const NOTIFICATION_CATEGORIES = [
+  {
+    key: 'payment',
+    label: 'Payments',
+    description: 'Invoices, due dates and payment receipts',
+    icon: 'cash-outline',
+    color: '#10b981',
+    importance: Notifications.AndroidImportance.MAX,
+  },
+  {
+    key: 'file',
+    label: 'File Uploads',
+    description: 'New files shared with you',
+    icon: 'folder-outline',
+    color: '#3b82f6',
+    importance: Notifications.AndroidImportance.HIGH,
+  },
+  {
+    key: 'note',
+    label: 'Notes',
+    description: 'Notes added to your services',
+    icon: 'document-text-outline',
+    color: '#8b5cf6',
+    importance: Notifications.AndroidImportance.DEFAULT,
+  },
+  {
+    key: 'request',
+    label: 'Service Requests',
+    description: 'Status changes and replies on requests you sent',
+    icon: 'chatbox-ellipses-outline',
+    color: '#06b6d4',
+    importance: Notifications.AndroidImportance.HIGH,
+  },
+  {
+    key: 'renewal',
+    label: 'Renewals',
+    description: 'Service and domain expiry reminders',
+    icon: 'refresh-circle-outline',
+    color: '#f59e0b',
+    importance: Notifications.AndroidImportance.HIGH,
+  },
+  {
+    key: 'announcement',
+    label: 'Announcements',
+    description: 'News and updates from Imperium',
+    icon: 'megaphone-outline',
+    color: '#ec4899',
+    importance: Notifications.AndroidImportance.DEFAULT,
+  },
+];
+
+const DEFAULT_CATEGORY = 'announcement';
+
+// Older notifications have no category; fall back to what the title says
+const TITLE_KEYWORDS = [
+  { category: 'payment', words: ['payment', 'bill', 'invoice', 'paid'] },
+  { category: 'file', words: ['file', 'upload', 'document'] },
+  { category: 'note', words: ['note'] },
+  { category: 'renewal', words: ['renew', 'expir'] },
+  { category: 'request', words: ['request', 'quote', 'suggestion'] },
+];
+
+export const getNotificationCategory = (notification) => {
+  if (NOTIFICATION_CATEGORIES.some((c) => c.key === notification?.category)) {
+    return notification.category;
+  }
+
+  const title = (notification?.title || '').toLowerCase();
+  const match = TITLE_KEYWORDS.find(({ words }) =>
+    words.some((word) => title.includes(word))
+  );
+  return match ? match.category : DEFAULT_CATEGORY;
+};
+
+export const getCategoryInfo = (key) =>
+  NOTIFICATION_CATEGORIES.find((c) => c.key === key) ||
+  NOTIFICATION_CATEGORIES.find((c) => c.key === DEFAULT_CATEGORY);
+
+/* ================= ANDROID CHANNELS ================= */
+// One channel per category so clients can also tune them in system settings
+export const setupNotificationChannels = async () => {
+  if (Platform.OS !== 'android') return;
+
+  for (const category of NOTIFICATION_CATEGORIES) {
+    await Notifications.setNotificationChannelAsync(category.key, {
+      name: category.label,
+      description: category.description,
+      importance: category.importance,
+      vibrationPattern: [0, 250, 250, 250],
+      lightColor: '#38bdf8',
+    });
+  }
+};
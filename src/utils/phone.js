@@ -0,0 +1,61 @@
+/* ================= PHONE NUMBERS ================= */
+// Contact numbers are entered as a country code plus the number itself,
+// and sent in E.164 form, e.g. +919876543210
+
+export const DEFAULT_COUNTRY_CODE = '91';
+
+// E.164 allows at most 15 digits including the country code
+const MAX_DIGITS = 15;
+
+const digitsOnly = (value) => String(value || '').replace(/\D/g, '');
+
+/**
+ * Splits a typed or pasted number such as "+91 98765-43210", "0091 98765 43210"
+ * or "098765 43210" into { countryCode, number }. A number without its own
+ * country code keeps `countryCode`.
+ *
+ * `typing` is for a number entered a digit at a time: only a + or 00 prefix
+ * marks a country code then, as "9198..." may be a number not finished yet.
+ */
+export const parsePhone = (input, countryCode = DEFAULT_COUNTRY_CODE, { typing = false } = {}) => {
+  const raw = String(input || '').trim();
+  let digits = digitsOnly(raw);
+  const international = raw.startsWith('+') || raw.startsWith('00');
+
+  if (raw.startsWith('00')) digits = digits.slice(2);
+
+  // Only the code already chosen can be told apart from the number reliably;
+  // for any other the client picks the country code themselves
+  const bare = !typing && digits.length > 10;
+  if ((international || bare) && digits.startsWith(countryCode)) {
+    return { countryCode, number: digits.slice(countryCode.length) };
+  }
+
+  // Trunk prefix, as in 098765 43210
+  if (!international && digits.length === 11 && digits.startsWith('0')) {
+    return { countryCode, number: digits.slice(1) };
+  }
+
+  return { countryCode, number: digits };
+};
+
+/** Why the number can't be used, or null when it is fine. */
+export const validatePhone = ({ countryCode, number }) => {
+  if (!/^[1-9]\d{0,2}$/.test(countryCode)) {
+    return 'Please enter a valid country code';
+  }
+
+  // Indian mobile numbers are 10 digits starting with 6 to 9
+  if (countryCode === '91') {
+    return /^[6-9]\d{9}$/.test(number)
+      ? null
+      : 'Please enter a valid 10-digit mobile number';
+  }
+
+  if (number.length < 6 || countryCode.length + number.length > MAX_DIGITS) {
+    return 'Please enter a valid contact number';
+  }
+  return null;
+};
+
+export const toE164 = ({ countryCode, number }) => `+${countryCode}${number}`;
@@ -0,0 +1,52 @@
+export const PIN_LENGTH = 4;
+
+// Every digit one more (1234) or one less (4321) than the previous one
+const isSequential = (pin) => {
+  const digits = pin.split('').map(Number);
+  const steps = digits.slice(1).map((digit, i) => digit - digits[i]);
+  return steps.every((step) => step === 1) || steps.every((step) => step === -1);
+};
+
+/**
+ * Strength rules for a new PIN, shown as a checklist while typing.
+ * `test` returns true when the PIN passes the rule.
+ */
+export const PIN_STRENGTH_RULES = [
+  {
+    label: `Exactly ${PIN_LENGTH} digits`,
+    message: `PIN must be exactly ${PIN_LENGTH} digits`,
+    test: (pin) => new RegExp(`^\\d{${PIN_LENGTH}}$`).test(pin),
+  },
+  {
+    label: 'Not the same digit repeated (1111)',
+    message: 'PIN cannot be the same digit repeated',
+    test: (pin) => pin.length > 0 && !/^(\d)\1+$/.test(pin),
+  },
+  {
+    label: 'Not a sequence (1234, 4321)',
+    message: 'PIN cannot be a sequence like 1234 or 4321',
+    test: (pin) => pin.length > 0 && !isSequential(pin),
+  },
+  {
+    label: 'Not a repeated pair (1212)',
+    message: 'PIN cannot be a repeated pair like 1212',
+    test: (pin) => pin.length > 0 && !/^(\d\d)\1$/.test(pin),
+  },
+];
+
+/**
+ * Checks a PIN the user wants to set.
+ * Returns an error message to show, or null when the PIN is acceptable.
+ */
+export function validateNewPin(pin, confirmPin) {
+  const failedRule = PIN_STRENGTH_RULES.find((rule) => !rule.test(pin));
+  if (failedRule) {
+    return failedRule.message;
+  }
+
+  if (pin !== confirmPin) {
+    return 'PINs do not match';
+  }
+
+  return null;
+}
@@ -1,6 +1,8 @@
 import * as Notifications from 'expo-notifications';
 import * as Device from 'expo-device';
 import api from '../api/api';
+import { savePushToken, getPushToken, removePushToken } from './authStorage';
+import { setupNotificationChannels } from './notificationCategories';
 import { Platform } from 'react-native';
 
 /* ================= NOTIFICATION HANDLER ================= */
@@ -21,18 +23,8 @@ export async function registerForPushNotifications() {
       return null;
     }
 
-    /* ===== ANDROID CHANNEL ===== */
-    if (Platform.OS === 'android') {
-      await Notifications.setNotificationChannelAsync(
-        'default',
-        {
-          name: 'default',
-          importance: Notifications.AndroidImportance.MAX,
-          vibrationPattern: [0, 250, 250, 250],
-          lightColor: '#38bdf8',
-        }
-      );
-    }
+    /* ===== ANDROID CHANNELS ===== */
+    await setupNotificationChannels();
 
     /* ===== PERMISSIONS ===== */
     const { status: existingStatus } =
@@ -60,11 +52,23 @@ export async function registerForPushNotifications() {
 
     const token = tokenData.data;
 
+    // Already registered for this account
+    const registeredToken = await getPushToken();
+    if (registeredToken === token) return token;
+
+    // The token rotated; stop the backend sending to the old one
+    if (registeredToken) {
+      await api
+        .post('/push-tokens/unregister', { token: registeredToken })
+        .catch(() => {});
+    }
+
     /* ===== SAVE TO BACKEND ===== */
     await api.post('/push-tokens/register', {
       token,
       platform: Platform.OS,
     });
+    await savePushToken(token);
 
     return token;
   } catch (err) {
@@ -75,3 +79,24 @@ export async function registerForPushNotifications() {
     return null;
   }
 }
+
+/* ================= UNREGISTER ================= */
+// Must run before the account's tokens are removed. `skipAuth` sends it
+// without the session, for when the server has already rejected it; the
+// push token itself says which registration to drop.
+export async function unregisterPushNotifications({ skipAuth = false } = {}) {
+  const token = await getPushToken();
+  if (!token) return;
+
+  try {
+    // Don't hold up logout / account switching on a slow network
+    await api.post('/push-tokens/unregister', { token }, { timeout: 5000, skipAuth });
+  } catch (err) {
+    console.log(
+      '❌ PUSH UNREGISTER ERROR:',
+      err.response?.data || err.message
+    );
+  } finally {
+    await removePushToken();
+  }
+}
@@ -0,0 +1,42 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/* ================= OFFLINE QUERY STORAGE ================= */
+// The last good response of each persisted query, per account, so screens
+// still have something to show without a connection
+
+const PREFIX = 'query_cache';
+
+const storageKey = (accountId, hash) => `${PREFIX}:${accountId}:${hash}`;
+
+// { data, updatedAt } or null
+export const readPersistedQuery = async (accountId, hash) => {
+  try {
+    const raw = await AsyncStorage.getItem(storageKey(accountId, hash));
+    return raw ? JSON.parse(raw) : null;
+  } catch (err) {
+    console.log('Read cached query error:', err.message);
+    return null;
+  }
+};
+
+export const writePersistedQuery = async (accountId, hash, data, updatedAt) => {
+  try {
+    await AsyncStorage.setItem(
+      storageKey(accountId, hash),
+      JSON.stringify({ data, updatedAt })
+    );
+  } catch (err) {
+    console.log('Write cached query error:', err.message);
+  }
+};
+
+// Signing out must not leave the account's data on the phone
+export const clearPersistedQueries = async (accountId) => {
+  try {
+    const keys = await AsyncStorage.getAllKeys();
+    const prefix = `${PREFIX}:${accountId}:`;
+    await AsyncStorage.multiRemove(keys.filter((key) => key.startsWith(prefix)));
+  } catch (err) {
+    console.log('Clear cached queries error:', err.message);
+  }
+};
@@ -0,0 +1,221 @@
+import { useCallback, useRef, useState } from 'react';
+import * as ImagePicker from 'expo-image-picker';
+import * as DocumentPicker from 'expo-document-picker';
+import { Directory, File, Paths } from 'expo-file-system';
+
+/* ================= REQUEST ATTACHMENTS ================= */
+// Screenshots, designs, logos and requirement PDFs for a service request.
+// They go with the request itself as one multipart POST to /suggestions,
+// sent from the outbox (see requestOutbox.js), so a request with files can
+// be queued offline like any other.
+//
+// Picked files are copied out of the picker's cache, which the OS may clear,
+// into the app's documents; the copy lives until the request is sent or the
+// file is removed.
+//
+// Attachment: { key, uri, name, mimeType, size }
+
+export const MAX_ATTACHMENTS = 5;
+export const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+const DOCUMENT_TYPES = ['application/pdf', 'image/*'];
+
+// Big files over mobile data need far longer than the default 10s
+export const UPLOAD_TIMEOUT_MS = 2 * 60 * 1000;
+
+export const formatFileSize = (bytes) => {
+  if (!bytes) return '';
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+export const isImageFile = (attachment) =>
+  (attachment.mimeType || '').startsWith('image/');
+
+const createKey = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/* ===== PICKERS ===== */
+// Each resolves with picked files as { uri, name, mimeType, size },
+// or an empty array when the client cancels
+
+const fromImageAsset = (asset) => ({
+  uri: asset.uri,
+  name: asset.fileName || asset.uri.split('/').pop(),
+  mimeType: asset.mimeType || 'image/jpeg',
+  size: asset.fileSize || 0,
+});
+
+export const pickFromCamera = async () => {
+  const permission = await ImagePicker.requestCameraPermissionsAsync();
+  if (!permission.granted) {
+    throw new Error('Camera access is turned off for this app. You can allow it in Settings.');
+  }
+
+  const result = await ImagePicker.launchCameraAsync({
+    mediaTypes: ['images'],
+    quality: 0.8,
+  });
+  return result.canceled ? [] : result.assets.map(fromImageAsset);
+};
+
+export const pickFromLibrary = async (limit) => {
+  const result = await ImagePicker.launchImageLibraryAsync({
+    mediaTypes: ['images'],
+    allowsMultipleSelection: true,
+    selectionLimit: limit,
+    quality: 0.8,
+  });
+  return result.canceled ? [] : result.assets.map(fromImageAsset);
+};
+
+export const pickDocuments = async () => {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: DOCUMENT_TYPES,
+    multiple: true,
+    copyToCacheDirectory: true,
+  });
+  if (result.canceled) return [];
+
+  return result.assets.map((asset) => ({
+    uri: asset.uri,
+    name: asset.name,
+    mimeType: asset.mimeType || 'application/octet-stream',
+    size: asset.size || 0,
+  }));
+};
+
+/* ===== FILES ===== */
+
+const ATTACHMENTS_DIR = 'request_attachments';
+
+const keepFile = (file, key) => {
+  const dir = new Directory(Paths.document, ATTACHMENTS_DIR);
+  dir.create({ intermediates: true, idempotent: true });
+
+  const target = new File(dir, `${key}-${file.name.replace(/[^\w.-]+/g, '-')}`);
+  new File(file.uri).copy(target);
+  return target.uri;
+};
+
+/** Deletes the app's copies of the given attachments. */
+export const deleteAttachmentFiles = (attachments = []) => {
+  attachments.forEach((attachment) => {
+    try {
+      const file = new File(attachment.uri);
+      if (file.exists) file.delete();
+    } catch (err) {
+      console.log('Delete attachment error:', err.message);
+    }
+  });
+};
+
+const attachmentExists = (attachment) => {
+  try {
+    return new File(attachment.uri).exists;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * The multipart body for a /suggestions submission. Nested fields such as
+ * `details` are sent as JSON; files go under `attachments`.
+ */
+export const toRequestFormData = (fields, attachments) => {
+  const form = new FormData();
+
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    form.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+  });
+
+  attachments.forEach((attachment) => {
+    form.append('attachments', {
+      uri: attachment.uri,
+      name: attachment.name,
+      type: attachment.mimeType,
+    });
+  });
+
+  return form;
+};
+
+/* ===== HOOK ===== */
+
+/**
+ * Attachment list for the request form.
+ *
+ * @returns {{
+ *   attachments,
+ *   addFiles: (files) => string[],  // returns why any were skipped
+ *   remove: (key) => void,
+ *   reset: () => void,              // forgets the files, e.g. once they are in the outbox
+ *   discard: () => void,            // forgets and deletes the files
+ *   restore: (saved) => void,       // puts back attachments from a saved draft
+ * }}
+ */
+export const useAttachments = () => {
+  const [attachments, setAttachments] = useState([]);
+
+  // Latest list for addFiles' limit check
+  const attachmentsRef = useRef(attachments);
+  attachmentsRef.current = attachments;
+
+  const addFiles = useCallback((files) => {
+    const skipped = [];
+    const added = [];
+    let room = MAX_ATTACHMENTS - attachmentsRef.current.length;
+
+    files.forEach((file) => {
+      if (file.size > MAX_FILE_SIZE) {
+        skipped.push(`${file.name} is larger than ${formatFileSize(MAX_FILE_SIZE)}`);
+      } else if (room <= 0) {
+        skipped.push(`${file.name}: only ${MAX_ATTACHMENTS} files can be attached`);
+      } else {
+        const key = createKey();
+        try {
+          added.push({ ...file, key, uri: keepFile(file, key) });
+          room -= 1;
+        } catch (err) {
+          console.log('Keep attachment error:', err.message);
+          skipped.push(`${file.name} could not be read`);
+        }
+      }
+    });
+
+    if (added.length) {
+      attachmentsRef.current = [...attachmentsRef.current, ...added];
+      setAttachments(attachmentsRef.current);
+    }
+    return skipped;
+  }, []);
+
+  const remove = useCallback((key) => {
+    const attachment = attachmentsRef.current.find((a) => a.key === key);
+    if (attachment) deleteAttachmentFiles([attachment]);
+
+    attachmentsRef.current = attachmentsRef.current.filter((a) => a.key !== key);
+    setAttachments(attachmentsRef.current);
+  }, []);
+
+  const reset = useCallback(() => {
+    attachmentsRef.current = [];
+    setAttachments([]);
+  }, []);
+
+  const discard = useCallback(() => {
+    deleteAttachmentFiles(attachmentsRef.current);
+    reset();
+  }, [reset]);
+
+  // Drafts saved before a file was removed from the device skip it
+  const restore = useCallback((saved) => {
+    attachmentsRef.current = saved
+      .filter(attachmentExists)
+      .map(({ key, uri, name, mimeType, size }) => ({ key, uri, name, mimeType, size }));
+    setAttachments(attachmentsRef.current);
+  }, []);
+
+  return { attachments, addFiles, remove, reset, discard, restore };
+};
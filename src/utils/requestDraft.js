@@ -0,0 +1,48 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { deleteAttachmentFiles } from './requestAttachments';
+
+/* ================= REQUEST DRAFT ================= */
+// The Request Service form as last typed, per account, so a long
+// description survives leaving the tab or the app being killed
+
+const PREFIX = 'request_draft';
+
+const storageKey = (accountId) => `${PREFIX}:${accountId}`;
+
+// { type, name, contact, description, attachments, savedAt } or null
+export const readDraft = async (accountId) => {
+  try {
+    const raw = await AsyncStorage.getItem(storageKey(accountId));
+    return raw ? JSON.parse(raw) : null;
+  } catch (err) {
+    console.log('Read draft error:', err.message);
+    return null;
+  }
+};
+
+export const writeDraft = async (accountId, draft) => {
+  try {
+    await AsyncStorage.setItem(
+      storageKey(accountId),
+      JSON.stringify({ ...draft, savedAt: Date.now() })
+    );
+  } catch (err) {
+    console.log('Write draft error:', err.message);
+  }
+};
+
+/**
+ * Removes the draft and the files attached to it. `keepAttachments` leaves
+ * the files for whatever now owns them, e.g. the outbox after a submit.
+ */
+export const clearDraft = async (accountId, { keepAttachments = false } = {}) => {
+  try {
+    if (!keepAttachments) {
+      const draft = await readDraft(accountId);
+      deleteAttachmentFiles(draft?.attachments);
+    }
+    await AsyncStorage.removeItem(storageKey(accountId));
+  } catch (err) {
+    console.log('Clear draft error:', err.message);
+  }
+};
@@ -0,0 +1,299 @@
+import { useEffect, useState } from 'react';
+import { AppState } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import api from '../api/api';
+import { invalidateQueries } from '../api/queryCache';
+import { queryKeys } from '../api/queries';
+import { getActiveSessionId } from './authStorage';
+import { onAccountChanged } from '../auth/sessionEvents';
+import { isOnline, onReconnect } from './network';
+import {
+  UPLOAD_TIMEOUT_MS,
+  deleteAttachmentFiles,
+  toRequestFormData,
+} from './requestAttachments';
+
+/* ================= REQUEST OUTBOX ================= */
+// Service requests and suggestions are saved on the device before they are
+// sent, so nothing a client writes is lost to a bad connection. Unsent items
+// are retried with backoff and survive app restarts.
+//
+// A payload's `attachments` are files on the device (see requestAttachments.js);
+// a request with files is sent as multipart and its files are deleted once sent.
+// Until then they stay with the item, so a failed upload can be retried.
+//
+// Item: { id, payload, status: 'pending' | 'sent' | 'failed', attempts,
+//         createdAt, nextAttemptAt, sentAt, lastError,
+//         progress }  // 0-1 while its files upload, else null
+
+const STORAGE_PREFIX = 'request_outbox';
+const MAX_ATTEMPTS = 8;
+const BASE_DELAY_MS = 5 * 1000;
+const MAX_DELAY_MS = 10 * 60 * 1000;
+
+// Sent items stay listed for a week so the client can see they went through
+const SENT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+let accountId = null;
+let items = [];
+let loadPromise = null;
+let processing = null;
+let retryTimer = null;
+const listeners = new Set();
+
+// Bumped on account change so work for the previous account stops
+let generation = 0;
+
+const storageKey = (id) => `${STORAGE_PREFIX}:${id}`;
+
+const createId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const notify = () => listeners.forEach((listener) => listener(items));
+
+// Writes synchronously-captured state, so a later account switch can't redirect it
+const persist = () => {
+  if (!accountId) return;
+  AsyncStorage.setItem(storageKey(accountId), JSON.stringify(items)).catch((err) => {
+    console.log('Save outbox error:', err.message);
+  });
+};
+
+// `save: false` skips the storage write, for changes as frequent as upload progress
+const setItems = (nextItems, { save = true } = {}) => {
+  items = nextItems;
+  if (save) persist();
+  notify();
+};
+
+const updateItem = (id, changes, options) => {
+  setItems(items.map((item) => (item.id === id ? { ...item, ...changes } : item)), options);
+};
+
+const load = () => {
+  if (!loadPromise) {
+    const loadGeneration = generation;
+
+    loadPromise = (async () => {
+      const id = await getActiveSessionId();
+      let stored = [];
+
+      try {
+        const raw = id ? await AsyncStorage.getItem(storageKey(id)) : null;
+        stored = raw ? JSON.parse(raw) : [];
+      } catch (err) {
+        console.log('Load outbox error:', err.message);
+      }
+
+      if (loadGeneration !== generation) return;
+
+      const cutoff = Date.now() - SENT_RETENTION_MS;
+      accountId = id;
+      items = stored
+        .filter((item) => item.status !== 'sent' || item.sentAt > cutoff)
+        // An upload cut off by the app closing starts over
+        .map((item) => ({ ...item, progress: null }));
+      notify();
+    })();
+  }
+  return loadPromise;
+};
+
+/* ===== SENDING ===== */
+
+// Network errors, timeouts and server errors are worth another try;
+// anything else (e.g. validation) will fail the same way again
+const isRetryable = (err) => {
+  const status = err.response?.status;
+  return !status || status === 408 || status === 429 || status >= 500;
+};
+
+// 5s, 10s, 20s ... capped at 10 minutes
+const getBackoff = (attempts) =>
+  Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+
+const getNextDueItem = () =>
+  items.find((item) => item.status === 'pending' && item.nextAttemptAt <= Date.now());
+
+const postRequest = (item) => {
+  const { attachments = [], ...fields } = item.payload;
+  // The id lets the server ignore a retry whose first attempt did arrive
+  const body = { ...fields, client_request_id: item.id };
+
+  if (!attachments.length) return api.post('/suggestions', body);
+
+  return api.post('/suggestions', toRequestFormData(body, attachments), {
+    headers: { 'Content-Type': 'multipart/form-data' },
+    timeout: UPLOAD_TIMEOUT_MS,
+    onUploadProgress: (event) => {
+      if (!event.total) return;
+      // Whole percents are plenty for a progress bar
+      const progress = Math.floor((event.loaded / event.total) * 100) / 100;
+      const current = items.find((i) => i.id === item.id);
+      if (current && current.progress !== progress) {
+        updateItem(item.id, { progress }, { save: false });
+      }
+    },
+  });
+};
+
+const send = async (item, runGeneration) => {
+  try {
+    await postRequest(item);
+    deleteAttachmentFiles(item.payload.attachments);
+    if (runGeneration !== generation) return;
+
+    updateItem(item.id, { status: 'sent', sentAt: Date.now(), lastError: null, progress: null });
+    // It now shows up in My Requests
+    invalidateQueries(queryKeys.requests);
+  } catch (err) {
+    console.log('Outbox send error:', err.response?.data || err.message);
+    if (runGeneration !== generation) return;
+
+    const attempts = item.attempts + 1;
+    const lastError = err.response?.data?.message || err.message;
+
+    if (!isRetryable(err) || attempts >= MAX_ATTEMPTS) {
+      updateItem(item.id, { status: 'failed', attempts, lastError, progress: null });
+    } else {
+      updateItem(item.id, {
+        attempts,
+        lastError,
+        progress: null,
+        nextAttemptAt: Date.now() + getBackoff(attempts),
+      });
+    }
+  }
+};
+
+const scheduleRetry = () => {
+  clearTimeout(retryTimer);
+
+  const times = items
+    .filter((item) => item.status === 'pending')
+    .map((item) => item.nextAttemptAt);
+  if (!times.length) return;
+
+  const delay = Math.max(0, Math.min(...times) - Date.now());
+  retryTimer = setTimeout(processOutbox, delay);
+};
+
+const run = async () => {
+  await load();
+  const runGeneration = generation;
+
+  let item = getNextDueItem();
+  while (item && isOnline() && runGeneration === generation) {
+    await send(item, runGeneration);
+    item = getNextDueItem();
+  }
+
+  // Offline items wait for onReconnect instead of a timer
+  if (runGeneration === generation && isOnline()) scheduleRetry();
+};
+
+/** Sends every pending item that is due. Only one run at a time. */
+export const processOutbox = () => {
+  if (!processing) {
+    processing = run().finally(() => {
+      processing = null;
+    });
+  }
+  return processing;
+};
+
+/* ===== PUBLIC API ===== */
+
+/**
+ * Saves a submission and tries to send it straight away.
+ * Resolves with the item, whose status tells the caller what happened;
+ * `onQueued(item)` fires once it is saved, before sending starts.
+ */
+export const enqueueRequest = async (payload, { onQueued } = {}) => {
+  await load();
+
+  const item = {
+    id: createId(),
+    payload,
+    status: 'pending',
+    attempts: 0,
+    createdAt: Date.now(),
+    nextAttemptAt: 0,
+    sentAt: null,
+    lastError: null,
+    progress: null,
+  };
+  setItems([item, ...items]);
+  onQueued?.(item);
+
+  // A run already in progress may have passed this item by
+  await processing;
+  await processOutbox();
+
+  return items.find((i) => i.id === item.id) || item;
+};
+
+export const retryRequest = async (id) => {
+  updateItem(id, { status: 'pending', attempts: 0, nextAttemptAt: 0, lastError: null });
+  await processing;
+  await processOutbox();
+};
+
+/**
+ * Takes one file off a failed item, e.g. the one the server turned down,
+ * so the rest can be retried without it.
+ */
+export const removeRequestAttachment = (id, key) => {
+  const item = items.find((i) => i.id === id);
+  if (!item) return;
+
+  const attachments = item.payload.attachments || [];
+  deleteAttachmentFiles(attachments.filter((a) => a.key === key));
+  updateItem(id, {
+    payload: { ...item.payload, attachments: attachments.filter((a) => a.key !== key) },
+  });
+};
+
+/**
+ * Drops an item and its attachment files. `keepAttachments` leaves the files
+ * for a form that still shows them.
+ */
+export const removeRequest = (id, { keepAttachments = false } = {}) => {
+  const item = items.find((i) => i.id === id);
+  if (item && !keepAttachments) deleteAttachmentFiles(item.payload.attachments);
+
+  setItems(items.filter((i) => i.id !== id));
+};
+
+export const useOutbox = () => {
+  const [value, setValue] = useState(items);
+
+  useEffect(() => {
+    listeners.add(setValue);
+    load();
+    return () => listeners.delete(setValue);
+  }, []);
+
+  return value;
+};
+
+/* ===== TRIGGERS ===== */
+
+// Each account has its own outbox; it stays on the device after sign-out so
+// nothing unsent is lost, and resumes when that account signs in again
+onAccountChanged(() => {
+  generation += 1;
+  clearTimeout(retryTimer);
+  accountId = null;
+  items = [];
+  loadPromise = null;
+  notify();
+  // Let the previous account's run wind down first
+  Promise.resolve(processing).then(processOutbox);
+});
+
+onReconnect(() => processOutbox());
+
+AppState.addEventListener('change', (nextState) => {
+  if (nextState === 'active') processOutbox();
+});
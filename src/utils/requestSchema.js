@@ -0,0 +1,250 @@
+import { Ionicons } from '@expo/vector-icons';
+import { useRequestSchema } from '../api/queries';
+
+/* ================= REQUEST FORM SCHEMA ================= */
+// The server describes each request type and the extra fields it needs, so
+// new offerings can be added without an app release. Name, contact and
+// description are always asked; a type's fields are sent as `details`.
+//
+// Type:
+//   { key, label, title?, subtitle?, description, icon, color, sections: [Section] }
+//   (a plain `fields` array is accepted as a single untitled section)
+//
+// Section:
+//   { title?, showIf?, fields: [Field] }
+//
+// Field:
+//   { key, label, type, required?, placeholder?, helper?, showIf?,
+//     options?: [{ value, label }] | 'services',
+//     minLength?, maxLength?, pattern?, patternMessage?,   // text, textarea
+//     min?, max?,                                          // number
+//     minItems?, maxItems? }                               // multiselect
+//
+// showIf:
+//   { field, equals } | { field, in: [...] } | { field, includes }
+//   or just { field }, for any value other than empty / off
+//
+// e.g. a website type asking for a domain only when the client has none:
+//
+//   { key: 'website', label: 'Website', icon: 'globe-outline', color: '#3b82f6',
+//     sections: [
+//       { fields: [
+//         { key: 'pages', label: 'Number of pages', type: 'number', min: 1, required: true },
+//         { key: 'has_domain', label: 'I already own a domain', type: 'toggle' } ] },
+//       { title: 'Domain', showIf: { field: 'has_domain', equals: false }, fields: [
+//         { key: 'domain_preference', label: 'Preferred domain', type: 'text' } ] } ] }
+
+export const FIELD_TYPES = ['text', 'textarea', 'number', 'select', 'multiselect', 'toggle'];
+
+// Options filled from the client's own services, e.g. "affected service"
+export const SERVICE_OPTIONS = 'services';
+
+const DEFAULT_ICON = 'chatbubble-outline';
+const DEFAULT_COLOR = '#3b82f6';
+
+// Used until the server's schema has loaded, and if it never does
+export const DEFAULT_REQUEST_TYPES = [
+  {
+    key: 'service',
+    label: 'Request New Service',
+    title: 'Request New Service',
+    subtitle: 'New service or modification',
+    description: 'Request a new service or modification to existing services',
+    icon: 'construct-outline',
+    color: '#3b82f6',
+    sections: [],
+  },
+  {
+    key: 'suggestion',
+    label: 'Suggestion / Query',
+    title: 'Make a Suggestion',
+    subtitle: 'Share suggestions or queries',
+    description: 'Share your suggestions or queries for improvement',
+    icon: 'bulb-outline',
+    color: '#8b5cf6',
+    sections: [],
+  },
+];
+
+/* ===== NORMALIZING ===== */
+
+// Fields of a type this app version doesn't know how to render are left out
+const normalizeField = (field) => {
+  if (!field?.key || !FIELD_TYPES.includes(field.type)) return null;
+  return { ...field, label: field.label || field.key };
+};
+
+const normalizeSection = (section) => ({
+  ...section,
+  fields: (section.fields || []).map(normalizeField).filter(Boolean),
+});
+
+const normalizeType = (type) => ({
+  ...type,
+  label: type.label || type.key,
+  title: type.title || type.label || type.key,
+  description: type.description || '',
+  icon: Ionicons.glyphMap[type.icon] ? type.icon : DEFAULT_ICON,
+  color: type.color || DEFAULT_COLOR,
+  sections: (type.sections || (type.fields ? [{ fields: type.fields }] : []))
+    .map(normalizeSection),
+});
+
+export const normalizeRequestTypes = (types) => {
+  const valid = Array.isArray(types) ? types.filter((type) => type?.key) : [];
+  return valid.length ? valid.map(normalizeType) : DEFAULT_REQUEST_TYPES;
+};
+
+export const findRequestType = (types, key) =>
+  types.find((type) => type.key === key) || types[0];
+
+// For showing a submitted request, whose type may since have been retired
+export const getRequestTypeInfo = (types, key) =>
+  types.find((type) => type.key === key) || {
+    key,
+    label: 'Request',
+    title: 'Request',
+    icon: DEFAULT_ICON,
+    color: DEFAULT_COLOR,
+    sections: [],
+  };
+
+/** The request types to offer: the server's schema, or the built-in two. */
+export const useRequestTypes = () => {
+  const { data } = useRequestSchema();
+  return normalizeRequestTypes(data);
+};
+
+/* ===== VISIBILITY ===== */
+
+const isEmptyValue = (value) =>
+  value === undefined ||
+  value === null ||
+  value === false ||
+  (typeof value === 'string' && !value.trim()) ||
+  (Array.isArray(value) && !value.length);
+
+const matchesCondition = (condition, values) => {
+  if (!condition?.field) return true;
+  const value = values[condition.field];
+
+  if ('equals' in condition) return (value ?? false) === condition.equals;
+  if (Array.isArray(condition.in)) return condition.in.includes(value);
+  if ('includes' in condition) return Array.isArray(value) && value.includes(condition.includes);
+  return !isEmptyValue(value);
+};
+
+// The sections shown for the current answers, each with only its shown fields
+export const getVisibleSections = (type, values) =>
+  type.sections
+    .filter((section) => matchesCondition(section.showIf, values))
+    .map((section) => ({
+      ...section,
+      fields: section.fields.filter((field) => matchesCondition(field.showIf, values)),
+    }))
+    .filter((section) => section.fields.length);
+
+const getVisibleFields = (type, values) =>
+  getVisibleSections(type, values).flatMap((section) => section.fields);
+
+/* ===== VALIDATION ===== */
+
+const validateField = (field, value) => {
+  if (isEmptyValue(value)) {
+    return field.required ? `Please fill in ${field.label}` : null;
+  }
+
+  switch (field.type) {
+    case 'text':
+    case 'textarea': {
+      const text = value.trim();
+      if (field.minLength && text.length < field.minLength) {
+        return `${field.label} must be at least ${field.minLength} characters`;
+      }
+      if (field.maxLength && text.length > field.maxLength) {
+        return `${field.label} can be at most ${field.maxLength} characters`;
+      }
+      if (field.pattern) {
+        try {
+          if (!new RegExp(field.pattern).test(text)) {
+            return field.patternMessage || `Please enter a valid ${field.label}`;
+          }
+        } catch {
+          // A bad pattern from the server shouldn't block the client
+        }
+      }
+      return null;
+    }
+
+    case 'number': {
+      const number = Number(value);
+      if (!Number.isFinite(number)) return `${field.label} must be a number`;
+      if (field.min !== undefined && number < field.min) {
+        return `${field.label} must be at least ${field.min}`;
+      }
+      if (field.max !== undefined && number > field.max) {
+        return `${field.label} can be at most ${field.max}`;
+      }
+      return null;
+    }
+
+    case 'multiselect':
+      if (field.minItems && value.length < field.minItems) {
+        return `Choose at least ${field.minItems} for ${field.label}`;
+      }
+      if (field.maxItems && value.length > field.maxItems) {
+        return `Choose at most ${field.maxItems} for ${field.label}`;
+      }
+      return null;
+
+    default:
+      return null;
+  }
+};
+
+/** The first problem with the visible fields' answers, or null. */
+export const validateDetails = (type, values) => {
+  for (const field of getVisibleFields(type, values)) {
+    const error = validateField(field, values[field.key]);
+    if (error) return error;
+  }
+  return null;
+};
+
+/** The answers to send: visible fields only, numbers as numbers. */
+export const collectDetails = (type, values) => {
+  const details = {};
+
+  getVisibleFields(type, values).forEach((field) => {
+    const value = values[field.key];
+    if (isEmptyValue(value) && field.type !== 'toggle') return;
+
+    if (field.type === 'number') details[field.key] = Number(value);
+    else if (field.type === 'toggle') details[field.key] = value === true;
+    else if (typeof value === 'string') details[field.key] = value.trim();
+    else details[field.key] = value;
+  });
+
+  return details;
+};
+
+/* ===== DISPLAY ===== */
+
+// Submitted `details` as [{ key, label, value }] for showing back to the client;
+// keys the current schema no longer has keep their raw key as label
+export const describeDetails = (type, details = {}) => {
+  const fields = type.sections.flatMap((section) => section.fields);
+
+  return Object.entries(details).map(([key, value]) => {
+    const field = fields.find((f) => f.key === key);
+    const options = Array.isArray(field?.options) ? field.options : [];
+    const labelFor = (v) => options.find((o) => o.value === v)?.label ?? String(v);
+
+    let text;
+    if (typeof value === 'boolean') text = value ? 'Yes' : 'No';
+    else if (Array.isArray(value)) text = value.map(labelFor).join(', ');
+    else text = labelFor(value);
+
+    return { key, label: field?.label || key, value: text };
+  });
+};
@@ -0,0 +1,42 @@
+/* ================= REQUEST STATUS ================= */
+// Where a submitted service request or suggestion is in our review.
+// `status` comes from the backend as one of these keys.
+
+export const REQUEST_STATUSES = {
+  received: {
+    label: 'Received',
+    description: 'We have your request and will look at it shortly',
+    icon: 'mail-outline',
+    color: '#3b82f6',
+  },
+  under_review: {
+    label: 'Under Review',
+    description: 'Our team is going through the details',
+    icon: 'search-outline',
+    color: '#f59e0b',
+  },
+  quoted: {
+    label: 'Quoted',
+    description: 'We have sent you a quote for this request',
+    icon: 'pricetag-outline',
+    color: '#8b5cf6',
+  },
+  accepted: {
+    label: 'Accepted',
+    description: 'The work has been approved and will be scheduled',
+    icon: 'checkmark-circle-outline',
+    color: '#10b981',
+  },
+  rejected: {
+    label: 'Not Taken Up',
+    description: "We aren't able to take this request on",
+    icon: 'close-circle-outline',
+    color: '#ef4444',
+  },
+};
+
+// The path a request normally takes; `rejected` can end it at any step
+export const REQUEST_STEPS = ['received', 'under_review', 'quoted', 'accepted'];
+
+export const getRequestStatus = (status) =>
+  REQUEST_STATUSES[status] || REQUEST_STATUSES.received;
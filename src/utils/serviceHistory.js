@@ -0,0 +1,63 @@
+import { fetchQuery, getQueryData } from '../api/queryCache';
+import { queryKeys, fetchServiceHistory, HISTORY_STALE_TIME } from '../api/queries';
+
+/* ================= SERVICE HISTORY ================= */
+// Batch loading of `/service-history/:id` on top of the query cache: the
+// Dashboard and Services list warm it, details and timeline read from it
+
+// Requests in flight at once when loading many services
+const MAX_CONCURRENT = 4;
+
+const EMPTY_HISTORY = { timeline: [], maintenance: [] };
+
+// Cached history, or undefined when it hasn't been loaded yet
+export const peekServiceHistory = (serviceId) =>
+  getQueryData(queryKeys.serviceHistory(serviceId));
+
+/**
+ * Loads one service's history, sharing the request with any caller already
+ * waiting on it. `force` skips the cache (pull to refresh).
+ * Rejects on network errors; callers decide how to fall back.
+ */
+export const getServiceHistory = (serviceId, { force = false } = {}) =>
+  fetchQuery(
+    queryKeys.serviceHistory(serviceId),
+    () => fetchServiceHistory(serviceId),
+    { force, staleTime: HISTORY_STALE_TIME, persist: true }
+  );
+
+/**
+ * Loads the history of many services, at most MAX_CONCURRENT at a time.
+ * `onLoaded(serviceId, history)` fires as each one arrives so lists can fill
+ * in progressively; a failed service reports an empty history, which falls
+ * back to the service's own dates.
+ */
+export const loadServiceHistories = async (serviceIds, { force = false, onLoaded } = {}) => {
+  const results = {};
+  const queue = [...serviceIds];
+
+  const worker = async () => {
+    while (queue.length) {
+      const serviceId = queue.shift();
+      let history;
+
+      try {
+        history = await getServiceHistory(serviceId, { force });
+      } catch (error) {
+        console.log(`Error fetching timeline for service ${serviceId}:`, error.message);
+        history = peekServiceHistory(serviceId) || EMPTY_HISTORY;
+      }
+
+      results[serviceId] = history;
+      onLoaded?.(serviceId, history);
+    }
+  };
+
+  const workers = Array.from(
+    { length: Math.min(MAX_CONCURRENT, queue.length) },
+    worker
+  );
+  await Promise.all(workers);
+
+  return results;
+};
@@ -0,0 +1,189 @@
+/* ================= SERVICE LIFECYCLE ================= */
+// The one place that decides which period a service is in and what its
+// status is, so the Dashboard, Services list, details and timeline agree.
+//
+// All comparisons are by calendar day in the device's timezone, and an end
+// date is inclusive: a service ending on 10 Mar is still active all of 10 Mar.
+
+export const EXPIRING_SOON_DAYS = 30;
+export const EXPIRING_URGENT_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+export const STATUS_COLORS = {
+  active: '#10b981',
+  'expiring-soon': '#f59e0b',
+  expired: '#ef4444',
+  upcoming: '#3b82f6',
+  ended: '#64748b',
+  unknown: '#94a3b8',
+};
+
+/* ===== DATES ===== */
+
+export const startOfDay = (date) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+/**
+ * Parses an API date to local midnight of its calendar day, or null.
+ * 'YYYY-MM-DD' is read as a local date (new Date() would read it as UTC
+ * and shift it a day for clients west of Greenwich).
+ */
+export const parseDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : startOfDay(value);
+  }
+
+  const dateOnly = DATE_ONLY.exec(String(value));
+  if (dateOnly) {
+    const [, year, month, day] = dateOnly.map(Number);
+    const date = new Date(year, month - 1, day);
+    // Rejects rollovers such as 2025-02-30
+    return date.getMonth() === month - 1 ? date : null;
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : startOfDay(date);
+};
+
+// Whole calendar days from `from` to `to`; rounding absorbs DST changes
+export const daysBetween = (from, to) =>
+  Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS);
+
+/* ===== PERIODS ===== */
+
+// 'upcoming' | 'active' | 'ended' for anything with start_date / end_date
+export const getPeriodStatus = (item, now = new Date()) => {
+  const today = startOfDay(now);
+  const start = parseDate(item?.start_date);
+  const end = parseDate(item?.end_date);
+
+  if (start && today < start) return 'upcoming';
+  if (end && today > end) return 'ended';
+  return 'active';
+};
+
+const toPeriod = (item, isExtended) => {
+  const start = parseDate(item?.start_date);
+  const end = parseDate(item?.end_date);
+  if (!start || !end || end < start) return null;
+
+  return {
+    start,
+    end,
+    isExtended,
+    timelineType: isExtended ? item.timeline_type || null : null,
+  };
+};
+
+/**
+ * Picks the period that describes the service today:
+ *  1. the period covering today (the latest-starting one if they overlap),
+ *  2. else the next period to start, when the service sits in a gap or
+ *     hasn't started yet,
+ *  3. else the period that ended most recently.
+ * Timeline entries (extensions / renewals) count alongside the original dates.
+ */
+const pickCurrentPeriod = (periods, today) => {
+  const covering = periods
+    .filter((p) => p.start <= today && today <= p.end)
+    .sort((a, b) => b.start - a.start);
+  if (covering.length) return covering[0];
+
+  const upcoming = periods
+    .filter((p) => p.start > today)
+    .sort((a, b) => a.start - b.start);
+  if (upcoming.length) return upcoming[0];
+
+  const ended = [...periods].sort((a, b) => b.end - a.end);
+  return ended[0] || null;
+};
+
+const getStatus = (start, end, today) => {
+  if (start && today < start) return 'upcoming';
+  if (today > end) return 'expired';
+  return daysBetween(today, end) <= EXPIRING_SOON_DAYS ? 'expiring-soon' : 'active';
+};
+
+/**
+ * @param service  { start_date, end_date }
+ * @param timeline `/service-history/:id` timeline entries
+ * @returns {{
+ *   currentStart: Date | null, currentEnd: Date | null,
+ *   isExtended: boolean, timelineType: string | null,
+ *   status: 'active' | 'expiring-soon' | 'expired' | 'upcoming' | 'unknown',
+ *   isActive: boolean, daysRemaining: number | null,
+ * }}
+ */
+export const getServiceLifecycle = (service, timeline = [], now = new Date()) => {
+  const today = startOfDay(now);
+  const periods = [
+    toPeriod(service, false),
+    ...timeline.map((item) => toPeriod(item, true)),
+  ].filter(Boolean);
+
+  const period = pickCurrentPeriod(periods, today);
+  if (!period) {
+    return {
+      currentStart: null,
+      currentEnd: null,
+      isExtended: false,
+      timelineType: null,
+      status: 'unknown',
+      isActive: false,
+      daysRemaining: null,
+    };
+  }
+
+  const status = getStatus(period.start, period.end, today);
+
+  return {
+    currentStart: period.start,
+    currentEnd: period.end,
+    isExtended: period.isExtended,
+    timelineType: period.timelineType,
+    status,
+    isActive: status === 'active' || status === 'expiring-soon',
+    daysRemaining: status === 'expired' ? null : daysBetween(today, period.end),
+  };
+};
+
+// Same statuses for a domain, which only has an expiry date
+export const getDomainLifecycle = (validTill, now = new Date()) => {
+  const today = startOfDay(now);
+  const end = parseDate(validTill);
+  if (!end) return { status: 'unknown', daysRemaining: null };
+
+  const status = getStatus(null, end, today);
+  return {
+    status,
+    daysRemaining: status === 'expired' ? null : daysBetween(today, end),
+  };
+};
+
+/* ===== LABELS ===== */
+
+export const formatDaysRemaining = (days) => {
+  if (days === 0) return 'Expires today';
+  if (days === 1) return 'Expires tomorrow';
+  return `Expiring in ${days} days`;
+};
+
+export const getStatusLabel = ({ status, daysRemaining }) => {
+  switch (status) {
+    case 'active':
+      return 'Active';
+    case 'expiring-soon':
+      return formatDaysRemaining(daysRemaining);
+    case 'expired':
+      return 'Expired';
+    case 'upcoming':
+      return 'Upcoming';
+    case 'ended':
+      return 'Completed';
+    default:
+      return 'Unknown';
+  }
+};
@@ -0,0 +1,46 @@
+import { useEffect, useState } from 'react';
+import * as Notifications from 'expo-notifications';
+import api from '../api/api';
+import { onAccountChanged } from '../auth/sessionEvents';
+
+/* ================= UNREAD COUNT ================= */
+// Shared by the Notifications screen, the "More" menu badge and the app icon badge
+
+let unreadCount = 0;
+const listeners = new Set();
+
+export const getUnreadCount = () => unreadCount;
+
+export const setUnreadCount = (count) => {
+  unreadCount = Math.max(0, count);
+  listeners.forEach((listener) => listener(unreadCount));
+
+  Notifications.setBadgeCountAsync(unreadCount).catch(() => {
+    console.log('Badge update skipped');
+  });
+};
+
+export const onUnreadCountChanged = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const refreshUnreadCount = async () => {
+  try {
+    const res = await api.get('/notifications/client/unread-count');
+    setUnreadCount(res.data?.data?.count || 0);
+  } catch (err) {
+    console.log('Unread count error:', err.response?.data || err.message);
+  }
+};
+
+// Another account's count must never show, not even until the next refresh
+onAccountChanged(() => setUnreadCount(0));
+
+export const useUnreadCount = () => {
+  const [count, setCount] = useState(unreadCount);
+
+  useEffect(() => onUnreadCountChanged(setCount), []);
+
+  return count;
+};